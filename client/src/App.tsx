@@ -4,6 +4,9 @@ import { QueryClientProvider } from "@tanstack/react-query";
 import { Toaster } from "@/components/ui/toaster";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import Dashboard from "@/pages/dashboard.tsx";
+import ProductDetail from "@/pages/product";
+import Analytics from "@/pages/analytics";
+import ApiDocs from "@/pages/api-docs";
 import NotFound from "@/pages/not-found";
 
 function Router() {
@@ -11,6 +14,9 @@ function Router() {
     <Switch>
       <Route path="/" component={Dashboard} />
       <Route path="/dashboard" component={Dashboard} />
+      <Route path="/products/:id" component={ProductDetail} />
+      <Route path="/analytics" component={Analytics} />
+      <Route path="/docs" component={ApiDocs} />
       <Route component={NotFound} />
     </Switch>
   );
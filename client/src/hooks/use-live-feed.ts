@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+import { queryClient } from "@/lib/queryClient";
+import type { LiveServerMessage } from "@shared/schema";
+
+const RECENT_QUERY_KEY = ["/api/resolve/recent"];
+const RECENT_LIMIT = 20; // matches GET /api/resolve/recent
+const RECONNECT_DELAY = 5000;
+
+// Streams resolve requests from the /ws live channel into the recent requests
+// query, authenticating with the admin key in the first message. Returns
+// whether the feed is connected; a key the server rejects is not retried until
+// it changes.
+export function useLiveResolveFeed(adminKey: string) {
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!adminKey) return;
+
+    let socket: WebSocket | undefined;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let stopped = false;
+    // Only a key that has been accepted once is retried (e.g. across server restarts)
+    let accepted = false;
+
+    const connect = () => {
+      const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+      socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+
+      socket.onopen = () => {
+        socket?.send(JSON.stringify({ type: "auth", adminKey }));
+      };
+      socket.onmessage = (event) => {
+        const message = JSON.parse(event.data) as LiveServerMessage;
+        if (message.type === "authenticated") {
+          accepted = true;
+          setConnected(true);
+          socket?.send(JSON.stringify({ type: "subscribe-feed" }));
+          return;
+        }
+        if (message.type !== "resolve-request") return;
+        queryClient.setQueryData<unknown[]>(RECENT_QUERY_KEY, (recent = []) =>
+          [message.record, ...recent].slice(0, RECENT_LIMIT));
+      };
+      socket.onclose = () => {
+        setConnected(false);
+        if (accepted && !stopped) reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      socket?.close();
+      setConnected(false);
+    };
+  }, [adminKey]);
+
+  return connected;
+}
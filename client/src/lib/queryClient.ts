@@ -1,5 +1,25 @@
 import { QueryClient, QueryFunction } from "@tanstack/react-query";
 
+const ADMIN_KEY_STORAGE = "localstock.adminKey";
+
+// Admin key for the protected dashboard routes, kept in this browser only
+export function getAdminKey(): string {
+  return localStorage.getItem(ADMIN_KEY_STORAGE) || "";
+}
+
+export function setAdminKey(key: string) {
+  if (key) {
+    localStorage.setItem(ADMIN_KEY_STORAGE, key);
+  } else {
+    localStorage.removeItem(ADMIN_KEY_STORAGE);
+  }
+}
+
+function authHeaders(): Record<string, string> {
+  const key = getAdminKey();
+  return key ? { "X-Admin-Key": key } : {};
+}
+
 async function throwIfResNotOk(res: Response) {
   if (!res.ok) {
     const text = (await res.text()) || res.statusText;
@@ -14,7 +34,7 @@ export async function apiRequest(
 ): Promise<Response> {
   const res = await fetch(url, {
     method,
-    headers: data ? { "Content-Type": "application/json" } : {},
+    headers: data ? { "Content-Type": "application/json", ...authHeaders() } : authHeaders(),
     body: data ? JSON.stringify(data) : undefined,
     credentials: "include",
   });
@@ -30,6 +50,7 @@ export const getQueryFn: <T>(options: {
   ({ on401: unauthorizedBehavior }) =>
   async ({ queryKey }) => {
     const res = await fetch(queryKey.join("/") as string, {
+      headers: authHeaders(),
       credentials: "include",
     });
 
@@ -0,0 +1,339 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Link } from "wouter";
+import { addDays, format, parseISO, startOfDay, subDays, subHours } from "date-fns";
+import { Bar, BarChart, CartesianGrid, Cell, Pie, PieChart, XAxis, YAxis } from "recharts";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from "@/components/ui/chart";
+import { ArrowLeft, BarChart3, MapPin, PackageSearch, TrendingUp } from "lucide-react";
+import type {
+  AnalyticsPlatforms,
+  AnalyticsProducts,
+  AnalyticsSources,
+  AnalyticsSummary,
+  AnalyticsTimeSeries,
+  AnalyticsZips,
+} from "@shared/schema";
+
+const PRESETS = [
+  { label: "24h", from: () => subHours(new Date(), 24) },
+  { label: "7d", from: () => subDays(new Date(), 7) },
+  { label: "30d", from: () => subDays(new Date(), 30) },
+  { label: "90d", from: () => subDays(new Date(), 90) },
+] as const;
+
+interface Range {
+  preset?: string;
+  from: Date;
+  to?: Date; // open-ended (now) for presets
+}
+
+const requestsConfig: ChartConfig = {
+  eligible: { label: "Eligible", color: "var(--chart-2)" },
+  zeroResults: { label: "No offers", color: "var(--chart-4)" },
+  errors: { label: "Errors", color: "var(--chart-5)" },
+};
+
+const platformConfig: ChartConfig = {
+  eligibleRate: { label: "Eligible rate", color: "var(--chart-1)" },
+};
+
+const sourceConfig: ChartConfig = {
+  cache: { label: "Cache", color: "var(--chart-1)" },
+  local: { label: "Local offers", color: "var(--chart-2)" },
+  backend: { label: "Backend providers", color: "var(--chart-3)" },
+  none: { label: "No offers", color: "var(--chart-4)" },
+  error: { label: "Error", color: "var(--chart-5)" },
+};
+
+function percent(rate: number) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function productLabel(product: AnalyticsProducts["products"][number]) {
+  return product.title || Object.values(product.identifiers)[0] || "Unknown product";
+}
+
+function useAnalytics<T>(report: string, params: string) {
+  return useQuery<T>({ queryKey: [`/api/analytics/${report}?${params}`] });
+}
+
+export default function Analytics() {
+  const [range, setRange] = useState<Range>({ preset: "7d", from: subDays(new Date(), 7) });
+
+  const params = new URLSearchParams({ from: range.from.toISOString() });
+  if (range.to) params.set("to", range.to.toISOString());
+  const query = params.toString();
+
+  const { data: summary, error } = useAnalytics<AnalyticsSummary>("summary", query);
+  const { data: requests } = useAnalytics<AnalyticsTimeSeries>("requests", query);
+  const { data: platforms } = useAnalytics<AnalyticsPlatforms>("platforms", query);
+  const { data: sources } = useAnalytics<AnalyticsSources>("sources", query);
+  const { data: topProducts } = useAnalytics<AnalyticsProducts>("top-products", query);
+  const { data: zeroResults } = useAnalytics<AnalyticsProducts>("zero-result-products", query);
+  const { data: zips } = useAnalytics<AnalyticsZips>("zips", `${query}&limit=15`);
+
+  // Custom dates are whole days in local time; the end date is inclusive
+  const setCustomDate = (which: "from" | "to", value: string) => {
+    if (!value) return;
+    const day = startOfDay(parseISO(value));
+    setRange(current => {
+      const next = { from: current.from, to: current.to ?? startOfDay(addDays(new Date(), 1)) };
+      if (which === "from") next.from = day;
+      else next.to = addDays(day, 1);
+      return next.from < next.to ? next : current;
+    });
+  };
+
+  const requestRows = requests?.buckets.map(bucket => ({
+    start: bucket.start,
+    eligible: bucket.eligible,
+    zeroResults: bucket.total - bucket.eligible - bucket.errors,
+    errors: bucket.errors,
+  })) ?? [];
+  const formatBucket = (start: string) =>
+    format(new Date(start), requests?.interval === "hour" ? "MMM d HH:mm" : "MMM d");
+
+  const renderProducts = (data: AnalyticsProducts | undefined, metric: "lookups" | "zeroResults", empty: string) => (
+    data && data.products.length > 0 ? (
+      <div className="space-y-2">
+        {data.products.map((product, i) => (
+          <div key={product.productId ?? i} className="flex items-center justify-between gap-4 text-sm" data-testid={`row-${metric}-${i}`}>
+            <div className="min-w-0">
+              <div className="font-medium truncate" title={productLabel(product)}>
+                {product.productId ? (
+                  <Link href={`/products/${product.productId}`} className="hover:underline">{productLabel(product)}</Link>
+                ) : productLabel(product)}
+              </div>
+              <div className="text-muted-foreground text-xs">
+                {product.platform} · {Object.entries(product.identifiers).map(([k, v]) => `${k.toUpperCase()}: ${v}`).join(", ")}
+              </div>
+            </div>
+            <div className="text-right flex-shrink-0">
+              <div className="font-semibold">{product[metric]}</div>
+              <div className="text-xs text-muted-foreground">
+                {metric === "lookups" ? `${product.zeroResults} without offers` : `of ${product.lookups} lookups`}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <div className="text-center py-6 text-muted-foreground">{empty}</div>
+    )
+  );
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-end justify-between gap-4 flex-wrap">
+          <div>
+            <Link href="/" className="text-sm text-muted-foreground inline-flex items-center gap-1 hover:text-foreground">
+              <ArrowLeft className="h-4 w-4" />
+              Dashboard
+            </Link>
+            <h1 className="text-2xl font-bold text-foreground flex items-center gap-2 mt-1">
+              <BarChart3 className="h-6 w-6 text-primary" />
+              Resolve Analytics
+            </h1>
+          </div>
+          <div className="flex items-center gap-2 flex-wrap">
+            {PRESETS.map(preset => (
+              <Button
+                key={preset.label}
+                size="sm"
+                variant={range.preset === preset.label ? "default" : "outline"}
+                onClick={() => setRange({ preset: preset.label, from: preset.from() })}
+                data-testid={`button-range-${preset.label}`}
+              >
+                {preset.label}
+              </Button>
+            ))}
+            <Input
+              type="date"
+              className="w-40"
+              value={format(range.from, "yyyy-MM-dd")}
+              onChange={(e) => setCustomDate("from", e.target.value)}
+              data-testid="input-from"
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="date"
+              className="w-40"
+              value={format(range.to ? subDays(range.to, 1) : new Date(), "yyyy-MM-dd")}
+              onChange={(e) => setCustomDate("to", e.target.value)}
+              data-testid="input-to"
+            />
+          </div>
+        </div>
+
+        {error && (
+          <Card>
+            <CardContent className="text-center py-8 text-muted-foreground" data-testid="text-analytics-error">
+              {error.message.startsWith("401") || error.message.startsWith("503")
+                ? "Set a valid admin key on the dashboard to view analytics"
+                : "Failed to load analytics"}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Summary */}
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: "Requests", value: summary.total.toLocaleString(), hint: `${summary.errors} errors` },
+              { label: "Eligible rate", value: percent(summary.eligibleRate), hint: `${summary.eligible} with offers` },
+              { label: "Cache hit rate", value: percent(summary.cacheHitRate), hint: "of answered requests" },
+              { label: "Saved by backend", value: percent(summary.backendRate), hint: "of eligible answers" },
+            ].map(stat => (
+              <Card key={stat.label}>
+                <CardContent className="pt-6">
+                  <div className="text-sm text-muted-foreground">{stat.label}</div>
+                  <div className="text-2xl font-bold" data-testid={`text-${stat.label.toLowerCase().replace(/ /g, "-")}`}>{stat.value}</div>
+                  <div className="text-xs text-muted-foreground">{stat.hint}</div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        {/* Requests over time */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <TrendingUp className="h-5 w-5" />
+              Requests over time
+            </CardTitle>
+            <CardDescription>
+              Per {requests?.interval ?? "day"} (UTC), split by outcome
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ChartContainer config={requestsConfig} className="aspect-auto h-72 w-full">
+              <BarChart data={requestRows}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="start" tickFormatter={formatBucket} tickLine={false} axisLine={false} minTickGap={24} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+                <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => payload?.[0] ? formatBucket(payload[0].payload.start) : ""} />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                <Bar dataKey="eligible" stackId="outcome" fill="var(--color-eligible)" isAnimationActive={false} />
+                <Bar dataKey="zeroResults" stackId="outcome" fill="var(--color-zeroResults)" isAnimationActive={false} />
+                <Bar dataKey="errors" stackId="outcome" fill="var(--color-errors)" isAnimationActive={false} />
+              </BarChart>
+            </ChartContainer>
+          </CardContent>
+        </Card>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Eligible rate by platform */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Eligible rate by platform</CardTitle>
+              <CardDescription>Share of answered requests with at least one offer</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ChartContainer config={platformConfig} className="aspect-auto h-64 w-full">
+                <BarChart data={platforms?.platforms ?? []} layout="vertical" margin={{ left: 16 }}>
+                  <CartesianGrid horizontal={false} />
+                  <XAxis type="number" domain={[0, 1]} tickFormatter={percent} tickLine={false} axisLine={false} />
+                  <YAxis type="category" dataKey="platform" tickLine={false} axisLine={false} />
+                  <ChartTooltip content={<ChartTooltipContent formatter={(value, _, item) => `${percent(Number(value))} of ${item.payload.total}`} />} />
+                  <Bar dataKey="eligibleRate" fill="var(--color-eligibleRate)" radius={4} isAnimationActive={false} />
+                </BarChart>
+              </ChartContainer>
+            </CardContent>
+          </Card>
+
+          {/* Source breakdown */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Answer sources</CardTitle>
+              <CardDescription>Where each response came from</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ChartContainer config={sourceConfig} className="aspect-auto h-64 w-full">
+                <PieChart>
+                  <ChartTooltip content={<ChartTooltipContent nameKey="source" hideLabel />} />
+                  <Pie data={sources?.sources ?? []} dataKey="count" nameKey="source" innerRadius={50} isAnimationActive={false}>
+                    {sources?.sources.map(entry => (
+                      <Cell key={entry.source} fill={`var(--color-${entry.source})`} />
+                    ))}
+                  </Pie>
+                  <ChartLegend content={<ChartLegendContent nameKey="source" />} />
+                </PieChart>
+              </ChartContainer>
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <PackageSearch className="h-5 w-5" />
+                Top products
+              </CardTitle>
+              <CardDescription>Most looked-up products</CardDescription>
+            </CardHeader>
+            <CardContent>{renderProducts(topProducts, "lookups", "No requests in this range")}</CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <PackageSearch className="h-5 w-5" />
+                Top zero-result products
+              </CardTitle>
+              <CardDescription>Looked up most often without any eligible offer</CardDescription>
+            </CardHeader>
+            <CardContent>{renderProducts(zeroResults, "zeroResults", "Every lookup found offers")}</CardContent>
+          </Card>
+        </div>
+
+        {/* Coverage by ZIP */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <MapPin className="h-5 w-5" />
+              Coverage by ZIP
+            </CardTitle>
+            <CardDescription>Most looked-up ZIP codes and how often they had an eligible offer</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {zips && zips.zips.length > 0 ? (
+              <div className="space-y-3">
+                {zips.zips.map(zip => (
+                  <div key={zip.zip} className="grid grid-cols-[5rem_1fr_8rem] items-center gap-4 text-sm" data-testid={`row-zip-${zip.zip}`}>
+                    <span className="font-mono">{zip.zip}</span>
+                    <Progress value={zip.coverageRate * 100} />
+                    <span className="text-right">
+                      {zip.eligible === 0 ? (
+                        <Badge variant="destructive">No coverage</Badge>
+                      ) : (
+                        <>{percent(zip.coverageRate)} <span className="text-muted-foreground">of {zip.lookups}</span></>
+                      )}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-6 text-muted-foreground">No ZIP codes in this range</div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
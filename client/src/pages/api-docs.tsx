@@ -0,0 +1,284 @@
+import { useQuery } from "@tanstack/react-query";
+import { Link } from "wouter";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
+import { ArrowLeft, BookOpen, Download, Lock } from "lucide-react";
+
+// Just the parts of an OpenAPI 3.0 document this page renders
+interface JsonSchema {
+  $ref?: string;
+  type?: string;
+  enum?: unknown[];
+  nullable?: boolean;
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  additionalProperties?: boolean | JsonSchema;
+  anyOf?: JsonSchema[];
+  oneOf?: JsonSchema[];
+  allOf?: JsonSchema[];
+  default?: unknown;
+}
+
+interface Parameter {
+  name: string;
+  in: string;
+  required?: boolean;
+  description?: string;
+  schema: JsonSchema;
+}
+
+interface Operation {
+  tags?: string[];
+  summary?: string;
+  description?: string;
+  security?: Record<string, string[]>[];
+  parameters?: Parameter[];
+  requestBody?: { content: Record<string, { schema: JsonSchema }> };
+  responses: Record<string, { description: string; content?: Record<string, { schema: JsonSchema }> }>;
+}
+
+interface OpenApiDocument {
+  info: { title: string; version: string; description?: string };
+  paths: Record<string, Record<string, Operation>>;
+  components: {
+    schemas: Record<string, JsonSchema>;
+    securitySchemes?: Record<string, { name: string; description?: string }>;
+  };
+}
+
+const METHOD_STYLES: Record<string, string> = {
+  get: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100",
+  post: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100",
+  put: "bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-100",
+  patch: "bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-100",
+  delete: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100",
+};
+
+function refName(ref: string) {
+  return ref.split("/").pop()!;
+}
+
+// The document's descriptions use `backticks` for code
+function Prose({ text }: { text: string }) {
+  return (
+    <>
+      {text.split("`").map((part, i) => (
+        i % 2 === 1 ? <code key={i} className="font-mono text-xs bg-muted rounded px-1">{part}</code> : part
+      ))}
+    </>
+  );
+}
+
+// One-line type, e.g. "string | null", "ResolveResponse[]", "map of string"
+function TypeLabel({ schema }: { schema: JsonSchema }) {
+  if (schema.$ref) {
+    const name = refName(schema.$ref);
+    return <a href={`#schema-${name}`} className="text-primary hover:underline">{name}</a>;
+  }
+  const variants = schema.anyOf ?? schema.oneOf ?? schema.allOf;
+  let label: React.ReactNode;
+  if (variants) {
+    label = variants.map((variant, i) => (
+      <span key={i}>{i > 0 && (schema.allOf ? " & " : " | ")}<TypeLabel schema={variant} /></span>
+    ));
+  } else if (schema.enum) {
+    label = schema.enum.map(value => JSON.stringify(value)).join(" | ");
+  } else if (schema.type === "array" && schema.items) {
+    label = <><TypeLabel schema={schema.items} />[]</>;
+  } else if (schema.type === "object" && !schema.properties && typeof schema.additionalProperties === "object") {
+    label = <>map of <TypeLabel schema={schema.additionalProperties} /></>;
+  } else {
+    label = schema.type ?? "any";
+  }
+  return <>{label}{schema.nullable && " | null"}</>;
+}
+
+// Object properties as a table, nested objects indented below their field
+function SchemaFields({ schema, depth = 0 }: { schema: JsonSchema; depth?: number }) {
+  const target = schema.type === "array" && schema.items ? schema.items : schema;
+  if (!target.properties) {
+    return <div className="text-sm font-mono"><TypeLabel schema={schema} /></div>;
+  }
+
+  return (
+    <div className={depth > 0 ? "ml-4 border-l pl-3" : ""}>
+      {schema.type === "array" && <div className="text-xs text-muted-foreground mb-1">Array of:</div>}
+      {Object.entries(target.properties).map(([name, field]) => {
+        const nested = field.type === "array" ? field.items : field;
+        return (
+          <div key={name} className="py-1 text-sm">
+            <span className="font-mono font-medium">{name}</span>
+            {!target.required?.includes(name) && <span className="text-muted-foreground">?</span>}
+            <span className="font-mono text-muted-foreground">: <TypeLabel schema={field} /></span>
+            {field.default !== undefined && (
+              <span className="text-xs text-muted-foreground"> (default {JSON.stringify(field.default)})</span>
+            )}
+            {field.description && <div className="text-xs text-muted-foreground"><Prose text={field.description} /></div>}
+            {nested?.properties && <SchemaFields schema={nested} depth={depth + 1} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function OperationDetails({ operation, doc }: { operation: Operation; doc: OpenApiDocument }) {
+  const body = operation.requestBody?.content["application/json"]?.schema;
+  return (
+    <div className="space-y-4">
+      {operation.description && <p className="text-sm text-muted-foreground"><Prose text={operation.description} /></p>}
+
+      {operation.security?.map(requirement => Object.keys(requirement).map(name => (
+        <div key={name} className="flex items-center gap-2 text-sm">
+          <Lock className="h-4 w-4 text-muted-foreground" />
+          <span className="font-mono">{doc.components.securitySchemes?.[name]?.name ?? name}</span>
+          <span className="text-muted-foreground">({name})</span>
+        </div>
+      )))}
+
+      {operation.parameters && operation.parameters.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold mb-1">Parameters</h4>
+          {operation.parameters.map(parameter => (
+            <div key={`${parameter.in}-${parameter.name}`} className="py-1 text-sm">
+              <span className="font-mono font-medium">{parameter.name}</span>
+              {!parameter.required && <span className="text-muted-foreground">?</span>}
+              <Badge variant="outline" className="ml-2 text-xs">{parameter.in}</Badge>
+              <span className="font-mono text-muted-foreground ml-2"><TypeLabel schema={parameter.schema} /></span>
+              {parameter.description && <div className="text-xs text-muted-foreground">{parameter.description}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {body && (
+        <div>
+          <h4 className="text-sm font-semibold mb-1">Request body</h4>
+          <SchemaFields schema={body} />
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-semibold mb-1">Responses</h4>
+        {Object.entries(operation.responses).map(([status, response]) => {
+          const schema = response.content?.["application/json"]?.schema;
+          return (
+            <div key={status} className="py-1">
+              <div className="text-sm flex gap-2 flex-wrap">
+                <Badge variant={status.startsWith("2") ? "default" : "secondary"}>{status}</Badge>
+                <span><Prose text={response.description} /></span>
+                {schema && !schema.properties && (
+                  <span className="font-mono text-muted-foreground">→ <TypeLabel schema={schema} /></span>
+                )}
+              </div>
+              {schema?.properties && <SchemaFields schema={schema} depth={1} />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function ApiDocs() {
+  const { data: doc, isLoading, error } = useQuery<OpenApiDocument>({
+    queryKey: ["/api/openapi.json"],
+    staleTime: Infinity,
+  });
+
+  // Operations grouped by their first tag, in document order
+  const tags = new Map<string, { method: string; path: string; operation: Operation }[]>();
+  for (const [path, methods] of Object.entries(doc?.paths ?? {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const tag = operation.tags?.[0] ?? "Other";
+      tags.set(tag, [...(tags.get(tag) ?? []), { method, path, operation }]);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-end justify-between gap-4 flex-wrap">
+          <div>
+            <Link href="/" className="text-sm text-muted-foreground inline-flex items-center gap-1 hover:text-foreground">
+              <ArrowLeft className="h-4 w-4" />
+              Dashboard
+            </Link>
+            <h1 className="text-2xl font-bold text-foreground flex items-center gap-2 mt-1">
+              <BookOpen className="h-6 w-6 text-primary" />
+              {doc?.info.title ?? "API Reference"}
+              {doc && <Badge variant="outline">v{doc.info.version}</Badge>}
+            </h1>
+          </div>
+          <Button asChild variant="outline" className="gap-2" data-testid="link-openapi-json">
+            <a href="/api/openapi.json" download="localstock-openapi.json">
+              <Download className="h-4 w-4" />
+              openapi.json
+            </a>
+          </Button>
+        </div>
+
+        {doc?.info.description && (
+          <Card>
+            <CardContent className="pt-6 space-y-2 text-sm text-muted-foreground">
+              {doc.info.description.split("\n\n").map((paragraph, i) => <p key={i}><Prose text={paragraph} /></p>)}
+            </CardContent>
+          </Card>
+        )}
+
+        {isLoading && <p className="text-muted-foreground">Loading API document…</p>}
+        {error && <p className="text-destructive">Failed to load the API document: {(error as Error).message}</p>}
+
+        {Array.from(tags.entries()).map(([tag, operations]) => (
+          <Card key={tag}>
+            <CardHeader>
+              <CardTitle>{tag}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Accordion type="multiple">
+                {operations.map(({ method, path, operation }) => (
+                  <AccordionItem key={`${method} ${path}`} value={`${method} ${path}`}>
+                    <AccordionTrigger className="hover:no-underline" data-testid={`operation-${method}-${path}`}>
+                      <div className="flex items-center gap-3 text-left">
+                        <span className={`w-16 text-center rounded px-2 py-0.5 text-xs font-semibold uppercase ${METHOD_STYLES[method] ?? ""}`}>
+                          {method}
+                        </span>
+                        <span className="font-mono text-sm">{path}</span>
+                        <span className="text-sm text-muted-foreground hidden md:inline">{operation.summary}</span>
+                      </div>
+                    </AccordionTrigger>
+                    <AccordionContent>
+                      {doc && <OperationDetails operation={operation} doc={doc} />}
+                    </AccordionContent>
+                  </AccordionItem>
+                ))}
+              </Accordion>
+            </CardContent>
+          </Card>
+        ))}
+
+        {doc && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Schemas</CardTitle>
+              <CardDescription>Generated from the shared zod schemas</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {Object.entries(doc.components.schemas).map(([name, schema]) => (
+                <div key={name} id={`schema-${name}`} className="scroll-mt-6">
+                  <h3 className="font-mono font-semibold mb-1">{name}</h3>
+                  <SchemaFields schema={schema} />
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
+import { useState } from "react";
 import { useQuery } from "@tanstack/react-query";
+import { Link } from "wouter";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
-import { RefreshCw, Activity, Database, Clock, MapPin, TrendingUp } from "lucide-react";
+import { RefreshCw, Activity, Database, Clock, MapPin, TrendingUp, KeyRound, BarChart3, BookOpen } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
+import { useLiveResolveFeed } from "@/hooks/use-live-feed";
+import { apiRequest, getAdminKey, queryClient, setAdminKey } from "@/lib/queryClient";
 
 interface HealthData {
   status: string;
@@ -15,6 +20,23 @@ interface HealthData {
   };
 }
 
+interface ApiKeyUsage {
+  id: string;
+  name: string;
+  keyPrefix: string;
+  rateLimitPerMinute: number;
+  dailyQuota: number;
+  isActive: boolean;
+  usage: {
+    requests: number;
+    quotaUsed: number;
+    quotaRemaining: number;
+    rateLimited: number;
+    quotaExceeded: number;
+    lastUsedAt: string | null;
+  };
+}
+
 interface ResolveRequest {
   id: string;
   identifiers: Record<string, string>;
@@ -24,6 +46,11 @@ interface ResolveRequest {
   url: string;
   zipCode: string | null;
   success: boolean;
+  source: string | null;
+  requestId: string | null;
+  clientVersion: string | null;
+  latencyMs: number | null;
+  timings: { cacheMs: number; storageMs: number; upstreamMs: number } | null;
   createdAt: string;
   response?: any;
 }
@@ -36,23 +63,39 @@ export default function Dashboard() {
     refetchInterval: 30000, // Refresh every 30 seconds
   });
 
-  const { data: recentRequests, isLoading: requestsLoading, refetch: refetchRequests } = useQuery<ResolveRequest[]>({
+  const [adminKeyInput, setAdminKeyInput] = useState(getAdminKey());
+  const [savedAdminKey, setSavedAdminKey] = useState(getAdminKey());
+  const liveFeedConnected = useLiveResolveFeed(savedAdminKey);
+
+  const { data: recentRequests, isLoading: requestsLoading, error: requestsError, refetch: refetchRequests } = useQuery<ResolveRequest[]>({
     queryKey: ['/api/resolve/recent'],
-    refetchInterval: 60000, // Refresh every minute
+    // Polled every minute only while the live feed is down
+    refetchInterval: liveFeedConnected ? false : 60000,
+  });
+
+  const { data: apiKeys, refetch: refetchApiKeys } = useQuery<ApiKeyUsage[]>({
+    queryKey: ['/api/admin/keys'],
+    refetchInterval: 60000,
   });
 
+  const handleSaveAdminKey = () => {
+    setAdminKey(adminKeyInput.trim());
+    setSavedAdminKey(adminKeyInput.trim());
+    queryClient.invalidateQueries();
+    toast({
+      title: "Admin key saved",
+      description: "Admin routes will use the new key.",
+    });
+  };
+
   const handleClearCache = async () => {
     try {
-      const response = await fetch('/api/cache', { method: 'DELETE' });
-      if (response.ok) {
-        toast({
-          title: "Cache cleared",
-          description: "All cached resolve responses have been cleared.",
-        });
-        refetchHealth();
-      } else {
-        throw new Error('Failed to clear cache');
-      }
+      await apiRequest('DELETE', '/api/cache');
+      toast({
+        title: "Cache cleared",
+        description: "All cached resolve responses have been cleared.",
+      });
+      refetchHealth();
     } catch (error) {
       toast({
         title: "Error",
@@ -65,6 +108,7 @@ export default function Dashboard() {
   const handleRefresh = () => {
     refetchHealth();
     refetchRequests();
+    refetchApiKeys();
     toast({
       title: "Refreshed",
       description: "Dashboard data has been updated.",
@@ -104,12 +148,57 @@ export default function Dashboard() {
               Monitor real-time local product availability resolution
             </p>
           </div>
-          <Button onClick={handleRefresh} variant="outline" className="gap-2" data-testid="button-refresh">
-            <RefreshCw className="h-4 w-4" />
-            Refresh
-          </Button>
+          <div className="flex gap-2">
+            <Button asChild variant="outline" className="gap-2" data-testid="link-analytics">
+              <Link href="/analytics">
+                <BarChart3 className="h-4 w-4" />
+                Analytics
+              </Link>
+            </Button>
+            <Button asChild variant="outline" className="gap-2" data-testid="link-api-docs">
+              <Link href="/docs">
+                <BookOpen className="h-4 w-4" />
+                API Docs
+              </Link>
+            </Button>
+            <Button onClick={handleRefresh} variant="outline" className="gap-2" data-testid="button-refresh">
+              <RefreshCw className="h-4 w-4" />
+              Refresh
+            </Button>
+          </div>
         </div>
 
+        {/* Admin key for the protected routes (recent requests, cache, API keys) */}
+        {requestsError && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <KeyRound className="h-5 w-5" />
+                Admin Access
+              </CardTitle>
+              <CardDescription>
+                {requestsError.message.startsWith('503')
+                  ? 'Admin routes are disabled. Set ADMIN_API_KEY on the server to enable them.'
+                  : 'Enter the server\'s ADMIN_API_KEY to view requests, API key usage and clear the cache.'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="flex gap-2 max-w-md">
+                <Input
+                  type="password"
+                  placeholder="Admin key"
+                  value={adminKeyInput}
+                  onChange={(e) => setAdminKeyInput(e.target.value)}
+                  data-testid="input-admin-key"
+                />
+                <Button onClick={handleSaveAdminKey} data-testid="button-save-admin-key">
+                  Save
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Health Status */}
         <Card>
           <CardHeader>
@@ -170,6 +259,12 @@ export default function Dashboard() {
             <CardTitle className="flex items-center gap-2">
               <Clock className="h-5 w-5" />
               Recent Resolve Requests
+              {liveFeedConnected && (
+                <Badge variant="outline" className="ml-auto gap-1.5" data-testid="badge-live-feed">
+                  <span className="h-2 w-2 rounded-full bg-green-500 animate-pulse" />
+                  Live
+                </Badge>
+              )}
             </CardTitle>
             <CardDescription>
               Latest product resolution attempts and their outcomes
@@ -234,8 +329,19 @@ export default function Dashboard() {
                             </p>
                           )}
                         </div>
-                        <div className="text-right text-sm text-muted-foreground flex-shrink-0">
-                          {formatTimestamp(request.createdAt)}
+                        <div className="text-right text-sm text-muted-foreground flex-shrink-0 space-y-1">
+                          <div>{formatTimestamp(request.createdAt)}</div>
+                          {request.latencyMs !== null && (
+                            <div
+                              className="text-xs"
+                              title={request.timings
+                                ? `cache ${request.timings.cacheMs} ms · storage ${request.timings.storageMs} ms · upstream ${request.timings.upstreamMs} ms`
+                                : undefined}
+                              data-testid={`text-latency-${request.id}`}
+                            >
+                              {request.latencyMs} ms{request.source ? ` · ${request.source}` : ''}
+                            </div>
+                          )}
                         </div>
                       </div>
                       
@@ -246,15 +352,26 @@ export default function Dashboard() {
                               {key.toUpperCase()}: {value}
                             </span>
                           ))}
+                          {request.clientVersion && <span>Client: {request.clientVersion}</span>}
+                          {request.requestId && <span className="font-mono">Request: {request.requestId}</span>}
                         </div>
                         
-                        {request.success && request.response?.offers && (
-                          <div className="text-sm">
+                        <div className="flex items-center justify-between gap-2 text-sm">
+                          {request.success && request.response?.offers ? (
                             <span className="font-medium text-green-600">
                               {request.response.offers.length} local offer(s) found
                             </span>
-                          </div>
-                        )}
+                          ) : <span />}
+                          {request.response?.productId && (
+                            <Link
+                              href={`/products/${request.response.productId}`}
+                              className="text-primary hover:underline"
+                              data-testid={`link-history-${request.id}`}
+                            >
+                              Price history →
+                            </Link>
+                          )}
+                        </div>
                       </div>
                     </div>
                   ))}
@@ -268,6 +385,50 @@ export default function Dashboard() {
           </CardContent>
         </Card>
 
+        {/* API Key Usage */}
+        {apiKeys && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <KeyRound className="h-5 w-5" />
+                API Keys
+              </CardTitle>
+              <CardDescription>
+                Client keys with today's usage (UTC) against their limits
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-3">
+                {apiKeys.map((apiKey) => (
+                  <div key={apiKey.id} className="border rounded-lg p-4 flex items-start justify-between gap-4" data-testid={`api-key-${apiKey.id}`}>
+                    <div className="space-y-1 min-w-0">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <span className="font-medium">{apiKey.name}</span>
+                        <Badge variant="outline" className="font-mono text-xs">{apiKey.keyPrefix}…</Badge>
+                        <Badge variant={apiKey.isActive ? 'default' : 'destructive'}>
+                          {apiKey.isActive ? 'Active' : 'Revoked'}
+                        </Badge>
+                      </div>
+                      <p className="text-sm text-muted-foreground">
+                        {apiKey.rateLimitPerMinute}/min · {apiKey.dailyQuota} per day
+                        {apiKey.usage.lastUsedAt && ` · last used ${formatTimestamp(apiKey.usage.lastUsedAt)}`}
+                      </p>
+                    </div>
+                    <div className="text-right text-sm flex-shrink-0">
+                      <div className="font-medium">
+                        {apiKey.usage.quotaUsed} / {apiKey.dailyQuota}
+                      </div>
+                      <div className="text-muted-foreground">
+                        {apiKey.usage.rateLimited} rate limited · {apiKey.usage.quotaExceeded} over quota
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Extension Info */}
         <Card>
           <CardHeader>
@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Link, useParams } from "wouter";
+import { format } from "date-fns";
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from "@/components/ui/chart";
+import { ArrowLeft, Package, TrendingDown } from "lucide-react";
+import type { ProductHistory } from "@shared/schema";
+
+const RANGES = [7, 30, 90] as const;
+
+type Series = ProductHistory["series"][number];
+type Point = Series["points"][number];
+type ChartRow = { t: number } & Record<string, number | null>;
+
+function seriesLabel(series: Series) {
+  return `${series.storeName} (${series.availabilityType})`;
+}
+
+// Merges every series onto one time axis. Each point holds until the next,
+// so a series carries its last value forward and extends to now.
+function buildRows(series: Series[], value: (point: Point) => number | null): ChartRow[] {
+  const times = new Set<number>([Date.now()]);
+  series.forEach(s => s.points.forEach(p => times.add(Date.parse(p.recordedAt))));
+
+  return Array.from(times).sort((a, b) => a - b).map(t => {
+    const row: ChartRow = { t };
+    series.forEach((s, i) => {
+      const current = s.points.filter(p => Date.parse(p.recordedAt) <= t).pop();
+      row[`s${i}`] = current ? value(current) : null;
+    });
+    return row;
+  });
+}
+
+export default function ProductDetail() {
+  const { id } = useParams<{ id: string }>();
+  const [days, setDays] = useState<number>(30);
+
+  const { data: history, isLoading, error } = useQuery<ProductHistory>({
+    queryKey: [`/api/products/${id}/history?days=${days}`],
+  });
+
+  const chartConfig: ChartConfig = {};
+  history?.series.forEach((s, i) => {
+    chartConfig[`s${i}`] = { label: seriesLabel(s), color: `var(--chart-${(i % 5) + 1})` };
+  });
+
+  const priceRows = history ? buildRows(history.series, p => p.priceCents !== undefined ? p.priceCents / 100 : null) : [];
+  // Out of stock plots as 0 units; in stock with an unknown level leaves a gap
+  const stockRows = history ? buildRows(history.series, p => p.inStock ? p.stockLevel : 0) : [];
+
+  const formatTick = (t: number) => format(new Date(t), days <= 7 ? "MMM d HH:mm" : "MMM d");
+  const formatLabel = (_: unknown, payload: any[]) =>
+    payload?.[0] ? format(new Date(payload[0].payload.t), "MMM d, yyyy HH:mm") : "";
+
+  const renderChart = (rows: ChartRow[], unit: "price" | "stock") => (
+    <ChartContainer config={chartConfig} className="aspect-auto h-72 w-full">
+      <LineChart data={rows} margin={{ left: 8, right: 8 }}>
+        <CartesianGrid vertical={false} />
+        <XAxis
+          dataKey="t"
+          type="number"
+          scale="time"
+          domain={["dataMin", "dataMax"]}
+          tickFormatter={formatTick}
+          tickLine={false}
+          axisLine={false}
+        />
+        <YAxis
+          tickLine={false}
+          axisLine={false}
+          allowDecimals={unit === "price"}
+          tickFormatter={(v: number) => unit === "price" ? `$${v}` : String(v)}
+          domain={unit === "price" ? ["auto", "auto"] : [0, "auto"]}
+        />
+        <ChartTooltip content={<ChartTooltipContent labelFormatter={formatLabel} />} />
+        <ChartLegend content={<ChartLegendContent />} />
+        {history?.series.map((_, i) => (
+          <Line
+            key={i}
+            dataKey={`s${i}`}
+            type="stepAfter"
+            stroke={`var(--color-s${i})`}
+            strokeWidth={2}
+            dot={false}
+            connectNulls={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    </ChartContainer>
+  );
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <Link href="/" className="text-sm text-muted-foreground inline-flex items-center gap-1 hover:text-foreground">
+              <ArrowLeft className="h-4 w-4" />
+              Dashboard
+            </Link>
+            <h1 className="text-2xl font-bold text-foreground flex items-center gap-2 mt-1">
+              <Package className="h-6 w-6 text-primary flex-shrink-0" />
+              <span className="truncate" title={history?.product.title}>
+                {history?.product.title ?? "Product"}
+              </span>
+            </h1>
+            {history && (
+              <div className="flex gap-2 mt-2 flex-wrap">
+                <Badge variant="outline">{history.product.platform}</Badge>
+                {history.product.brand && <Badge variant="outline">{history.product.brand}</Badge>}
+                {history.product.price && <Badge variant="outline">Online: {history.product.price}</Badge>}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2 flex-shrink-0">
+            {RANGES.map(range => (
+              <Button
+                key={range}
+                size="sm"
+                variant={days === range ? "default" : "outline"}
+                onClick={() => setDays(range)}
+                data-testid={`button-range-${range}`}
+              >
+                {range}d
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : error || !history ? (
+          <Card>
+            <CardContent className="text-center py-8 text-muted-foreground" data-testid="text-history-error">
+              {error?.message.startsWith("404") ? "Product not found" : "Failed to load product history"}
+            </CardContent>
+          </Card>
+        ) : history.series.length === 0 ? (
+          <Card>
+            <CardContent className="text-center py-8 text-muted-foreground" data-testid="text-no-history">
+              No offers recorded for this product in the last {days} days
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <TrendingDown className="h-5 w-5" />
+                  Price
+                </CardTitle>
+                <CardDescription>
+                  Local price per store since {format(new Date(history.since), "MMM d, yyyy")}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>{renderChart(priceRows, "price")}</CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Package className="h-5 w-5" />
+                  Availability
+                </CardTitle>
+                <CardDescription>
+                  Units in stock per store; 0 while out of stock
+                </CardDescription>
+              </CardHeader>
+              <CardContent>{renderChart(stockRows, "stock")}</CardContent>
+            </Card>
+
+            {/* Latest state per store */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Stores</CardTitle>
+                <CardDescription>Latest recorded state and number of changes in range</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {history.series.map(s => {
+                  const latest = s.points[s.points.length - 1];
+                  return (
+                    <div key={s.offerId} className="border rounded-lg p-4 flex items-start justify-between gap-4" data-testid={`series-${s.offerId}`}>
+                      <div className="min-w-0">
+                        <div className="font-medium">{seriesLabel(s)}</div>
+                        <div className="text-sm text-muted-foreground truncate">{s.address}</div>
+                      </div>
+                      <div className="text-right text-sm flex-shrink-0 space-y-1">
+                        <div className="flex items-center gap-2 justify-end">
+                          <span className="font-medium">{latest.price}</span>
+                          <Badge variant={latest.inStock ? "default" : "destructive"}>
+                            {latest.inStock ? `In stock${latest.stockLevel !== null ? ` (${latest.stockLevel})` : ""}` : "Out of stock"}
+                          </Badge>
+                        </div>
+                        <div className="text-muted-foreground">
+                          {s.points.length} snapshot(s) · since {format(new Date(latest.recordedAt), "MMM d HH:mm")}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
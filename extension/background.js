@@ -1,6 +1,9 @@
 // LocalStock Extension Background Service Worker
 // Handles product resolution requests and manages caching
 
+// Price formatting shared with the content script
+importScripts('utils/price.js');
+
 const DEFAULT_RESOLVE_BASE = 'http://localhost:5000/api'; // Resolve API (default)
 // Optional: backend ingestion API (from your external backend doc)
 // Default to localhost:8000; override via storage or SET_INGEST_CONFIG message
@@ -10,12 +13,32 @@ let INGEST_API_KEY = '';
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 const MAX_CACHE_ENTRIES = 200;
 
+// Watchlist: products re-resolved on an alarm, with desktop notifications
+const WATCHLIST_ALARM = 'localstock-watchlist';
+const WATCH_CHECK_MINUTES = 30;
+const MAX_WATCH_ITEMS = 20;
+const NOTIFICATION_PREFIX = 'localstock-watch-';
+
+// Live updates: the resolve server pushes offer changes over a WebSocket
+const LIVE_KEEPALIVE_MS = 20 * 1000; // app-level ping; also keeps the worker alive
+const LIVE_RECONNECT_MS = 5 * 1000;
+
 // In-memory cache for resolved products
 const resolveCache = new Map();
 
 // Debounce map to prevent duplicate simultaneous requests
 const requestDebounce = new Map();
 
+// Set from Retry-After when the resolve API answers 429; no calls until then
+let rateLimitedUntil = 0;
+
+// Tab id -> { request, cacheKey } for the product each tab is showing
+const liveSubscriptions = new Map();
+let liveSocket = null;
+let liveAuthenticated = false; // subscriptions are sent once the server accepts the key
+let liveKeepalive = null;
+let liveReconnectTimer = null;
+
 // Extension installation handler
 chrome.runtime.onInstalled.addListener(() => {
   console.log('LocalStock extension installed');
@@ -24,14 +47,51 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.storage.sync.set({
     enabled: true,
     zipCode: '',
+    country: 'US',
     showDelivery: true,
     showPickup: true,
     maxDistance: 5,
+    sortStrategy: 'fastest',
+    hideMoreExpensive: false,
   debugMode: false,
   resolveApiBase: DEFAULT_RESOLVE_BASE,
   ingestApiBase: DEFAULT_INGEST_BASE,
   ingestApiKey: ''
   });
+  
+  scheduleWatchlistChecks();
+});
+
+// Alarms survive restarts, but re-create in case the browser dropped it
+chrome.runtime.onStartup.addListener(scheduleWatchlistChecks);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHLIST_ALARM) {
+    checkWatchlist().catch(error => console.error('LocalStock: Watchlist check failed', error));
+  }
+});
+
+// A closed tab no longer needs live updates
+chrome.tabs.onRemoved.addListener((tabId) => liveUnsubscribe(tabId));
+
+// A new page load replaces whatever the tab was showing
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    liveUnsubscribe(tabId);
+  }
+});
+
+// Notifications deep-link to the offer that triggered them
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  
+  const itemId = notificationId.slice(NOTIFICATION_PREFIX.length);
+  const item = (await getWatchlist()).find(entry => entry.id === itemId);
+  const url = item?.lastAlert?.url || item?.product.url;
+  if (url) {
+    chrome.tabs.create({ url });
+  }
+  chrome.notifications.clear(notificationId);
 });
 
 // Message handler for content script communication
@@ -48,8 +108,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message.type === 'GET_SETTINGS') {
     chrome.storage.sync.get([
-      'enabled', 'zipCode', 'showDelivery', 'showPickup', 
-      'maxDistance', 'debugMode', 'resolveApiBase', 'ingestApiBase', 'ingestApiKey'
+      'enabled', 'zipCode', 'country', 'showDelivery', 'showPickup', 
+      'maxDistance', 'sortStrategy', 'hideMoreExpensive', 'debugMode', 'resolveApiBase', 'resolveApiKey', 'ingestApiBase', 'ingestApiKey'
     ], sendResponse);
     return true;
   }
@@ -64,27 +124,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Ping server health (debug helper)
   if (message.type === 'PING_SERVER') {
     getResolveBase().then((base) => {
-      fetch(`${base}/health`)
-        .then(r => r.json())
+      fetch(versionedUrl(base, '/health'))
+        .then(readEnvelope)
         .then(data => sendResponse({ ok: true, data }))
         .catch(err => sendResponse({ ok: false, error: err.message }));
     });
     return true; 
   }
 
-  // Clear caches: local (background) + server-side
+  // Clear local (background) caches; the server cache is admin-only
   if (message.type === 'CLEAR_CACHE') {
-    try {
-      resolveCache.clear();
-      requestDebounce.clear();
-    } catch {}
-    getResolveBase().then((base) => {
-      fetch(`${base}/cache`, { method: 'DELETE' })
-        .then(r => r.json().catch(() => ({})))
-        .then(data => sendResponse({ ok: true, data }))
-        .catch(err => sendResponse({ ok: false, error: err.message }));
-    });
-    return true; 
+    resolveCache.clear();
+    requestDebounce.clear();
+    rateLimitedUntil = 0;
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  // Export or delete what the resolve server logged for this install (options page)
+  if (message.type === 'EXPORT_MY_DATA') {
+    callPrivacyApi('GET', '/privacy/export')
+      .then(data => sendResponse({ data }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'DELETE_MY_DATA') {
+    callPrivacyApi('DELETE', '/privacy/data')
+      .then(({ deleted }) => sendResponse({ deleted }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
   }
 
   // Configure resolve API base (so we can point to a remote backend)
@@ -109,6 +178,49 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Watchlist management (panel and popup)
+  if (message.type === 'GET_WATCHLIST') {
+    getWatchlist().then(watchlist => sendResponse({ watchlist }));
+    return true;
+  }
+  
+  if (message.type === 'GET_WATCH_STATUS') {
+    getSettings(['zipCode']).then(async ({ zipCode }) => {
+      const key = watchKey(message.data, zipCode);
+      const item = (await getWatchlist()).find(entry => entry.key === key);
+      sendResponse({ item: item || null });
+    });
+    return true;
+  }
+  
+  if (message.type === 'WATCH_PRODUCT') {
+    addWatchItem(message.data)
+      .then(item => sendResponse({ item }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'UPDATE_WATCH') {
+    updateWatchItem(message.data || {})
+      .then(item => sendResponse({ item }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'UNWATCH_PRODUCT') {
+    removeWatchItem(message.data?.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'CHECK_WATCHLIST') {
+    checkWatchlist()
+      .then(watchlist => sendResponse({ watchlist }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
   // Optional pass-throughs to ingestion endpoints for testing/external use
   if (message.type === 'INGEST_OFFER') {
     postIngest('/api/ingest/offer', message.data)
@@ -143,8 +255,8 @@ async function handleProductResolve(productData, tabId) {
     // Get user settings
     const settings = await new Promise(resolve => {
       chrome.storage.sync.get([
-        'enabled', 'zipCode', 'showDelivery', 'showPickup', 
-        'maxDistance', 'debugMode'
+        'enabled', 'zipCode', 'country', 'showDelivery', 'showPickup', 
+        'maxDistance', 'sortStrategy', 'hideMoreExpensive', 'debugMode'
       ], resolve);
     });
     
@@ -154,7 +266,7 @@ async function handleProductResolve(productData, tabId) {
     }
     
     // Generate cache key
-    const cacheKey = generateCacheKey(productData, settings.zipCode);
+    const cacheKey = generateCacheKey(productData, settings.zipCode, settings.sortStrategy, settings.country);
     
     // Check cache first
     const cachedResult = getCachedResult(cacheKey);
@@ -162,9 +274,16 @@ async function handleProductResolve(productData, tabId) {
       if (settings.debugMode) {
         console.log('LocalStock: Cache hit', cacheKey);
       }
+      if (tabId !== undefined) {
+        liveSubscribe(tabId, buildResolveRequest(productData, settings.zipCode, settings.sortStrategy, settings.country), cacheKey);
+      }
       return { ...cachedResult, cached: true };
     }
     
+    if (Date.now() < rateLimitedUntil) {
+      return { eligible: false, reason: 'Rate limited', offers: [] };
+    }
+    
     // Check for existing request to prevent duplicates
     const debounceKey = `${cacheKey}-${Date.now().toString().slice(-3)}`;
     if (requestDebounce.has(cacheKey)) {
@@ -179,54 +298,19 @@ async function handleProductResolve(productData, tabId) {
     
     try {
       // Prepare resolve request
-      const resolveRequest = {
-        identifiers: productData.identifiers || {},
-        brand: productData.brand,
-        title: productData.title,
-        variant: productData.variant,
-        price: productData.price,
-        currency: productData.currency || 'USD',
-        attributes: productData.attributes || {},
-        platform: productData.platform,
-        url: productData.url,
-        zip: settings.zipCode
-      };
+      const resolveRequest = buildResolveRequest(productData, settings.zipCode, settings.sortStrategy, settings.country);
       
       if (settings.debugMode) {
         console.log('LocalStock: Resolving product', resolveRequest);
       }
       
       // Make API request
-  const response = await fetch(`${resolveBase}/resolve`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(resolveRequest)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status}`);
+      const result = await callResolveApi(resolveBase, resolveRequest, settings.debugMode);
+      if (result.rateLimited) {
+        return { eligible: false, reason: 'Rate limited', offers: [] };
       }
       
-      const result = await response.json();
-      
-      // Apply user preference filters
-      if (result.offers) {
-        result.offers = result.offers.filter(offer => {
-          if (!settings.showDelivery && offer.availabilityType === 'delivery') {
-            return false;
-          }
-          if (!settings.showPickup && offer.availabilityType === 'pickup') {
-            return false;
-          }
-          if (offer.availabilityType === 'pickup' && 
-              offer.distanceMiles > settings.maxDistance) {
-            return false;
-          }
-          return true;
-        });
-      }
+      applyOfferFilters(result, settings);
       
       // Cache the result if successful
       if (result.eligible && result.offers?.length > 0) {
@@ -237,6 +321,10 @@ async function handleProductResolve(productData, tabId) {
         console.log('LocalStock: Resolve result', result);
       }
       
+      if (tabId !== undefined) {
+        liveSubscribe(tabId, resolveRequest, cacheKey);
+      }
+      
       return result;
       
     } finally {
@@ -254,6 +342,427 @@ async function handleProductResolve(productData, tabId) {
   }
 }
 
+// Apply user preference filters (in place)
+function applyOfferFilters(result, settings) {
+  if (!result.offers) return result;
+  
+  result.offers = result.offers.filter(offer => {
+    if (!settings.showDelivery && offer.availabilityType === 'delivery') {
+      return false;
+    }
+    if (!settings.showPickup && offer.availabilityType === 'pickup') {
+      return false;
+    }
+    if (offer.availabilityType === 'pickup' && 
+        offer.distanceMiles > settings.maxDistance) {
+      return false;
+    }
+    if (settings.hideMoreExpensive && typeof offer.savingsCents === 'number' &&
+        offer.savingsCents < 0) {
+      return false;
+    }
+    return true;
+  });
+  return result;
+}
+
+// `country` is the shopper's, which the postal code belongs to
+function buildResolveRequest(productData, zip, sort, country) {
+  return {
+    identifiers: productData.identifiers || {},
+    brand: productData.brand,
+    title: productData.title,
+    variant: productData.variant,
+    price: productData.price,
+    currency: productData.currency || 'USD',
+    attributes: productData.attributes || {},
+    platform: productData.platform,
+    url: productData.url,
+    zip,
+    country: country || 'US',
+    sort: sort || 'fastest'
+  };
+}
+
+// POSTs to /resolve with the client API key. On 429 it honours Retry-After
+// and returns { rateLimited: true }; no calls are made until it elapses.
+async function callResolveApi(resolveBase, resolveRequest, debugMode) {
+  if (Date.now() < rateLimitedUntil) {
+    return { rateLimited: true };
+  }
+  
+  const apiKey = await getResolveApiKey();
+  if (!apiKey) {
+    throw new Error('Set your API key in options');
+  }
+  const response = await fetch(versionedUrl(resolveBase, '/resolve'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': apiKey,
+      'X-Client-Version': chrome.runtime.getManifest().version,
+      'X-Install-Id': await getInstallId(),
+    },
+    body: JSON.stringify(resolveRequest)
+  });
+  
+  if (response.status === 429) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+    rateLimitedUntil = Date.now() + retryAfter * 1000;
+    if (debugMode) {
+      console.log(`LocalStock: Rate limited for ${retryAfter}s`);
+    }
+    return { rateLimited: true };
+  }
+  if (response.status === 401) {
+    throw new Error('Unauthorized (check the API key in options)');
+  }
+  if (!response.ok) {
+    // The request ID ties a bug report to the server's log record
+    const requestId = response.headers.get('X-Request-Id');
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(`API request failed: ${error?.code || response.status}${requestId ? ` (request ${requestId})` : ''}`);
+  }
+  
+  const result = await readEnvelope(response);
+  if (debugMode && !result.eligible) {
+    console.log(`LocalStock: Not eligible (${result.reason})`);
+  }
+  return result;
+}
+
+// ----------------------------
+// Live updates
+// ----------------------------
+// While any tab shows a product, one WebSocket to the resolve server's /ws
+// carries a subscription per tab (id "tab-<tabId>"). Pushed responses are
+// filtered like fresh results, refresh the local cache and are relayed to the
+// tab as LIVE_OFFERS. The socket closes when the last tab goes away.
+function liveSubscribe(tabId, request, cacheKey) {
+  liveSubscriptions.set(tabId, { request, cacheKey });
+  if (liveSocket && liveAuthenticated) {
+    liveSocket.send(JSON.stringify({ type: 'subscribe', id: `tab-${tabId}`, request }));
+  } else {
+    connectLiveSocket().catch(error => console.error('LocalStock: Live connection failed', error));
+  }
+}
+
+function liveUnsubscribe(tabId) {
+  if (!liveSubscriptions.delete(tabId)) return;
+  
+  if (liveSubscriptions.size === 0) {
+    disconnectLiveSocket();
+  } else if (liveSocket && liveAuthenticated) {
+    liveSocket.send(JSON.stringify({ type: 'unsubscribe', id: `tab-${tabId}` }));
+  }
+}
+
+// ws(s)://host/ws from the resolve base (e.g. http://localhost:5000/api)
+async function getLiveUrl() {
+  const base = new URL(await getResolveBase());
+  base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+  base.pathname = '/ws';
+  base.search = '';
+  return base.toString();
+}
+
+async function connectLiveSocket() {
+  if (liveSocket || liveReconnectTimer) return;
+  const apiKey = await getResolveApiKey();
+  if (!apiKey || liveSocket) return;
+  
+  const socket = new WebSocket(await getLiveUrl());
+  liveSocket = socket;
+  
+  // The key goes in the first message rather than the URL
+  socket.addEventListener('open', () => {
+    socket.send(JSON.stringify({ type: 'auth', key: apiKey }));
+  });
+  
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'authenticated') {
+      liveAuthenticated = true;
+      liveSubscriptions.forEach(({ request }, tabId) => {
+        socket.send(JSON.stringify({ type: 'subscribe', id: `tab-${tabId}`, request }));
+      });
+      liveKeepalive = setInterval(() => socket.send(JSON.stringify({ type: 'ping' })), LIVE_KEEPALIVE_MS);
+      return;
+    }
+    handleLiveMessage(message)
+      .catch(error => console.error('LocalStock: Live update failed', error));
+  });
+  
+  socket.addEventListener('close', () => {
+    clearInterval(liveKeepalive);
+    liveKeepalive = null;
+    if (liveSocket !== socket) return;
+    liveSocket = null;
+    liveAuthenticated = false;
+    
+    // Dropped while tabs still need it: try again shortly
+    if (liveSubscriptions.size > 0) {
+      liveReconnectTimer = setTimeout(() => {
+        liveReconnectTimer = null;
+        if (liveSubscriptions.size > 0) {
+          connectLiveSocket().catch(error => console.error('LocalStock: Live connection failed', error));
+        }
+      }, LIVE_RECONNECT_MS);
+    }
+  });
+}
+
+function disconnectLiveSocket() {
+  clearTimeout(liveReconnectTimer);
+  liveReconnectTimer = null;
+  const socket = liveSocket;
+  liveSocket = null;
+  liveAuthenticated = false;
+  socket?.close();
+}
+
+async function handleLiveMessage(message) {
+  const settings = await getSettings([
+    'enabled', 'showDelivery', 'showPickup', 'maxDistance', 'hideMoreExpensive', 'debugMode'
+  ]);
+  if (settings.debugMode) {
+    console.log('LocalStock: Live message', message);
+  }
+  if (message.type !== 'offers' || !settings.enabled) return;
+  
+  const tabId = Number(message.id.replace('tab-', ''));
+  const subscription = liveSubscriptions.get(tabId);
+  if (!subscription) return;
+  
+  const result = applyOfferFilters({ ...message.response }, settings);
+  if (result.eligible && result.offers?.length > 0) {
+    setCachedResult(subscription.cacheKey, result);
+  } else {
+    resolveCache.delete(subscription.cacheKey);
+  }
+  
+  chrome.tabs.sendMessage(tabId, {
+    type: 'LIVE_OFFERS',
+    data: { url: subscription.request.url, result, changes: message.changes },
+  }).catch(() => liveUnsubscribe(tabId)); // tab navigated away or closed
+}
+
+// ----------------------------
+// Watchlist
+// ----------------------------
+// Items live in chrome.storage.local under "watchlist". Each check
+// re-resolves the product for the item's ZIP and notifies when:
+//  - a pickup offer within maxDistance appears after none was available
+//  - the lowest nearby price falls below the item's target (again only once
+//    per new low, re-armed when the price goes back above the target)
+function scheduleWatchlistChecks() {
+  chrome.alarms.create(WATCHLIST_ALARM, { periodInMinutes: WATCH_CHECK_MINUTES });
+}
+
+function getSettings(keys) {
+  return new Promise(resolve => chrome.storage.sync.get(keys, resolve));
+}
+
+async function getWatchlist() {
+  const { watchlist } = await new Promise(resolve => chrome.storage.local.get(['watchlist'], resolve));
+  return Array.isArray(watchlist) ? watchlist : [];
+}
+
+async function saveWatchlist(watchlist) {
+  await new Promise(resolve => chrome.storage.local.set({ watchlist }, resolve));
+}
+
+// One entry per product and ZIP
+function watchKey(productData, zip) {
+  const ids = productData?.identifiers || {};
+  const id = ids.gtin || ids.upc || ids.ean || ids.asin || ids.sku || productData?.url;
+  return `${productData?.platform}|${id}|${zip || ''}`;
+}
+
+async function addWatchItem({ productData, targetPriceCents }) {
+  const { zipCode, country } = await getSettings(['zipCode', 'country']);
+  if (!zipCode) {
+    throw new Error('Set your postal code to watch products');
+  }
+  if (!productData?.identifiers || Object.keys(productData.identifiers).length === 0) {
+    throw new Error('No product identifiers to watch');
+  }
+  
+  const watchlist = await getWatchlist();
+  const key = watchKey(productData, zipCode);
+  let item = watchlist.find(entry => entry.key === key);
+  
+  if (item) {
+    item.targetPriceCents = targetPriceCents ?? null;
+    item.alertedPriceCents = null;
+  } else {
+    if (watchlist.length >= MAX_WATCH_ITEMS) {
+      throw new Error(`Watchlist is full (${MAX_WATCH_ITEMS} products)`);
+    }
+    item = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      key,
+      product: {
+        identifiers: productData.identifiers,
+        platform: productData.platform,
+        url: productData.url,
+        title: productData.title,
+        brand: productData.brand,
+        variant: productData.variant,
+        price: productData.price,
+        currency: productData.currency,
+      },
+      zip: zipCode,
+      country: country || 'US',
+      targetPriceCents: targetPriceCents ?? null,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      availableNearby: null, // unknown until the first check
+      bestOffer: null,
+      alertedPriceCents: null,
+      lastAlert: null,
+    };
+    watchlist.push(item);
+  }
+  
+  await saveWatchlist(watchlist);
+  
+  // First check sets the baseline for back-in-stock alerts
+  const [checked] = await checkWatchlist([item.id]);
+  return checked || item;
+}
+
+// Changes the target price; null watches availability only
+async function updateWatchItem({ id, targetPriceCents }) {
+  const watchlist = await getWatchlist();
+  const item = watchlist.find(entry => entry.id === id);
+  if (!item) {
+    throw new Error('Watch item not found');
+  }
+  item.targetPriceCents = targetPriceCents ?? null;
+  item.alertedPriceCents = null;
+  await saveWatchlist(watchlist);
+  return item;
+}
+
+async function removeWatchItem(id) {
+  const watchlist = await getWatchlist();
+  await saveWatchlist(watchlist.filter(entry => entry.id !== id));
+  chrome.notifications.clear(`${NOTIFICATION_PREFIX}${id}`);
+}
+
+// Checks every item (or just `ids`) one at a time, stopping early when rate
+// limited. Returns the checked items.
+async function checkWatchlist(ids) {
+  const settings = await getSettings(['enabled', 'maxDistance', 'showDelivery', 'debugMode']);
+  // Scheduled checks pause with the extension; explicit ones still run
+  if (!ids && settings.enabled === false) return [];
+  const resolveBase = await getResolveBase();
+  const checked = [];
+  
+  for (const item of await getWatchlist()) {
+    if (ids && !ids.includes(item.id)) continue;
+    
+    try {
+      const result = await callResolveApi(
+        resolveBase,
+        buildResolveRequest(item.product, item.zip, 'cheapest', item.country),
+        settings.debugMode
+      );
+      if (result.rateLimited) break;
+      
+      const update = evaluateWatchItem(item, result.offers || [], settings);
+      // Re-read so concurrent edits (e.g. removals from the popup) aren't lost
+      const watchlist = await getWatchlist();
+      const index = watchlist.findIndex(entry => entry.id === item.id);
+      if (index === -1) continue;
+      watchlist[index] = { ...watchlist[index], ...update.item };
+      await saveWatchlist(watchlist);
+      checked.push(watchlist[index]);
+      
+      if (update.alert) {
+        notifyWatchAlert(watchlist[index], update.alert);
+      }
+    } catch (error) {
+      console.error('LocalStock: Watch check failed for', item.product.title, error);
+    }
+  }
+  
+  return checked;
+}
+
+function evaluateWatchItem(item, offers, settings) {
+  const maxDistance = settings.maxDistance || 5;
+  const inStock = offers.filter(offer => offer.inStock !== false);
+  const pickupNearby = inStock.filter(offer =>
+    offer.availabilityType === 'pickup' && (offer.distanceMiles == null || offer.distanceMiles <= maxDistance)
+  );
+  const priced = inStock
+    .filter(offer => pickupNearby.includes(offer) ||
+      (settings.showDelivery !== false && offer.availabilityType === 'delivery'))
+    .filter(offer => typeof offer.priceCents === 'number')
+    .sort((a, b) => a.priceCents - b.priceCents);
+  
+  const availableNearby = pickupNearby.length > 0;
+  const best = priced[0] || null;
+  const next = {
+    lastCheckedAt: new Date().toISOString(),
+    availableNearby,
+    bestOffer: best && {
+      storeName: best.storeName,
+      availabilityType: best.availabilityType,
+      price: best.price,
+      priceCents: best.priceCents,
+      distance: best.distance,
+    },
+    alertedPriceCents: item.alertedPriceCents,
+  };
+  
+  let alert = null;
+  if (item.availableNearby === false && availableNearby) {
+    const offer = pickupNearby[0];
+    alert = {
+      kind: 'back-in-stock',
+      title: 'Back in stock nearby',
+      message: `Available for pickup at ${offer.storeName}${offer.distance ? ` (${offer.distance})` : ''} for ${offer.price}`,
+      url: offer.deepLink || item.product.url,
+    };
+  }
+  
+  const target = item.targetPriceCents;
+  if (typeof target === 'number') {
+    if (best && best.priceCents < target) {
+      if (item.alertedPriceCents === null || best.priceCents < item.alertedPriceCents) {
+        next.alertedPriceCents = best.priceCents;
+        alert = alert || {
+          kind: 'price-drop',
+          title: 'Price drop',
+          message: `${best.price} at ${best.storeName}, below your ${LocalStockPrice.formatCents(target, item.product.currency)} target`,
+          url: best.deepLink || item.product.url,
+        };
+      }
+    } else {
+      next.alertedPriceCents = null;
+    }
+  }
+  
+  if (alert) {
+    next.lastAlert = { ...alert, at: new Date().toISOString() };
+  }
+  return { item: next, alert };
+}
+
+function notifyWatchAlert(item, alert) {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${item.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon-128.png',
+    title: `LocalStock: ${alert.title}`,
+    message: alert.message,
+    contextMessage: item.product.title || '',
+    priority: 1,
+  });
+}
+
 // ----------------------------
 // Ingestion helpers (optional)
 // ----------------------------
@@ -268,6 +777,58 @@ async function getResolveBase() {
     });
   });
 }
+
+// The resolve base is the API root (e.g. http://localhost:5000/api); calls go
+// to its /v1 routes, which wrap every body in { ok, data | error, meta }
+function versionedUrl(base, path) {
+  return `${base}/v1${path}`;
+}
+
+async function readEnvelope(response) {
+  const body = await response.json();
+  if (!body.ok) {
+    throw new Error(body.error?.message || `API request failed: ${response.status}`);
+  }
+  return body.data;
+}
+
+// Client key sent as X-API-Key; there is no default, the server's admin issues one
+async function getResolveApiKey() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get(['resolveApiKey'], ({ resolveApiKey }) => {
+      resolve(typeof resolveApiKey === 'string' ? resolveApiKey : '');
+    });
+  });
+}
+
+// Random ID for this install, sent as X-Install-Id so the server can export or
+// delete what it logged about us. Kept in local (not synced) storage.
+async function getInstallId(rotate = false) {
+  const { installId } = await new Promise(resolve => chrome.storage.local.get(['installId'], resolve));
+  if (installId && !rotate) return installId;
+  const fresh = crypto.randomUUID();
+  await new Promise(resolve => chrome.storage.local.set({ installId: fresh }, resolve));
+  return fresh;
+}
+
+// GET /privacy/export or DELETE /privacy/data for this install. After a
+// deletion the install ID is replaced so later requests aren't linked to it.
+async function callPrivacyApi(method, path) {
+  const resolveBase = await getResolveBase();
+  const response = await fetch(versionedUrl(resolveBase, path), {
+    method,
+    headers: {
+      'X-API-Key': await getResolveApiKey(),
+      'X-Install-Id': await getInstallId(),
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Privacy request failed: ${response.status}`);
+  }
+  const result = await readEnvelope(response);
+  if (method === 'DELETE') await getInstallId(true);
+  return result;
+}
 async function getIngestConfig() {
   return new Promise(resolve => {
     chrome.storage.sync.get(['ingestApiBase', 'ingestApiKey'], ({ ingestApiBase, ingestApiKey }) => {
@@ -296,13 +857,15 @@ async function postIngest(path, body) {
   return resp.json().catch(() => ({}));
 }
 
-function generateCacheKey(productData, zipCode) {
+function generateCacheKey(productData, zipCode, sortStrategy, country) {
   const keyData = {
     gtin: productData.identifiers?.gtin || productData.identifiers?.upc || productData.identifiers?.ean,
     asin: productData.identifiers?.asin,
     platform: productData.platform,
     variant: productData.variant,
-    zip: zipCode
+    zip: zipCode,
+    country: country || 'US',
+    sort: sortStrategy || 'fastest'
   };
   return JSON.stringify(keyData);
 }
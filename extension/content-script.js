@@ -16,35 +16,24 @@
   const EXTRACTION_DEBOUNCE = 500; // 500ms debounce for DOM changes
   
   // Platform detection
-  const platform = detectPlatform();
-  if (!platform) {
+  const storefront = detectStorefront();
+  if (!storefront) {
     console.log('LocalStock: Unsupported platform');
     return;
   }
+  const platform = storefront.platform;
+  // Prices on French pages use a decimal comma
+  const decimalMark = LocalStockLocale.decimalMarkFor(document.documentElement.lang);
   
-  console.log('LocalStock: Detected platform:', platform);
+  console.log('LocalStock: Detected platform:', platform, storefront.country);
   
   // Initialize
   initialize();
   
-  function detectPlatform() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
-    
-    if (hostname.includes('amazon.com')) {
-      // Check if this is a product detail page
-      if (pathname.includes('/dp/') || pathname.includes('/gp/product/')) {
-        return 'amazon';
-      }
-    }
-    
-    if (hostname.includes('walmart.com')) {
-      if (pathname.includes('/ip/')) {
-        return 'walmart';
-      }
-    }
-    
-    return null;
+  // Amazon (.com, .ca, .co.uk) and Walmart (.com, .ca) product pages
+  function detectStorefront() {
+    if (!LocalStockLocale.isProductPage(window.location.href)) return null;
+    return LocalStockLocale.storefrontFor(window.location.href);
   }
   
   async function initialize() {
@@ -57,7 +46,7 @@
       }
       
       // Initialize UI components
-      uiComponents = new LocalStockUI();
+      uiComponents = new LocalStockUI({ platform });
       
       // Initial extraction
       await extractAndResolveProduct();
@@ -65,6 +54,13 @@
       // Set up mutation observer for dynamic content changes
       setupMutationObserver();
       
+      // Offer changes pushed by the server while the page is open
+      chrome.runtime.onMessage.addListener((message) => {
+        if (message.type !== 'LIVE_OFFERS') return;
+        if (message.data.url !== currentProductData?.url) return;
+        uiComponents?.update(message.data.result, message.data.changes);
+      });
+      
       console.log('LocalStock: Content script initialized');
       
     } catch (error) {
@@ -177,7 +173,7 @@
         return;
       }
       // Always show a pill; it will display "0 nearby" and open a panel with a friendly message
-      uiComponents?.show(result || { offers: [] });
+      uiComponents?.show(result || { offers: [] }, productData);
       
     } catch (error) {
       console.error('LocalStock: Extraction/resolve failed', error);
@@ -206,15 +202,14 @@
       data.identifiers.asin = asinElement.getAttribute('data-asin');
     }
     
-    // UPC/GTIN from product details
+    // UPC/EAN/GTIN from product details; only codes with a valid check digit
     const detailElements = document.querySelectorAll('#feature-bullets ul li, #detail-bullets tr');
     for (const element of detailElements) {
       const text = element.textContent?.toLowerCase() || '';
-      if (text.includes('upc') || text.includes('gtin')) {
-        const match = element.textContent?.match(/\b\d{12,14}\b/);
-        if (match) {
-          data.identifiers.upc = match[0];
-          data.identifiers.gtin = match[0];
+      if (text.includes('upc') || text.includes('gtin') || text.includes('ean')) {
+        const gtin = LocalStockGtin.findInText(element.textContent);
+        if (gtin) {
+          data.identifiers.gtin = gtin;
           break;
         }
       }
@@ -225,10 +220,12 @@
     data.brand = document.querySelector('[data-attribute="brand"] .a-color-base')?.textContent?.trim() || 
                 document.querySelector('#brand')?.textContent?.trim() || '';
     
-    // Extract price
-    const priceElement = document.querySelector('.a-price-whole, .a-offscreen, [data-testid="price-current"]');
-    if (priceElement) {
-      data.price = priceElement.textContent?.trim();
+    // Extract price (normalized to "$349.99" so the server can compare it);
+    // the currency follows the storefront unless the price names another
+    const priceCents = LocalStockPrice.extractAmazonPriceCents(document, decimalMark);
+    data.currency = LocalStockPrice.extractAmazonCurrency(document, storefront.currency);
+    if (priceCents !== undefined) {
+      data.price = LocalStockPrice.formatCents(priceCents, data.currency);
     }
     
     // Extract variant information
@@ -276,9 +273,9 @@
     for (const script of scripts) {
       try {
         const json = JSON.parse(script.textContent || '');
-        if (json.gtin12 || json.gtin13 || json.gtin14) {
-          data.identifiers.gtin = json.gtin12 || json.gtin13 || json.gtin14;
-          data.identifiers.upc = data.identifiers.gtin;
+        const gtin = LocalStockGtin.normalize(json.gtin14 || json.gtin13 || json.gtin12 || json.gtin);
+        if (gtin) {
+          data.identifiers.gtin = gtin;
           break;
         }
       } catch (e) {
@@ -293,9 +290,11 @@
     data.brand = document.querySelector('[data-testid="product-brand"]')?.textContent?.trim() || '';
     
     // Extract price
-    const priceElement = document.querySelector('[data-testid="price-current"]');
-    if (priceElement) {
-      data.price = priceElement.textContent?.trim();
+    const priceText = document.querySelector('[data-testid="price-current"]')?.textContent;
+    const priceCents = LocalStockPrice.parseCents(priceText, decimalMark);
+    data.currency = LocalStockPrice.detectCurrency(priceText, storefront.currency);
+    if (priceCents !== undefined) {
+      data.price = LocalStockPrice.formatCents(priceCents, data.currency);
     }
     
     // Extract variant information
@@ -3,26 +3,37 @@
 document.addEventListener('DOMContentLoaded', async () => {
     const elements = {
         enabledToggle: document.getElementById('enabledToggle'),
+        countrySelect: document.getElementById('countrySelect'),
         zipCodeInput: document.getElementById('zipCodeInput'),
+        postalLabel: document.getElementById('postalLabel'),
         showPickupToggle: document.getElementById('showPickupToggle'),
         showDeliveryToggle: document.getElementById('showDeliveryToggle'),
         maxDistanceInput: document.getElementById('maxDistanceInput'),
+        sortStrategySelect: document.getElementById('sortStrategySelect'),
+        hideMoreExpensiveToggle: document.getElementById('hideMoreExpensiveToggle'),
+        resolveApiKeyInput: document.getElementById('resolveApiKeyInput'),
         debugModeToggle: document.getElementById('debugModeToggle'),
         debugSection: document.getElementById('debugSection'),
         debugInfo: document.getElementById('debugInfo'),
         successMessage: document.getElementById('successMessage'),
         saveBtn: document.getElementById('saveBtn'),
         resetBtn: document.getElementById('resetBtn'),
-        clearCacheBtn: document.getElementById('clearCacheBtn')
+        clearCacheBtn: document.getElementById('clearCacheBtn'),
+        exportDataBtn: document.getElementById('exportDataBtn'),
+        deleteDataBtn: document.getElementById('deleteDataBtn')
     };
     
     let settings = {};
     const defaultSettings = {
         enabled: true,
         zipCode: '',
+        country: 'US',
         showDelivery: true,
         showPickup: true,
         maxDistance: 5,
+        sortStrategy: 'fastest',
+        hideMoreExpensive: false,
+        resolveApiKey: '',
         debugMode: false
     };
     
@@ -33,22 +44,28 @@ document.addEventListener('DOMContentLoaded', async () => {
     elements.enabledToggle.addEventListener('click', () => toggleSetting('enabled'));
     elements.showPickupToggle.addEventListener('click', () => toggleSetting('showPickup'));
     elements.showDeliveryToggle.addEventListener('click', () => toggleSetting('showDelivery'));
+    elements.hideMoreExpensiveToggle.addEventListener('click', () => toggleSetting('hideMoreExpensive'));
     elements.debugModeToggle.addEventListener('click', () => toggleSetting('debugMode'));
     
+    elements.countrySelect.addEventListener('change', handleCountryChange);
     elements.zipCodeInput.addEventListener('input', handleZipCodeInput);
     elements.zipCodeInput.addEventListener('blur', handleZipCodeBlur);
     elements.maxDistanceInput.addEventListener('change', handleMaxDistanceChange);
+    elements.sortStrategySelect.addEventListener('change', handleSortStrategyChange);
+    elements.resolveApiKeyInput.addEventListener('change', handleApiKeyChange);
     
     elements.saveBtn.addEventListener('click', saveSettings);
     elements.resetBtn.addEventListener('click', resetToDefaults);
     elements.clearCacheBtn.addEventListener('click', clearCache);
+    elements.exportDataBtn.addEventListener('click', exportData);
+    elements.deleteDataBtn.addEventListener('click', deleteData);
     
     async function loadSettings() {
         try {
             settings = await new Promise(resolve => {
                 chrome.storage.sync.get([
-                    'enabled', 'zipCode', 'showDelivery', 'showPickup', 
-                    'maxDistance', 'debugMode'
+                    'enabled', 'zipCode', 'country', 'showDelivery', 'showPickup', 
+                    'maxDistance', 'sortStrategy', 'hideMoreExpensive', 'resolveApiKey', 'debugMode'
                 ], resolve);
             });
             
@@ -68,11 +85,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateToggle(elements.enabledToggle, settings.enabled);
         updateToggle(elements.showPickupToggle, settings.showPickup);
         updateToggle(elements.showDeliveryToggle, settings.showDelivery);
+        updateToggle(elements.hideMoreExpensiveToggle, settings.hideMoreExpensive);
         updateToggle(elements.debugModeToggle, settings.debugMode);
         
         // Update inputs
+        const country = LocalStockLocale.country(settings.country);
+        elements.countrySelect.value = settings.country || LocalStockLocale.DEFAULT_COUNTRY;
+        elements.postalLabel.textContent = country.postalLabel;
+        elements.zipCodeInput.placeholder = country.placeholder;
         elements.zipCodeInput.value = settings.zipCode || '';
         elements.maxDistanceInput.value = settings.maxDistance || 5;
+        elements.sortStrategySelect.value = settings.sortStrategy || 'fastest';
+        elements.resolveApiKeyInput.value = settings.resolveApiKey || '';
         
         // Show/hide debug section
         elements.debugSection.style.display = settings.debugMode ? 'block' : 'none';
@@ -99,31 +123,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     function handleZipCodeInput(event) {
-        let value = event.target.value.replace(/\D/g, ''); // Remove non-digits
-        if (value.length > 5) {
-            value = value.slice(0, 5);
-        }
-        event.target.value = value;
-        settings.zipCode = value;
+        settings.zipCode = event.target.value.trim();
     }
     
     function handleZipCodeBlur(event) {
-        const zipCode = event.target.value.trim();
+        const value = event.target.value.trim();
         
-        // Validate ZIP code format
-        if (zipCode && !/^\d{5}$/.test(zipCode)) {
+        // Validate against the selected country's postal code format
+        const zipCode = value && LocalStockLocale.normalizePostalCode(settings.country, value);
+        if (value && !zipCode) {
+            const country = LocalStockLocale.country(settings.country);
             event.target.style.borderColor = '#dc2626';
-            showError('ZIP code must be 5 digits');
+            showError(`${LocalStockLocale.postalTitle(settings.country)} is not valid for ${country.name}`);
             setTimeout(() => {
                 event.target.style.borderColor = '';
             }, 3000);
             return;
         }
         
+        event.target.value = zipCode;
         settings.zipCode = zipCode;
         saveSettingsInternal();
     }
     
+    // A postal code from another country's format can't be kept
+    function handleCountryChange(event) {
+        settings.country = event.target.value;
+        settings.zipCode = LocalStockLocale.normalizePostalCode(settings.country, settings.zipCode) || '';
+        updateUI();
+        saveSettingsInternal();
+    }
+    
     function handleMaxDistanceChange(event) {
         const distance = parseInt(event.target.value, 10);
         if (distance >= 1 && distance <= 50) {
@@ -135,6 +165,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
+    function handleSortStrategyChange(event) {
+        settings.sortStrategy = event.target.value;
+        saveSettingsInternal();
+    }
+    
+    function handleApiKeyChange(event) {
+        settings.resolveApiKey = event.target.value.trim();
+        saveSettingsInternal();
+    }
+    
     async function saveSettings() {
         await saveSettingsInternal();
         showSuccess('Settings saved successfully!');
@@ -181,7 +221,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Also clear session storage in all tabs
             const tabs = await chrome.tabs.query({});
             for (const tab of tabs) {
-                if (tab.url?.includes('amazon.com') || tab.url?.includes('walmart.com')) {
+                if (LocalStockLocale.storefrontFor(tab.url)) {
                     try {
                         await chrome.scripting.executeScript({
                             target: { tabId: tab.id },
@@ -214,6 +254,48 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
+    async function exportData() {
+        elements.exportDataBtn.disabled = true;
+        try {
+            const { data, error } = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ type: 'EXPORT_MY_DATA' }, resolve);
+            });
+            if (error) throw new Error(error);
+            
+            // Download the export as a JSON file
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `localstock-data-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            showSuccess(`Exported ${data.requests.length} lookups`);
+        } catch (error) {
+            console.error('Failed to export data:', error);
+            showError('Failed to export data');
+        } finally {
+            elements.exportDataBtn.disabled = false;
+        }
+    }
+    
+    async function deleteData() {
+        if (!confirm('Delete your lookup history from the LocalStock server? This cannot be undone.')) return;
+        
+        elements.deleteDataBtn.disabled = true;
+        try {
+            const { deleted, error } = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ type: 'DELETE_MY_DATA' }, resolve);
+            });
+            if (error) throw new Error(error);
+            showSuccess(`Deleted ${deleted} lookups`);
+        } catch (error) {
+            console.error('Failed to delete data:', error);
+            showError('Failed to delete data');
+        } finally {
+            elements.deleteDataBtn.disabled = false;
+        }
+    }
+    
     async function updateDebugInfo() {
         if (!settings.debugMode) return;
         
@@ -229,13 +311,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 activeTab: activeTab ? {
                     url: activeTab.url,
                     title: activeTab.title,
-                    supported: (
-                        activeTab.url?.includes('amazon.com') && 
-                        (activeTab.url.includes('/dp/') || activeTab.url.includes('/gp/product/'))
-                    ) || (
-                        activeTab.url?.includes('walmart.com') && 
-                        activeTab.url.includes('/ip/')
-                    )
+                    supported: LocalStockLocale.isProductPage(activeTab.url)
                 } : null,
                 timestamp: new Date().toISOString()
             };
@@ -6,9 +6,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         statusTitle: document.getElementById('statusTitle'),
         statusSubtitle: document.getElementById('statusSubtitle'),
         toggleSwitch: document.getElementById('toggleSwitch'),
+        countrySelect: document.getElementById('countrySelect'),
+        zipLabel: document.getElementById('zipLabel'),
         zipInput: document.getElementById('zipInput'),
         optionsBtn: document.getElementById('optionsBtn'),
         refreshBtn: document.getElementById('refreshBtn'),
+        checkWatchlistBtn: document.getElementById('checkWatchlistBtn'),
+        watchlist: document.getElementById('watchlist'),
         stats: document.getElementById('stats')
     };
     
@@ -16,13 +20,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Load current settings
     await loadSettings();
+    await loadWatchlist();
     
     // Set up event listeners
     elements.toggleSwitch.addEventListener('click', toggleExtension);
+    elements.countrySelect.addEventListener('change', updateCountry);
     elements.zipInput.addEventListener('change', updateZipCode);
     elements.zipInput.addEventListener('blur', updateZipCode);
     elements.optionsBtn.addEventListener('click', openOptions);
     elements.refreshBtn.addEventListener('click', refreshCurrentPage);
+    elements.checkWatchlistBtn.addEventListener('click', checkWatchlist);
     
     async function loadSettings() {
         try {
@@ -54,7 +61,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             elements.statusSubtitle.textContent = 'Click to enable product monitoring';
         }
         
-        // Update ZIP code
+        // Update country and postal code
+        const country = LocalStockLocale.country(settings.country);
+        elements.countrySelect.value = settings.country || LocalStockLocale.DEFAULT_COUNTRY;
+        elements.zipLabel.textContent = `${LocalStockLocale.postalTitle(settings.country)}:`;
+        elements.zipInput.placeholder = country.placeholder;
         elements.zipInput.value = settings.zipCode || '';
     }
     
@@ -82,10 +93,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     async function updateZipCode() {
-        const zipCode = elements.zipInput.value.trim();
+        const value = elements.zipInput.value.trim();
         
-        // Validate ZIP code format
-        if (zipCode && !/^\d{5}$/.test(zipCode)) {
+        // Validate against the selected country's postal code format
+        const zipCode = value && LocalStockLocale.normalizePostalCode(settings.country, value);
+        if (value && !zipCode) {
             elements.zipInput.style.borderColor = '#dc2626';
             setTimeout(() => {
                 elements.zipInput.style.borderColor = '';
@@ -95,11 +107,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         try {
             settings.zipCode = zipCode;
+            elements.zipInput.value = zipCode;
             
             await new Promise(resolve => {
                 chrome.runtime.sendMessage({
                     type: 'UPDATE_SETTINGS',
-                    data: { zipCode: zipCode }
+                    data: { zipCode: zipCode, country: settings.country }
                 }, resolve);
             });
             
@@ -111,8 +124,28 @@ document.addEventListener('DOMContentLoaded', async () => {
             
             await loadStats();
         } catch (error) {
-            console.error('Failed to update ZIP code:', error);
-            showError('Failed to save ZIP code');
+            console.error('Failed to update postal code:', error);
+            showError('Failed to save postal code');
+        }
+    }
+    
+    // A postal code from another country's format can't be kept
+    async function updateCountry() {
+        settings.country = elements.countrySelect.value;
+        settings.zipCode = LocalStockLocale.normalizePostalCode(settings.country, settings.zipCode) || '';
+        updateUI();
+        
+        try {
+            await new Promise(resolve => {
+                chrome.runtime.sendMessage({
+                    type: 'UPDATE_SETTINGS',
+                    data: { zipCode: settings.zipCode, country: settings.country }
+                }, resolve);
+            });
+            await loadStats();
+        } catch (error) {
+            console.error('Failed to update country:', error);
+            showError('Failed to save country');
         }
     }
     
@@ -147,17 +180,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             // Get current tab info
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            const isSupported = tab && (
-                tab.url.includes('amazon.com') && (tab.url.includes('/dp/') || tab.url.includes('/gp/product/')) ||
-                tab.url.includes('walmart.com') && tab.url.includes('/ip/')
-            );
+            const isSupported = tab && LocalStockLocale.isProductPage(tab.url);
             
             let statsText = '';
             
             if (!isSupported) {
-                statsText = 'Navigate to Amazon or Walmart product pages to see local availability';
+                statsText = 'Navigate to an Amazon or Walmart product page (US, Canada or UK) to see local availability';
             } else if (!settings.zipCode) {
-                statsText = 'Enter your ZIP code above to see local availability';
+                statsText = `Enter your ${LocalStockLocale.country(settings.country).postalLabel} above to see local availability`;
             } else {
                 statsText = `Searching within ${settings.maxDistance || 5} miles of ${settings.zipCode}`;
             }
@@ -169,6 +199,115 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
+    async function loadWatchlist() {
+        const { watchlist } = await new Promise(resolve => {
+            chrome.runtime.sendMessage({ type: 'GET_WATCHLIST' }, resolve);
+        });
+        renderWatchlist(watchlist || []);
+    }
+    
+    async function checkWatchlist() {
+        elements.checkWatchlistBtn.textContent = 'Checking...';
+        elements.checkWatchlistBtn.disabled = true;
+        
+        try {
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ type: 'CHECK_WATCHLIST' }, resolve);
+            });
+            if (response?.error) {
+                showError(response.error);
+            }
+            await loadWatchlist();
+        } finally {
+            elements.checkWatchlistBtn.textContent = 'Check now';
+            elements.checkWatchlistBtn.disabled = false;
+        }
+    }
+    
+    function renderWatchlist(watchlist) {
+        elements.watchlist.textContent = '';
+        elements.checkWatchlistBtn.disabled = watchlist.length === 0;
+        
+        if (watchlist.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'watchlist-empty';
+            empty.textContent = 'Watch a product from the LocalStock panel to get alerts here';
+            elements.watchlist.appendChild(empty);
+            return;
+        }
+        
+        watchlist.forEach(item => elements.watchlist.appendChild(renderWatchItem(item)));
+    }
+    
+    function renderWatchItem(item) {
+        const container = document.createElement('div');
+        container.className = 'watch-item';
+        
+        const header = document.createElement('div');
+        header.className = 'watch-item-header';
+        
+        const title = document.createElement('div');
+        title.className = 'watch-item-title';
+        title.textContent = item.product.title || item.product.url;
+        title.title = item.product.title || '';
+        title.addEventListener('click', () => chrome.tabs.create({ url: item.product.url }));
+        
+        const remove = document.createElement('button');
+        remove.className = 'watch-item-remove';
+        remove.textContent = '×';
+        remove.title = 'Stop watching';
+        remove.addEventListener('click', async () => {
+            await new Promise(resolve => {
+                chrome.runtime.sendMessage({ type: 'UNWATCH_PRODUCT', data: { id: item.id } }, resolve);
+            });
+            await loadWatchlist();
+        });
+        
+        header.append(title, remove);
+        
+        // Target price is editable in place; empty watches availability only
+        const meta = document.createElement('div');
+        meta.className = 'watch-item-meta';
+        const zip = document.createElement('span');
+        zip.textContent = `${item.zip} · alert below`;
+        const target = document.createElement('input');
+        target.className = 'watch-target-input';
+        target.placeholder = 'any';
+        target.value = item.targetPriceCents != null ? LocalStockPrice.formatCents(item.targetPriceCents, item.product.currency) : '';
+        target.addEventListener('change', async () => {
+            const text = target.value.trim();
+            const targetPriceCents = text ? LocalStockPrice.parseCents(text) : null;
+            if (targetPriceCents === undefined) {
+                target.style.borderColor = '#dc2626';
+                return;
+            }
+            target.style.borderColor = '';
+            await new Promise(resolve => {
+                chrome.runtime.sendMessage({ type: 'UPDATE_WATCH', data: { id: item.id, targetPriceCents } }, resolve);
+            });
+            await loadWatchlist();
+        });
+        meta.append(zip, target);
+        
+        const status = document.createElement('div');
+        status.className = 'watch-item-status';
+        if (!item.lastCheckedAt) {
+            status.textContent = 'Not checked yet';
+        } else if (item.bestOffer) {
+            const offer = item.bestOffer;
+            status.textContent = `${offer.price} at ${offer.storeName} (${offer.availabilityType})`;
+            if (item.availableNearby) status.classList.add('available');
+        } else {
+            status.textContent = 'Not available nearby';
+        }
+        if (item.lastCheckedAt) {
+            status.textContent += ` · checked ${new Date(item.lastCheckedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+        }
+        
+        container.append(header, meta, status);
+        return container;
+    }
+    
     function showError(message) {
         elements.statusSubtitle.textContent = message;
         elements.statusSubtitle.style.color = '#dc2626';
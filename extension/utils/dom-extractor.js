@@ -2,8 +2,12 @@
 // Handles product data extraction from various e-commerce platforms
 
 class DOMExtractor {
-  constructor(platform) {
+  // `storefront` from LocalStockLocale.storefrontFor; its currency applies
+  // when the price text doesn't name one
+  constructor(platform, storefront = null) {
     this.platform = platform;
+    this.currency = storefront?.currency || 'USD';
+    this.decimalMark = LocalStockLocale.decimalMarkFor(document.documentElement.lang);
     this.selectors = this.getSelectorsForPlatform(platform);
   }
   
@@ -73,18 +77,15 @@ class DOMExtractor {
         identifiers.asin = this.extractAttribute(this.selectors.asin, 'data-asin');
       }
       
-      // Extract UPC/GTIN from product details
+      // Extract UPC/EAN/GTIN from product details; only codes with a valid
+      // check digit, canonicalized to GTIN-14
       const detailElements = document.querySelectorAll(this.selectors.detailRows);
       for (const element of detailElements) {
         const text = element.textContent?.toLowerCase() || '';
         if (text.includes('upc') || text.includes('gtin') || text.includes('ean')) {
-          const match = element.textContent?.match(/\b\d{12,14}\b/);
-          if (match) {
-            identifiers.upc = match[0];
-            identifiers.gtin = match[0];
-            if (match[0].length === 13) {
-              identifiers.ean = match[0];
-            }
+          const gtin = LocalStockGtin.findInText(element.textContent);
+          if (gtin) {
+            identifiers.gtin = gtin;
             break;
           }
         }
@@ -117,21 +118,12 @@ class DOMExtractor {
         
         for (const item of products) {
           if (item['@type'] === 'Product' || item.productType) {
-            // Extract GTIN variants
-            if (item.gtin12) identifiers.gtin = item.gtin12;
-            if (item.gtin13) identifiers.gtin = item.gtin13;
-            if (item.gtin14) identifiers.gtin = item.gtin14;
-            if (item.gtin) identifiers.gtin = item.gtin;
-            
-            // UPC is typically GTIN-12
-            if (identifiers.gtin && identifiers.gtin.length === 12) {
-              identifiers.upc = identifiers.gtin;
-            }
-            
-            // EAN is typically GTIN-13
-            if (identifiers.gtin && identifiers.gtin.length === 13) {
-              identifiers.ean = identifiers.gtin;
-            }
+            // Extract GTIN variants; the first one with a valid check digit
+            // wins, canonicalized to GTIN-14
+            const gtin = [item.gtin14, item.gtin13, item.gtin12, item.gtin8, item.gtin]
+              .map(code => LocalStockGtin.normalize(code))
+              .find(Boolean);
+            if (gtin) identifiers.gtin = gtin;
             
             // Extract SKU
             if (item.sku) identifiers.sku = item.sku;
@@ -158,7 +150,6 @@ class DOMExtractor {
       title: this.extractText(this.selectors.title),
       brand: this.extractText(this.selectors.brand),
       price: this.extractText(this.selectors.price),
-      currency: 'USD', // Default, could be extracted from price or page
       images: this.extractImages(this.selectors.images),
       attributes: {}
     };
@@ -185,13 +176,14 @@ class DOMExtractor {
       }
     }
     
-    // Clean up price formatting
-    if (data.price) {
-      data.price = data.price.replace(/[^\d.,]/g, '');
-      if (data.price.includes('.')) {
-        data.price = '$' + data.price;
-      }
-    }
+    // Normalize price to "$349.99"; Amazon needs whole + fraction handling
+    const priceCents = this.platform === 'amazon'
+      ? LocalStockPrice.extractAmazonPriceCents(document, this.decimalMark)
+      : LocalStockPrice.parseCents(data.price, this.decimalMark);
+    data.currency = this.platform === 'amazon'
+      ? LocalStockPrice.extractAmazonCurrency(document, this.currency)
+      : LocalStockPrice.detectCurrency(data.price, this.currency);
+    data.price = priceCents !== undefined ? LocalStockPrice.formatCents(priceCents, data.currency) : '';
     
     return data;
   }
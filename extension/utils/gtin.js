@@ -0,0 +1,43 @@
+// LocalStock GTIN Utilities
+// Validates scraped UPC/EAN/GTIN codes and canonicalizes them to GTIN-14
+
+const LocalStockGtin = {
+  // GTIN-8 (EAN-8), GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14
+  LENGTHS: [8, 12, 13, 14],
+
+  // GS1 mod-10: weights alternate 3,1 starting from the digit next to the check digit
+  checkDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      const digit = body.charCodeAt(body.length - 1 - i) - 48;
+      sum += digit * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10;
+  },
+
+  // Zero-padded GTIN-14, or undefined when malformed or the check digit is wrong
+  normalize(code) {
+    if (!code) return undefined;
+    const digits = String(code).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || !this.LENGTHS.includes(digits.length)) return undefined;
+
+    const gtin14 = digits.padStart(14, '0');
+    if (this.checkDigit(gtin14.slice(0, 13)) !== Number(gtin14[13])) return undefined;
+    return gtin14;
+  },
+
+  // First valid GTIN among the digit runs in free text such as a product
+  // details row ("UPC: 027242920156 027242920163"); model numbers and other
+  // long numbers fail the check digit and are skipped
+  findInText(text) {
+    const candidates = String(text || '').match(/\b\d{8,14}\b/g) || [];
+    for (const candidate of candidates) {
+      const gtin = this.normalize(candidate);
+      if (gtin) return gtin;
+    }
+    return undefined;
+  }
+};
+
+// Export for use in content script
+window.LocalStockGtin = LocalStockGtin;
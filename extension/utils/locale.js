@@ -0,0 +1,79 @@
+// LocalStock Locale Utilities
+// Supported storefronts, shopper countries and postal code formats. Mirrors
+// shared/locale.ts on the server.
+
+const LocalStockLocale = {
+  DEFAULT_COUNTRY: 'US',
+
+  // Currency and postal code format per shopper country; the pattern captures
+  // the area part and is matched uppercased with spaces and hyphens removed
+  COUNTRIES: {
+    US: { name: 'United States', currency: 'USD', postalLabel: 'ZIP code', placeholder: '12345', pattern: /^(\d{5})(\d{4})?$/ },
+    CA: { name: 'Canada', currency: 'CAD', postalLabel: 'postal code', placeholder: 'K1A 0B1', pattern: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(\d[ABCEGHJ-NPRSTV-Z]\d)$/ },
+    GB: { name: 'United Kingdom', currency: 'GBP', postalLabel: 'postcode', placeholder: 'SW1A 1AA', pattern: /^([A-Z]{1,2}\d[A-Z\d]?|GIR)(\d[A-Z]{2})$/ }
+  },
+
+  // Product pages the content script runs on, by hostname
+  STOREFRONTS: [
+    { host: 'amazon.com', platform: 'amazon', country: 'US', productPath: /\/(dp|gp\/product)\// },
+    { host: 'amazon.ca', platform: 'amazon', country: 'CA', productPath: /\/(dp|gp\/product)\// },
+    { host: 'amazon.co.uk', platform: 'amazon', country: 'GB', productPath: /\/(dp|gp\/product)\// },
+    { host: 'walmart.com', platform: 'walmart', country: 'US', productPath: /\/ip\// },
+    { host: 'walmart.ca', platform: 'walmart', country: 'CA', productPath: /\/ip\// }
+  ],
+
+  // "ZIP code", "Postal code", "Postcode" at the start of a label or sentence
+  postalTitle(code) {
+    const label = this.country(code).postalLabel;
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  },
+
+  country(code) {
+    return this.COUNTRIES[code] || this.COUNTRIES[this.DEFAULT_COUNTRY];
+  },
+
+  // The STOREFRONTS entry for a URL's hostname, with the URL's path
+  matchStorefront(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    const { hostname, pathname } = parsed;
+    const storefront = this.STOREFRONTS.find(s => hostname === s.host || hostname.endsWith(`.${s.host}`));
+    return storefront ? { ...storefront, pathname } : null;
+  },
+
+  // { platform, country, currency } for a supported storefront URL, else null
+  storefrontFor(url) {
+    const storefront = this.matchStorefront(url);
+    if (!storefront) return null;
+    return {
+      platform: storefront.platform,
+      country: storefront.country,
+      currency: this.country(storefront.country).currency
+    };
+  },
+
+  isProductPage(url) {
+    const storefront = this.matchStorefront(url);
+    return Boolean(storefront && storefront.productPath.test(storefront.pathname));
+  },
+
+  // French Canadian pages write prices as "1 299,99 $"
+  decimalMarkFor(lang) {
+    return /^fr\b/i.test(lang || '') ? ',' : '.';
+  },
+
+  // "10001" (ZIP+4 drops the +4), "M5V 3L9", "SW1A 1AA"; null when the code
+  // doesn't fit the country's format
+  normalizePostalCode(countryCode, code) {
+    const match = String(code || '').toUpperCase().replace(/[\s-]/g, '').match(this.country(countryCode).pattern);
+    if (!match) return null;
+    return countryCode === 'US' || !this.COUNTRIES[countryCode] ? match[1] : `${match[1]} ${match[2]}`;
+  }
+};
+
+// Export for use in content script
+window.LocalStockLocale = LocalStockLocale;
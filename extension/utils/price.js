@@ -0,0 +1,86 @@
+// LocalStock Price Utilities
+// Parses scraped price text into integer cents and formats savings badges
+
+const LocalStockPrice = {
+  // Matches "1,299.99", "349", "349.", "11.97" and ".99"; the first amount wins
+  // so duplicated text such as Amazon's ".a-offscreen" "$349.99$349.99" is safe.
+  // Where the comma is the decimal mark (French Canadian "1 299,99 $") the
+  // separators swap; spaces are removed before matching.
+  PRICE_PATTERNS: {
+    '.': /(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?|\.(\d{1,2})/,
+    ',': /(\d{1,3}(?:\.\d{3})+|\d+)(?:,(\d{1,2}))?|,(\d{1,2})/
+  },
+
+  // Shopper-facing formatting per currency: "$349.99" in the US and Canada, "£349.99" in the UK
+  CURRENCY_LOCALES: { USD: 'en-US', CAD: 'en-CA', GBP: 'en-GB' },
+
+  // Explicit markers in price text win over the storefront's currency
+  CURRENCY_MARKERS: [
+    { pattern: /£|GBP/, currency: 'GBP' },
+    { pattern: /C(?:DN|A)?\$|CAD/, currency: 'CAD' },
+    { pattern: /US\$|USD/, currency: 'USD' }
+  ],
+
+  parseCents(text, decimalMark = '.') {
+    if (!text) return undefined;
+    const match = String(text).replace(/\s+/g, '').match(this.PRICE_PATTERNS[decimalMark]);
+    if (!match) return undefined;
+
+    const whole = match[1] ? parseInt(match[1].replace(/[,.]/g, ''), 10) : 0;
+    const digits = match[2] ?? match[3];
+    const fraction = digits ? parseInt(digits.padEnd(2, '0'), 10) : 0;
+    if (!Number.isFinite(whole)) return undefined;
+    return whole * 100 + fraction;
+  },
+
+  // "GBP" for "£349.99"; `fallback` (the storefront's currency) for a bare "$"
+  detectCurrency(text, fallback = 'USD') {
+    const marker = this.CURRENCY_MARKERS.find(({ pattern }) => pattern.test(text || ''));
+    return marker ? marker.currency : fallback;
+  },
+
+  formatCents(cents, currency = 'USD') {
+    return this.formatter(currency, 2).format(cents / 100);
+  },
+
+  // Whole amounts drop the cents: "$20", "$20.50", "£5"
+  formatDifference(cents, currency = 'USD') {
+    const abs = Math.abs(cents);
+    return this.formatter(currency, abs % 100 === 0 ? 0 : 2).format(abs / 100);
+  },
+
+  formatter(currency, fractionDigits) {
+    return new Intl.NumberFormat(this.CURRENCY_LOCALES[currency] || 'en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    });
+  },
+
+  // Amazon splits prices into .a-price-whole ("349.") and .a-price-fraction;
+  // the hidden .a-offscreen copy holds the full "$349.99" when present
+  extractAmazonPriceCents(root = document, decimalMark = '.') {
+    const fromOffscreen = this.parseCents(this.amazonPriceText(root), decimalMark);
+    if (fromOffscreen !== undefined) return fromOffscreen;
+
+    const whole = root.querySelector('.a-price-whole')?.textContent?.replace(/\D/g, '');
+    if (!whole) return undefined;
+    const fraction = root.querySelector('.a-price-fraction')?.textContent?.replace(/\D/g, '');
+    return this.parseCents(fraction ? `${whole}.${fraction}` : whole);
+  },
+
+  // The currency shown next to the Amazon price, else the storefront's
+  extractAmazonCurrency(root = document, fallback = 'USD') {
+    const symbol = root.querySelector('.a-price-symbol')?.textContent || '';
+    return this.detectCurrency(`${this.amazonPriceText(root)} ${symbol}`, fallback);
+  },
+
+  amazonPriceText(root) {
+    const offscreen = root.querySelector('#corePrice_feature_div .a-price .a-offscreen, .a-price .a-offscreen, .a-offscreen');
+    return offscreen?.textContent || '';
+  }
+};
+
+// Export for use in content script and the background service worker, which has no window
+globalThis.LocalStockPrice = LocalStockPrice;
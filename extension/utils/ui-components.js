@@ -2,13 +2,15 @@
 // Handles floating pill and slide-in panel UI
 
 class LocalStockUI {
-  constructor() {
+  constructor(options = {}) {
+    this.platform = options.platform;
     this.pillElement = null;
     this.panelElement = null;
     this.backdropElement = null;
     this.isVisible = false;
     this.isPanelOpen = false;
     this.currentOffers = [];
+    this.productData = null;
     
     this.createStyles();
   }
@@ -169,6 +171,10 @@ class LocalStockUI {
         border-bottom: none !important;
       }
       
+      .localstock-offer-item.localstock-offer-updated {
+        animation: localstock-highlight 2s ease-out !important;
+      }
+      
       .localstock-offer-header {
         display: flex !important;
         align-items: center !important;
@@ -228,6 +234,20 @@ class LocalStockUI {
         margin: 2px 0 8px 0 !important;
       }
       
+      .localstock-store-status {
+        font-size: 12px !important;
+        font-weight: 500 !important;
+        margin: -4px 0 8px 0 !important;
+      }
+      
+      .localstock-store-status-open {
+        color: hsl(142 72% 29%) !important;
+      }
+      
+      .localstock-store-status-closed {
+        color: hsl(0 72% 45%) !important;
+      }
+      
       .localstock-offer-details {
         display: flex !important;
         align-items: center !important;
@@ -248,6 +268,23 @@ class LocalStockUI {
         color: #1f2937 !important;
       }
       
+      .localstock-savings-badge {
+        font-size: 11px !important;
+        font-weight: 600 !important;
+        padding: 2px 6px !important;
+        border-radius: 4px !important;
+      }
+      
+      .localstock-savings-badge-save {
+        background: hsl(142 76% 94%) !important;
+        color: hsl(142 72% 29%) !important;
+      }
+      
+      .localstock-savings-badge-more {
+        background: hsl(0 0% 96%) !important;
+        color: hsl(215.4 16.3% 46.9%) !important;
+      }
+      
       .localstock-offer-footer {
         display: flex !important;
         align-items: center !important;
@@ -305,6 +342,44 @@ class LocalStockUI {
         color: hsl(221.2 83.2% 48.3%) !important;
       }
       
+      .localstock-watch {
+        padding: 12px 16px !important;
+        border-top: 1px solid hsl(214.3 31.8% 91.4%) !important;
+      }
+      
+      .localstock-watch-label {
+        font-size: 12px !important;
+        font-weight: 500 !important;
+        color: #1f2937 !important;
+        margin-bottom: 8px !important;
+      }
+      
+      .localstock-watch-row {
+        display: flex !important;
+        gap: 8px !important;
+      }
+      
+      .localstock-watch-input {
+        flex: 1 !important;
+        min-width: 0 !important;
+        padding: 6px 8px !important;
+        border: 1px solid hsl(214.3 31.8% 91.4%) !important;
+        border-radius: 4px !important;
+        font-size: 12px !important;
+        color: #1f2937 !important;
+        background: white !important;
+      }
+      
+      .localstock-watch-status {
+        font-size: 12px !important;
+        color: hsl(215.4 16.3% 46.9%) !important;
+        margin-top: 6px !important;
+      }
+      
+      .localstock-watch-status-error {
+        color: #dc2626 !important;
+      }
+      
       .localstock-no-results {
         padding: 32px 16px !important;
         text-align: center !important;
@@ -337,6 +412,11 @@ class LocalStockUI {
         }
       }
       
+      @keyframes localstock-highlight {
+        from { background: hsl(48 96% 89%); }
+        to { background: transparent; }
+      }
+      
       @keyframes localstock-fadeIn {
         from { opacity: 0; }
         to { opacity: 1; }
@@ -366,8 +446,9 @@ class LocalStockUI {
     document.head.appendChild(styleElement);
   }
   
-  show(resolveResult) {
+  show(resolveResult, productData) {
     this.currentOffers = resolveResult.offers || [];
+    this.productData = productData || this.productData;
     
   // Keep pill visible even when there are zero offers
     
@@ -379,6 +460,28 @@ class LocalStockUI {
     this.isVisible = true;
   }
   
+  // Live update from the background worker: refresh the pill count and, when
+  // the panel is open, its offer list in place, highlighting changed offers
+  update(resolveResult, changes = []) {
+    if (!this.isVisible) return;
+    
+    this.currentOffers = resolveResult.offers || [];
+    this.updatePill();
+    
+    const content = this.panelElement?.querySelector('.localstock-panel-content');
+    if (!content) return;
+    
+    content.innerHTML = this.renderOffers();
+    this.setupOfferHandlers();
+    
+    const changedIds = new Set(changes.map(change => change.offerId));
+    content.querySelectorAll('.localstock-offer-item').forEach(item => {
+      if (changedIds.has(item.dataset.offerId)) {
+        item.classList.add('localstock-offer-updated');
+      }
+    });
+  }
+  
   hide() {
     if (this.pillElement) {
       this.pillElement.remove();
@@ -484,6 +587,17 @@ class LocalStockUI {
         ${this.renderOffers()}
       </div>
       
+      ${this.productData ? `
+      <div class="localstock-watch">
+        <div class="localstock-watch-label">🔔 Alert me when it's in stock nearby or below a price</div>
+        <div class="localstock-watch-row">
+          <input class="localstock-watch-input" type="text" inputmode="decimal" placeholder="Target price (optional)">
+          <button class="localstock-offer-action localstock-watch-button" type="button">Watch</button>
+        </div>
+        <div class="localstock-watch-status"></div>
+      </div>
+      ` : ''}
+      
       <div class="localstock-panel-footer">
         <div class="localstock-footer-content">
           <div class="localstock-footer-left">
@@ -505,8 +619,29 @@ class LocalStockUI {
       chrome.runtime.openOptionsPage();
     });
     
+    this.setupWatchControls();
+    this.setupOfferHandlers();
+    
+    // Append to body
+    document.body.appendChild(this.backdropElement);
+    document.body.appendChild(this.panelElement);
+    
+    // Handle escape key
+    this.handleEscapeKey = (e) => {
+      if (e.key === 'Escape') {
+        this.closePanel();
+      }
+    };
+    document.addEventListener('keydown', this.handleEscapeKey);
+  }
+  
+  // Offer and action button click handlers for the rendered offer list
+  setupOfferHandlers() {
+    const content = this.panelElement?.querySelector('.localstock-panel-content');
+    if (!content) return;
+    
     // Add offer click handlers
-    const offerItems = this.panelElement.querySelectorAll('.localstock-offer-item');
+    const offerItems = content.querySelectorAll('.localstock-offer-item');
     offerItems.forEach((item, index) => {
       item.addEventListener('click', () => {
         const offer = this.currentOffers[index];
@@ -517,7 +652,7 @@ class LocalStockUI {
     });
     
     // Add action button handlers
-    const actionButtons = this.panelElement.querySelectorAll('.localstock-offer-action');
+    const actionButtons = content.querySelectorAll('.localstock-offer-action');
     actionButtons.forEach((button, index) => {
       button.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -527,18 +662,6 @@ class LocalStockUI {
         }
       });
     });
-    
-    // Append to body
-    document.body.appendChild(this.backdropElement);
-    document.body.appendChild(this.panelElement);
-    
-    // Handle escape key
-    this.handleEscapeKey = (e) => {
-      if (e.key === 'Escape') {
-        this.closePanel();
-      }
-    };
-    document.addEventListener('keydown', this.handleEscapeKey);
   }
   
   renderOffers() {
@@ -552,7 +675,7 @@ class LocalStockUI {
     }
     
     return this.currentOffers.map(offer => `
-      <div class="localstock-offer-item">
+      <div class="localstock-offer-item" data-offer-id="${this.escapeHtml(offer.id)}">
         <div class="localstock-offer-header">
           <div class="localstock-offer-type-icon localstock-offer-type-${offer.availabilityType}">
             ${offer.availabilityType === 'pickup' ? '🏪' : '🚚'}
@@ -566,17 +689,18 @@ class LocalStockUI {
         <div class="localstock-offer-address">
           ${this.escapeHtml(offer.availabilityType === 'delivery' ? 'Same-day delivery to your area' : offer.address)}
         </div>
+        ${this.renderStoreStatus(offer)}
         
         <div class="localstock-offer-details">
           <div class="localstock-offer-detail">
             <span>🕒</span>
-            <span>${offer.availabilityType === 'pickup' ? 'Ready in' : 'Arrives by'}</span>
-            <span class="localstock-offer-detail-value">${this.escapeHtml(offer.eta)}</span>
+            ${this.renderEta(offer)}
           </div>
           <div class="localstock-offer-detail">
             <span>💰</span>
             <span class="localstock-offer-detail-value">${this.escapeHtml(offer.price)}</span>
           </div>
+          ${this.renderSavingsBadge(offer)}
         </div>
         
         <div class="localstock-offer-footer">
@@ -591,6 +715,120 @@ class LocalStockUI {
     `).join('');
   }
   
+  // Watch/unwatch this product for the current ZIP (see the watchlist in background.js)
+  setupWatchControls() {
+    const button = this.panelElement.querySelector('.localstock-watch-button');
+    const input = this.panelElement.querySelector('.localstock-watch-input');
+    if (!button || !input) return;
+    
+    let watched = null;
+    const render = (item, error) => {
+      watched = item;
+      button.textContent = item ? 'Unwatch' : 'Watch';
+      input.disabled = Boolean(item);
+      input.value = item?.targetPriceCents != null ? LocalStockPrice.formatCents(item.targetPriceCents, item.product?.currency) : input.value;
+      this.setWatchStatus(error || (item ? this.describeWatchItem(item) : ''), Boolean(error));
+    };
+    
+    chrome.runtime.sendMessage({ type: 'GET_WATCH_STATUS', data: this.productData }, (response) => {
+      render(response?.item || null);
+    });
+    
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      const done = (item, error) => {
+        button.disabled = false;
+        render(item, error);
+      };
+      
+      if (watched) {
+        chrome.runtime.sendMessage({ type: 'UNWATCH_PRODUCT', data: { id: watched.id } }, (response) => {
+          done(null, response?.error);
+        });
+        return;
+      }
+      
+      const text = input.value.trim();
+      const targetPriceCents = text ? LocalStockPrice.parseCents(text) : null;
+      if (targetPriceCents === undefined) {
+        done(null, 'Enter a price like 299.99');
+        return;
+      }
+      chrome.runtime.sendMessage({
+        type: 'WATCH_PRODUCT',
+        data: { productData: this.productData, targetPriceCents }
+      }, (response) => {
+        done(response?.item || null, response?.error);
+      });
+    });
+  }
+  
+  setWatchStatus(text, isError) {
+    const status = this.panelElement?.querySelector('.localstock-watch-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('localstock-watch-status-error', isError);
+  }
+  
+  describeWatchItem(item) {
+    const parts = [`Watching near ${item.zip}`];
+    if (item.targetPriceCents != null) {
+      parts.push(`below ${LocalStockPrice.formatCents(item.targetPriceCents, item.product?.currency)}`);
+    }
+    return parts.join(' ');
+  }
+  
+  // "Open until 9 PM" / "Closed now" for pickup stores with known hours
+  renderStoreStatus(offer) {
+    if (!offer.storeStatus) return '';
+    const state = offer.storeStatus.open ? 'open' : 'closed';
+    return `<div class="localstock-store-status localstock-store-status-${state}">${this.escapeHtml(offer.storeStatus.label)}</div>`;
+  }
+  
+  // "Ready in 45 min" for a short pickup wait, otherwise the ready-by time in
+  // the shopper's timezone: "Ready by tomorrow 9:00 AM", "Arrives by 6:00 PM"
+  renderEta(offer) {
+    const pickup = offer.availabilityType === 'pickup';
+    let label = pickup ? 'Ready' : 'Arrives';
+    let value = 'time unknown';
+    if (offer.readyAt && pickup && /^\d+(\.\d+)?\s*(min|hour|hr)/i.test(offer.eta || '')) {
+      label = 'Ready in';
+      value = offer.eta;
+    } else if (offer.readyAt) {
+      label = pickup ? 'Ready by' : 'Arrives by';
+      value = this.formatReadyAt(offer.readyAt);
+    }
+    return `<span>${label}</span><span class="localstock-offer-detail-value">${this.escapeHtml(value)}</span>`;
+  }
+  
+  // "6:00 PM" today, "tomorrow 6:00 PM", "Fri 6:00 PM" within the week, else "Oct 30"
+  formatReadyAt(readyAt) {
+    const date = new Date(readyAt);
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const days = Math.round((new Date(date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / 86400000);
+    if (days <= 0) return time;
+    if (days === 1) return `tomorrow ${time}`;
+    if (days < 7) return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  }
+  
+  // "Save $20 vs Amazon" when cheaper than the page price, "+$5" when pricier
+  renderSavingsBadge(offer) {
+    if (typeof offer.savingsCents !== 'number' || offer.savingsCents === 0) return '';
+
+    const difference = LocalStockPrice.formatDifference(offer.savingsCents, offer.currency);
+    if (offer.savingsCents > 0) {
+      const label = this.getPlatformLabel();
+      return `<span class="localstock-savings-badge localstock-savings-badge-save">Save ${this.escapeHtml(difference)}${label ? ` vs ${label}` : ''}</span>`;
+    }
+    return `<span class="localstock-savings-badge localstock-savings-badge-more">+${this.escapeHtml(difference)}</span>`;
+  }
+  
+  getPlatformLabel() {
+    const labels = { amazon: 'Amazon', walmart: 'Walmart' };
+    return labels[this.platform] || '';
+  }
+  
   extractProductTitle() {
     // Try to extract product title from current page
     const titleSelectors = [
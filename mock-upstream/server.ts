@@ -0,0 +1,128 @@
+// Local stand-in for the LocalStock backend at BACKEND_BASE. Serves
+// /api/resolve and /v1/offers from fixture files so the backend provider,
+// its guards and its failure handling can be exercised offline.
+//
+//   npm run mock:upstream                       # listens on :8000, scenario "in-stock"
+//   MOCK_SCENARIO=slow npm run mock:upstream
+//   curl -X PUT localhost:8000/__scenario -H 'Content-Type: application/json' -d '{"scenario":"error"}'
+
+import express, { type Request, type Response } from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const PORT = Number(process.env.MOCK_UPSTREAM_PORT) || 8000;
+const SLOW_MS = Number(process.env.MOCK_SLOW_MS) || 5000;
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+interface Scenario {
+  description: string;
+  // Fixture served by each endpoint; omitted when the scenario doesn't serve JSON
+  resolve?: string;
+  offers?: string;
+  delayMs?: number;
+  status?: number;
+  malformed?: boolean;
+}
+
+const SCENARIOS: Record<string, Scenario> = {
+  "in-stock": {
+    description: "Pickup and delivery offers from two nearby stores",
+    resolve: "in-stock",
+    offers: "in-stock",
+  },
+  "pickup-only": {
+    description: "A single pickup offer, no delivery",
+    resolve: "pickup-only",
+    offers: "pickup-only",
+  },
+  "low-confidence": {
+    description: "Offers with confidence 0.4, rejected by the trust score guard",
+    resolve: "low-confidence",
+    offers: "low-confidence",
+  },
+  "v1-fallback": {
+    description: "/api/resolve finds nothing; /v1/offers answers",
+    resolve: "empty",
+    offers: "in-stock",
+  },
+  "empty": {
+    description: "Neither endpoint has offers",
+    resolve: "empty",
+    offers: "empty",
+  },
+  "slow": {
+    description: `In-stock offers after ${SLOW_MS} ms, past the upstream timeout`,
+    resolve: "in-stock",
+    offers: "in-stock",
+    delayMs: SLOW_MS,
+  },
+  "error": {
+    description: "Every call fails with 500",
+    status: 500,
+  },
+  "malformed": {
+    description: "200 responses with a truncated JSON body",
+    malformed: true,
+  },
+};
+
+let activeScenario = process.env.MOCK_SCENARIO || "in-stock";
+if (!SCENARIOS[activeScenario]) {
+  throw new Error(`Unknown MOCK_SCENARIO "${activeScenario}"; expected one of ${Object.keys(SCENARIOS).join(", ")}`);
+}
+
+// Read on every request so fixture edits apply without a restart
+function loadFixture(name: string): any {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf-8"));
+}
+
+function serve(endpoint: "resolve" | "offers") {
+  return (req: Request, res: Response) => {
+    const scenario = SCENARIOS[activeScenario];
+    const productId = req.body?.product_id;
+    console.log(`[mock-upstream] ${req.method} ${req.path} product_id=${productId} scenario=${activeScenario}`);
+
+    if (!productId) {
+      return res.status(400).json({ error: "product_id is required" });
+    }
+
+    setTimeout(() => {
+      if (scenario.status) {
+        return res.status(scenario.status).json({ error: "Mock upstream failure" });
+      }
+      if (scenario.malformed) {
+        return res.type("application/json").send('{"offers": [{"id": "mock-truncated", "price_cents": 19');
+      }
+      const fixture = loadFixture(scenario[endpoint]!);
+      res.json({ product_id: productId, ...fixture });
+    }, scenario.delayMs ?? 0);
+  };
+}
+
+const app = express();
+app.use(express.json());
+
+app.post("/api/resolve", serve("resolve"));
+app.post("/v1/offers", serve("offers"));
+
+app.get("/__scenario", (req, res) => {
+  res.json({
+    active: activeScenario,
+    scenarios: Object.entries(SCENARIOS).map(([name, scenario]) => ({ name, description: scenario.description })),
+  });
+});
+
+app.put("/__scenario", (req, res) => {
+  const scenario = req.body?.scenario;
+  if (!SCENARIOS[scenario]) {
+    return res.status(400).json({ error: "Unknown scenario", scenarios: Object.keys(SCENARIOS) });
+  }
+  activeScenario = scenario;
+  console.log(`[mock-upstream] scenario -> ${activeScenario}`);
+  res.json({ active: activeScenario });
+});
+
+app.listen(PORT, () => {
+  console.log(`[mock-upstream] listening on :${PORT} (scenario "${activeScenario}")`);
+});
@@ -0,0 +1,246 @@
+import { type Express } from "express";
+import { storage } from "./storage";
+import { requireAdminKey } from "./auth";
+import { responseSource } from "./resolver";
+import { sendError, sendServerError } from "./errors";
+import {
+  analyticsQuerySchema,
+  type AnalyticsPlatforms,
+  type AnalyticsProducts,
+  type AnalyticsQuery,
+  type AnalyticsSources,
+  type AnalyticsSummary,
+  type AnalyticsTimeSeries,
+  type AnalyticsZips,
+  type ResolveRequestRecord,
+} from "@shared/schema";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+// Ranges up to this long are bucketed by hour unless ?interval= says otherwise
+const HOURLY_RANGE_MAX = 2 * DAY_MS;
+
+type Source = AnalyticsSources["sources"][number]["source"];
+
+interface Range {
+  from: Date;
+  to: Date;
+}
+
+// A logged request reduced to what the aggregates need
+interface Entry {
+  record: ResolveRequestRecord;
+  createdAt: Date;
+  error: boolean;
+  eligible: boolean;
+  source: Source;
+}
+
+function toEntry(record: ResolveRequestRecord): Entry {
+  const response = record.response;
+  const error = response.error !== undefined;
+  return {
+    record,
+    createdAt: record.createdAt ?? new Date(0),
+    error,
+    eligible: !error && response.eligible === true,
+    // Rows logged before sources were recorded fall back to the stored response
+    source: error ? "error" : record.source ?? responseSource(response),
+  };
+}
+
+function ratio(part: number, whole: number): number {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+function rangeOf(query: AnalyticsQuery): Range {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { from, to };
+}
+
+function rangeJson(range: Range) {
+  return { from: range.from.toISOString(), to: range.to.toISOString() };
+}
+
+function bucketStart(date: Date, interval: "hour" | "day"): number {
+  const size = interval === "hour" ? HOUR_MS : DAY_MS;
+  return Math.floor(date.getTime() / size) * size;
+}
+
+function summary(entries: Entry[], range: Range): AnalyticsSummary {
+  const answered = entries.filter(entry => !entry.error);
+  const eligible = answered.filter(entry => entry.eligible);
+  return {
+    ...rangeJson(range),
+    total: entries.length,
+    eligible: eligible.length,
+    errors: entries.length - answered.length,
+    eligibleRate: ratio(eligible.length, answered.length),
+    cacheHitRate: ratio(answered.filter(entry => entry.source === "cache").length, answered.length),
+    backendRate: ratio(eligible.filter(entry => entry.source === "backend").length, eligible.length),
+  };
+}
+
+// Every bucket in the range is returned, including empty ones
+function timeSeries(entries: Entry[], range: Range, query: AnalyticsQuery): AnalyticsTimeSeries {
+  const interval = query.interval
+    ?? (range.to.getTime() - range.from.getTime() <= HOURLY_RANGE_MAX ? "hour" : "day");
+  const size = interval === "hour" ? HOUR_MS : DAY_MS;
+
+  const buckets = new Map<number, AnalyticsTimeSeries["buckets"][number]>();
+  for (let start = bucketStart(range.from, interval); start < range.to.getTime(); start += size) {
+    buckets.set(start, { start: new Date(start).toISOString(), total: 0, eligible: 0, errors: 0 });
+  }
+  for (const entry of entries) {
+    const bucket = buckets.get(bucketStart(entry.createdAt, interval));
+    if (!bucket) continue;
+    bucket.total++;
+    if (entry.eligible) bucket.eligible++;
+    if (entry.error) bucket.errors++;
+  }
+
+  return { ...rangeJson(range), interval, buckets: Array.from(buckets.values()) };
+}
+
+function platforms(entries: Entry[], range: Range): AnalyticsPlatforms {
+  const byPlatform = new Map<string, { total: number; eligible: number }>();
+  for (const entry of entries) {
+    if (entry.error) continue;
+    const stats = byPlatform.get(entry.record.platform) ?? { total: 0, eligible: 0 };
+    stats.total++;
+    if (entry.eligible) stats.eligible++;
+    byPlatform.set(entry.record.platform, stats);
+  }
+
+  return {
+    ...rangeJson(range),
+    platforms: Array.from(byPlatform.entries())
+      .map(([platform, stats]) => ({ platform, ...stats, eligibleRate: ratio(stats.eligible, stats.total) }))
+      .sort((a, b) => b.total - a.total),
+  };
+}
+
+// Requests grouped by matched catalog product, or by identifiers when the
+// product was never matched (e.g. every lookup failed)
+function productStats(entries: Entry[]): AnalyticsProducts["products"] {
+  const byProduct = new Map<string, AnalyticsProducts["products"][number]>();
+  for (const entry of entries) {
+    if (entry.error) continue;
+    const { record } = entry;
+    const productId: string | undefined = record.response?.productId;
+    const key = productId ?? `${record.platform}:${JSON.stringify(record.identifiers)}`;
+
+    const stats = byProduct.get(key) ?? {
+      productId,
+      title: null,
+      brand: null,
+      platform: record.platform,
+      identifiers: record.identifiers,
+      lookups: 0,
+      zeroResults: 0,
+    };
+    stats.lookups++;
+    if (!entry.eligible) stats.zeroResults++;
+    // Entries are oldest first, so the latest title and brand win
+    stats.title = record.title ?? stats.title;
+    stats.brand = record.brand ?? stats.brand;
+    byProduct.set(key, stats);
+  }
+  return Array.from(byProduct.values());
+}
+
+function topProducts(entries: Entry[], range: Range, query: AnalyticsQuery): AnalyticsProducts {
+  return {
+    ...rangeJson(range),
+    products: productStats(entries)
+      .sort((a, b) => b.lookups - a.lookups)
+      .slice(0, query.limit),
+  };
+}
+
+function zeroResultProducts(entries: Entry[], range: Range, query: AnalyticsQuery): AnalyticsProducts {
+  return {
+    ...rangeJson(range),
+    products: productStats(entries)
+      .filter(product => product.zeroResults > 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults || b.lookups - a.lookups)
+      .slice(0, query.limit),
+  };
+}
+
+// Most looked-up ZIPs; coverageRate is the share answered with an eligible offer
+function zips(entries: Entry[], range: Range, query: AnalyticsQuery): AnalyticsZips {
+  const byZip = new Map<string, { lookups: number; eligible: number }>();
+  for (const entry of entries) {
+    if (entry.error || !entry.record.zipCode) continue;
+    const stats = byZip.get(entry.record.zipCode) ?? { lookups: 0, eligible: 0 };
+    stats.lookups++;
+    if (entry.eligible) stats.eligible++;
+    byZip.set(entry.record.zipCode, stats);
+  }
+
+  return {
+    ...rangeJson(range),
+    zips: Array.from(byZip.entries())
+      .map(([zip, stats]) => ({ zip, ...stats, coverageRate: ratio(stats.eligible, stats.lookups) }))
+      .sort((a, b) => b.lookups - a.lookups)
+      .slice(0, query.limit),
+  };
+}
+
+function sources(entries: Entry[], range: Range): AnalyticsSources {
+  const counts = new Map<Source, number>();
+  for (const entry of entries) {
+    counts.set(entry.source, (counts.get(entry.source) ?? 0) + 1);
+  }
+
+  return {
+    ...rangeJson(range),
+    sources: Array.from(counts.entries())
+      .map(([source, count]) => ({ source, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+const reports: Record<string, (entries: Entry[], range: Range, query: AnalyticsQuery) => unknown> = {
+  "summary": summary,
+  "requests": timeSeries,
+  "platforms": platforms,
+  "top-products": topProducts,
+  "zero-result-products": zeroResultProducts,
+  "zips": zips,
+  "sources": sources,
+};
+
+// Aggregates over the resolve request log, one admin route per report:
+// GET /api/analytics/<report>?from=&to=&interval=&limit=
+export function registerAnalyticsRoutes(app: Express) {
+  for (const [name, report] of Object.entries(reports)) {
+    app.get(`/api/analytics/${name}`, requireAdminKey, async (req, res) => {
+      try {
+        const validationResult = analyticsQuerySchema.safeParse(req.query);
+        if (!validationResult.success) {
+          return sendError(res, 400, 'INVALID_REQUEST', 'Invalid analytics query', {
+            details: validationResult.error.issues,
+          });
+        }
+
+        const query = validationResult.data;
+        const range = rangeOf(query);
+        const span = range.to.getTime() - range.from.getTime();
+        if (span <= 0 || span > MAX_RANGE_DAYS * DAY_MS) {
+          return sendError(res, 400, 'INVALID_REQUEST', `Date range must be between 0 and ${MAX_RANGE_DAYS} days`);
+        }
+
+        // Older versions logged a row without a response before resolving; skip those
+        const records = await storage.getResolveRequestsBetween(range.from, range.to);
+        res.json(report(records.filter(record => record.response).map(toEntry), range, query));
+      } catch (error) {
+        sendServerError(res, 'Failed to compute analytics', error);
+      }
+    });
+  }
+}
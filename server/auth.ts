@@ -0,0 +1,256 @@
+import { type Express, type Request, type Response, type NextFunction, type RequestHandler } from "express";
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { storage } from "./storage";
+import { sendError, sendServerError } from "./errors";
+import {
+  createApiKeyRequestSchema,
+  updateApiKeyRequestSchema,
+  type ApiKey,
+} from "@shared/schema";
+
+// Key required in X-Admin-Key for admin routes; they are disabled (503) when unset
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+// Looked-up keys are reused this long so each request doesn't hit storage.
+// Only keys that exist are cached, so the map stays as small as the key table.
+const KEY_LOOKUP_TTL = 30 * 1000;
+
+interface KeyLookup {
+  apiKey: ApiKey;
+  expiresAt: number;
+}
+
+// Token bucket per key: holds up to rateLimitPerMinute tokens, refilled continuously
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+// Usage counters for the current UTC day, kept in memory per process
+export interface KeyUsage {
+  day: string;
+  requests: number;
+  quotaUsed: number;
+  rateLimited: number;
+  quotaExceeded: number;
+  lastUsedAt: string | null;
+}
+
+const keyLookups = new Map<string, KeyLookup>();
+const buckets = new Map<string, Bucket>();
+const usage = new Map<string, KeyUsage>();
+
+export function keysMatch(provided: string, expected: string): boolean {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function hashApiKey(key: string): string {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey(): string {
+  return `ls_${randomBytes(24).toString("base64url")}`;
+}
+
+function utcDay(now = new Date()): string {
+  return now.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = new Date()): number {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function usageFor(keyId: string): KeyUsage {
+  const day = utcDay();
+  let entry = usage.get(keyId);
+  if (!entry || entry.day !== day) {
+    entry = { day, requests: 0, quotaUsed: 0, rateLimited: 0, quotaExceeded: 0, lastUsedAt: entry?.lastUsedAt ?? null };
+    usage.set(keyId, entry);
+  }
+  return entry;
+}
+
+async function findApiKey(key: string): Promise<ApiKey | undefined> {
+  const keyHash = hashApiKey(key);
+  const cached = keyLookups.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.apiKey;
+  keyLookups.delete(keyHash);
+
+  const apiKey = await storage.getApiKeyByHash(keyHash);
+  if (apiKey) {
+    keyLookups.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_LOOKUP_TTL });
+  }
+  return apiKey;
+}
+
+// Takes one token; returns seconds until one is available when the bucket is empty
+function takeToken(apiKey: ApiKey): { remaining: number; retryAfter?: number } {
+  const now = Date.now();
+  const capacity = apiKey.rateLimitPerMinute;
+  const refillPerMs = capacity / 60000;
+  const bucket = buckets.get(apiKey.id) ?? { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(apiKey.id, bucket);
+
+  if (bucket.tokens < 1) {
+    return { remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+  }
+  bucket.tokens -= 1;
+  return { remaining: Math.floor(bucket.tokens) };
+}
+
+// True when admin routes are enabled and `provided` is the admin key
+export function isAdminKey(provided: string): boolean {
+  return !!ADMIN_API_KEY && keysMatch(provided, ADMIN_API_KEY);
+}
+
+export function requireAdminKey(req: Request, res: Response, next: NextFunction) {
+  if (!ADMIN_API_KEY) {
+    return sendError(res, 503, 'SERVICE_DISABLED', 'Admin API disabled');
+  }
+
+  const provided = req.header('X-Admin-Key') || '';
+  if (!isAdminKey(provided)) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized');
+  }
+
+  next();
+}
+
+// The active client key record for `provided`, if any
+export async function authenticateClientKey(provided: string): Promise<ApiKey | undefined> {
+  const apiKey = provided ? await findApiKey(provided) : undefined;
+  return apiKey?.isActive ? apiKey : undefined;
+}
+
+export type KeyCharge =
+  | { ok: true; remaining: number; quotaRemaining: number }
+  | {
+    ok: false;
+    code: 'RATE_LIMITED' | 'QUOTA_EXCEEDED';
+    error: 'Rate limit exceeded' | 'Daily quota exceeded';
+    remaining: number;
+    retryAfter: number;
+  };
+
+// Counts one request against the key's per-minute rate limit and `cost` units
+// against its daily quota
+export function chargeClientKey(apiKey: ApiKey, cost = 1): KeyCharge {
+  const keyUsage = usageFor(apiKey.id);
+  keyUsage.requests++;
+  keyUsage.lastUsedAt = new Date().toISOString();
+
+  const { remaining, retryAfter } = takeToken(apiKey);
+  if (retryAfter !== undefined) {
+    keyUsage.rateLimited++;
+    return { ok: false, code: 'RATE_LIMITED', error: 'Rate limit exceeded', remaining, retryAfter };
+  }
+
+  if (keyUsage.quotaUsed + cost > apiKey.dailyQuota) {
+    keyUsage.quotaExceeded++;
+    return { ok: false, code: 'QUOTA_EXCEEDED', error: 'Daily quota exceeded', remaining, retryAfter: secondsUntilUtcMidnight() };
+  }
+  keyUsage.quotaUsed += cost;
+  return { ok: true, remaining, quotaRemaining: apiKey.dailyQuota - keyUsage.quotaUsed };
+}
+
+interface ClientKeyOptions {
+  // Daily quota units a request consumes (e.g. one per batch item); default 1
+  cost?: (req: Request) => number;
+}
+
+// Requires a valid client key in X-API-Key and enforces its per-minute rate
+// limit and daily quota; 429 responses carry Retry-After in seconds
+export function requireClientKey(options: ClientKeyOptions = {}): RequestHandler {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await authenticateClientKey(req.header('X-API-Key') || '');
+      if (!apiKey) {
+        return sendError(res, 401, 'UNAUTHORIZED', 'Invalid or missing API key');
+      }
+
+      const charge = chargeClientKey(apiKey, Math.max(1, options.cost?.(req) ?? 1));
+      res.setHeader('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+      res.setHeader('X-RateLimit-Remaining', String(charge.remaining));
+      if (!charge.ok) {
+        res.setHeader('Retry-After', String(charge.retryAfter));
+        return sendError(res, 429, charge.code, charge.error, { retryAfter: charge.retryAfter });
+      }
+      res.setHeader('X-Quota-Remaining', String(charge.quotaRemaining));
+
+      res.locals.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Key records as shown to admins: never the hash, plus today's usage
+function describeApiKey(apiKey: ApiKey) {
+  const { keyHash, ...rest } = apiKey;
+  const keyUsage = usageFor(apiKey.id);
+  return {
+    ...rest,
+    usage: { ...keyUsage, quotaRemaining: Math.max(0, apiKey.dailyQuota - keyUsage.quotaUsed) },
+  };
+}
+
+export function registerApiKeyRoutes(app: Express) {
+  app.get('/api/admin/keys', requireAdminKey, async (req, res) => {
+    try {
+      const keys = await storage.getApiKeys();
+      res.json(keys.map(describeApiKey));
+    } catch (error) {
+      sendServerError(res, 'Failed to fetch API keys', error);
+    }
+  });
+
+  // The plaintext key is only ever returned here
+  app.post('/api/admin/keys', requireAdminKey, async (req, res) => {
+    try {
+      const validationResult = createApiKeyRequestSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid API key request', {
+          details: validationResult.error.issues,
+        });
+      }
+
+      const key = generateApiKey();
+      const apiKey = await storage.createApiKey({
+        ...validationResult.data,
+        keyPrefix: key.slice(0, 8),
+        keyHash: hashApiKey(key),
+      });
+      res.status(201).json({ key, apiKey: describeApiKey(apiKey) });
+    } catch (error) {
+      sendServerError(res, 'Failed to create API key', error);
+    }
+  });
+
+  // Change limits, rename, or revoke with { "isActive": false }
+  app.patch('/api/admin/keys/:id', requireAdminKey, async (req, res) => {
+    try {
+      const validationResult = updateApiKeyRequestSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid API key request', {
+          details: validationResult.error.issues,
+        });
+      }
+
+      const apiKey = await storage.updateApiKey(req.params.id, validationResult.data);
+      if (!apiKey) {
+        return sendError(res, 404, 'NOT_FOUND', 'API key not found');
+      }
+
+      keyLookups.clear();
+      res.json(describeApiKey(apiKey));
+    } catch (error) {
+      sendServerError(res, 'Failed to update API key', error);
+    }
+  });
+}
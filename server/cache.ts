@@ -0,0 +1,186 @@
+// Response cache with positive/negative TTLs and stale-while-revalidate over a
+// pluggable storage backend. MemoryCacheBackend is a size-bounded LRU; a
+// shared store (Redis, Memcached, ...) plugs in by implementing CacheBackend.
+
+export interface CacheRecord<V> {
+  value: V;
+  storedAt: number;
+  freshUntil: number; // served as a hit until here
+  staleUntil: number; // served stale (and refreshed in the background) until here
+}
+
+export interface CacheBackendStats {
+  entries: number;
+  evictions: number; // entries dropped to stay within capacity
+}
+
+// Storage for cache records. Implementations may drop records at any time;
+// `ttlMs` is how long the record is useful at all (fresh + stale window).
+export interface CacheBackend<V> {
+  readonly name: string;
+  get(key: string): Promise<CacheRecord<V> | undefined>;
+  set(key: string, record: CacheRecord<V>, ttlMs: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  stats(): Promise<CacheBackendStats>;
+}
+
+export class MemoryCacheBackend<V> implements CacheBackend<V> {
+  readonly name = "memory";
+  // Map iteration order is insertion order, so the first key is least recently used
+  private readonly records = new Map<string, CacheRecord<V>>();
+  private evictions = 0;
+
+  constructor(private readonly maxEntries: number) {}
+
+  async get(key: string): Promise<CacheRecord<V> | undefined> {
+    const record = this.records.get(key);
+    if (!record) return undefined;
+    if (record.staleUntil <= Date.now()) {
+      this.records.delete(key);
+      return undefined;
+    }
+    // Refresh recency
+    this.records.delete(key);
+    this.records.set(key, record);
+    return record;
+  }
+
+  async set(key: string, record: CacheRecord<V>): Promise<void> {
+    this.records.delete(key);
+    this.records.set(key, record);
+    while (this.records.size > this.maxEntries) {
+      const oldest = this.records.keys().next().value as string;
+      this.records.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    this.records.delete(key);
+  }
+
+  async clear(): Promise<void> {
+    this.records.clear();
+  }
+
+  async stats(): Promise<CacheBackendStats> {
+    return { entries: this.records.size, evictions: this.evictions };
+  }
+}
+
+export interface CacheOptions<V> {
+  positiveTtlMs: number;
+  negativeTtlMs: number;
+  staleTtlMs: number; // extra window past either TTL where the old value is still served
+  // Negative results ("nothing found") are kept for negativeTtlMs instead
+  isNegative?: (value: V) => boolean;
+}
+
+export type CacheOutcome = "hit" | "stale" | "miss";
+
+// `background` is true when the load refreshes a stale entry after the
+// caller already got the old value
+export type CacheLoader<V> = (context: { background: boolean }) => Promise<V>;
+
+export class Cache<V> {
+  private hits = 0;
+  private staleHits = 0;
+  private misses = 0;
+  private revalidations = 0;
+  private revalidationErrors = 0;
+  // Bumped by clear() so loads that started before it don't store old data
+  private generation = 0;
+  // One load per key at a time, shared by concurrent misses and refreshes
+  private readonly inFlight = new Map<string, Promise<V>>();
+
+  constructor(
+    private readonly backend: CacheBackend<V>,
+    private readonly options: CacheOptions<V>,
+  ) {}
+
+  // Returns the cached value when fresh; when stale, returns it immediately
+  // and refreshes it in the background; otherwise loads and stores it.
+  async getOrLoad(key: string, load: CacheLoader<V>): Promise<{ value: V; outcome: CacheOutcome }> {
+    const record = await this.backend.get(key);
+    const now = Date.now();
+
+    if (record && now < record.freshUntil) {
+      this.hits++;
+      return { value: record.value, outcome: "hit" };
+    }
+    if (record && now < record.staleUntil) {
+      this.staleHits++;
+      this.revalidate(key, load);
+      return { value: record.value, outcome: "stale" };
+    }
+
+    this.misses++;
+    return { value: await this.loadOnce(key, () => load({ background: false })), outcome: "miss" };
+  }
+
+  async set(key: string, value: V): Promise<void> {
+    const now = Date.now();
+    const ttlMs = this.options.isNegative?.(value) ? this.options.negativeTtlMs : this.options.positiveTtlMs;
+    const record: CacheRecord<V> = {
+      value,
+      storedAt: now,
+      freshUntil: now + ttlMs,
+      staleUntil: now + ttlMs + this.options.staleTtlMs,
+    };
+    await this.backend.set(key, record, ttlMs + this.options.staleTtlMs);
+  }
+
+  async clear(): Promise<void> {
+    this.generation++;
+    this.inFlight.clear();
+    await this.backend.clear();
+  }
+
+  async stats() {
+    const backendStats = await this.backend.stats();
+    return {
+      backend: this.backend.name,
+      ...backendStats,
+      hits: this.hits,
+      staleHits: this.staleHits,
+      misses: this.misses,
+      revalidations: this.revalidations,
+      revalidationErrors: this.revalidationErrors,
+      ttl: this.options.positiveTtlMs / 1000,
+      negativeTtl: this.options.negativeTtlMs / 1000,
+      staleTtl: this.options.staleTtlMs / 1000,
+    };
+  }
+
+  private loadOnce(key: string, load: () => Promise<V>): Promise<V> {
+    const pending = this.inFlight.get(key);
+    if (pending) return pending;
+
+    const generation = this.generation;
+    const promise: Promise<V> = Promise.resolve()
+      .then(load)
+      .then(async value => {
+        if (generation === this.generation) {
+          await this.set(key, value);
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(key) === promise) {
+          this.inFlight.delete(key);
+        }
+      });
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  private revalidate(key: string, load: CacheLoader<V>) {
+    if (this.inFlight.has(key)) return;
+    this.revalidations++;
+    this.loadOnce(key, () => load({ background: true })).catch(error => {
+      this.revalidationErrors++;
+      console.error(`Cache revalidation failed for ${key}:`, error);
+    });
+  }
+}
@@ -0,0 +1,24 @@
+import { Pool, neonConfig } from "@neondatabase/serverless";
+import { drizzle, type NeonDatabase } from "drizzle-orm/neon-serverless";
+import ws from "ws";
+import * as schema from "@shared/schema";
+
+neonConfig.webSocketConstructor = ws;
+
+export type Database = NeonDatabase<typeof schema>;
+
+let pool: Pool | undefined;
+let db: Database | undefined;
+
+// Lazily connect so MemStorage-only runs (dev, tests) never need DATABASE_URL
+export function getDb(): Database {
+  if (db) return db;
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL must be set to use the postgres storage driver");
+  }
+
+  pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  db = drizzle({ client: pool, schema });
+  return db;
+}
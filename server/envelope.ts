@@ -0,0 +1,49 @@
+import { type Request, type Response, type NextFunction } from "express";
+import { codeForStatus } from "./errors";
+import { type EnvelopeError, type EnvelopeMeta } from "@shared/schema";
+
+// /api/v1 serves the same routes as /api, with every JSON body wrapped:
+//   { "ok": true, "data": <body>, "meta": { "apiVersion": "v1", ... } }
+//   { "ok": false, "error": { "code", "message", ... }, "meta": { ... } }
+// The unversioned routes keep their bare bodies for older extension builds.
+
+const V1_PREFIX = /^\/api\/v1(?=\/|\?|$)/;
+
+function metaOf(res: Response): EnvelopeMeta {
+  const requestId = res.getHeader('X-Request-Id');
+  return {
+    apiVersion: 'v1',
+    ...(typeof requestId === 'string' ? { requestId } : {}),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Error bodies from our handlers carry `code`; anything else (an unexpected
+// shape from middleware) gets one from the status
+function toEnvelopeError(body: any, status: number): EnvelopeError['error'] {
+  const title: string = typeof body?.error === 'string' ? body.error : body?.message ?? 'Request failed';
+  const detail: string | undefined = typeof body?.error === 'string' ? body?.message : undefined;
+  return {
+    code: body?.code ?? codeForStatus(status),
+    message: detail ? `${title}: ${detail}` : title,
+    ...(body?.details !== undefined ? { details: body.details } : {}),
+    ...(body?.retryAfter !== undefined ? { retryAfter: body.retryAfter } : {}),
+  };
+}
+
+// Mounted before every /api middleware: strips the version so /api/v1/... is
+// routed like /api/..., and wraps res.json for the request
+export function apiVersioning(req: Request, res: Response, next: NextFunction) {
+  if (!V1_PREFIX.test(req.url)) return next();
+
+  req.url = req.url.replace(V1_PREFIX, '/api');
+  res.locals.apiVersion = 'v1';
+
+  const json = res.json.bind(res);
+  res.json = (body: unknown) => json(
+    res.statusCode < 400
+      ? { ok: true, data: body, meta: metaOf(res) }
+      : { ok: false, error: toEnvelopeError(body, res.statusCode), meta: metaOf(res) },
+  );
+  next();
+}
@@ -0,0 +1,33 @@
+import { type Response } from "express";
+import { type ApiErrorCode, type ErrorResponse } from "@shared/schema";
+
+// Every error response has the same body: a short `error` title, a
+// machine-readable `code` and, depending on the error, the underlying
+// `message`, validation `details` or `retryAfter` seconds. /api/v1 moves
+// these into its envelope (see envelope.ts).
+
+type ErrorExtras = Pick<ErrorResponse, "message" | "details" | "retryAfter">;
+
+export function sendError(res: Response, status: number, code: ApiErrorCode, error: string, extras: ErrorExtras = {}) {
+  return res.status(status).json({ error, code, ...extras });
+}
+
+// 500 for an unexpected failure, quoting the thrown error
+export function sendServerError(res: Response, error: string, cause: unknown) {
+  return sendError(res, 500, 'INTERNAL_ERROR', error, {
+    message: cause instanceof Error ? cause.message : 'Unknown error',
+  });
+}
+
+// For errors raised outside our handlers, e.g. body-parser's malformed JSON (400)
+// or oversized body (413)
+export function codeForStatus(status: number): ApiErrorCode {
+  switch (status) {
+    case 400: return 'INVALID_REQUEST';
+    case 401: return 'UNAUTHORIZED';
+    case 404: return 'NOT_FOUND';
+    case 413: return 'PAYLOAD_TOO_LARGE';
+    case 429: return 'RATE_LIMITED';
+    default: return status < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR';
+  }
+}
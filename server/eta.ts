@@ -0,0 +1,155 @@
+import { weekdays, type Weekday } from "@shared/schema";
+import { localNow, addDays } from "./hours";
+
+// Offer ETAs arrive as free text from ingestion and providers. They are
+// resolved to an absolute ready-by time in the store's timezone:
+//   relative   "45 min", "2 hours", "1h 30m", "2-3 hours" (the later bound), "in 2 days"
+//   clock      "6:00 PM", "18:00", "by noon" (tomorrow once the time has passed)
+//   day        "today", "tomorrow at 9:00 AM", "Monday by 5 PM" (a day alone means by its end)
+//   timestamp  "2026-10-20T18:00:00Z", or without an offset in the store's timezone
+// Anything else is unknown rather than "now".
+
+// For stores without a timezone and provider offers
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || "America/New_York";
+
+const DAY_MINUTES = 24 * 60;
+
+export interface ReadyBy {
+  etaMinutes: number; // from now, never negative
+  readyAt: string; // ISO
+}
+
+const UNIT_MINUTES: Record<string, number> = { d: DAY_MINUTES, h: 60, m: 1 };
+const DURATION = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m)(?![a-z])/g;
+const CLOCK = /\b(?:(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?|(\d{1,2}):(\d{2})|(noon|midnight))(?=[\s,]|$)/;
+const DAY = /\b(today|tonight|tomorrow|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\b/;
+// Words that carry no timing of their own: "ready by", "arrives at", "on Monday"
+const FILLER = /\b(?:ready|arrives?|by|at|on|in|within|before|around|approx\.?)\b|[,.~]/g;
+const ISO = /^(\d{4}-\d{2}-\d{2})[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(z|([+-])(\d{2}):?(\d{2}))?$/;
+
+// Minutes the zone is ahead of UTC at `instant`
+function offsetMinutes(instant: number, timeZone: string): number {
+  const minute = instant - (instant % 60000);
+  const local = localNow(new Date(minute), timeZone);
+  return (Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000 - minute) / 60000;
+}
+
+// The instant a local date and time-of-day occur in the zone
+function zonedInstant(date: string, minutes: number, timeZone: string): number {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  const guess = wall - offsetMinutes(wall, timeZone) * 60000;
+  return wall - offsetMinutes(guess, timeZone) * 60000;
+}
+
+function parseDuration(text: string): number | undefined {
+  let total = 0;
+  let matched = false;
+  const rest = text.replace(DURATION, (_, low: string, high: string | undefined, unit: string) => {
+    matched = true;
+    total += Number(high ?? low) * UNIT_MINUTES[unit[0]];
+    return " ";
+  });
+  if (!matched || rest.replace(FILLER, " ").replace(/\band\b/g, " ").trim()) return undefined;
+  return Math.ceil(total);
+}
+
+// Minutes into the day, or undefined for a malformed time
+function clockMinutes(match: RegExpMatchArray): number | undefined {
+  const [, hour12, minute12, meridiem, hour24, minute24, named] = match;
+  if (named) return named === "noon" ? 12 * 60 : DAY_MINUTES;
+
+  const minute = Number(minute12 ?? minute24 ?? 0);
+  if (minute > 59) return undefined;
+  if (hour24 !== undefined) {
+    const hour = Number(hour24);
+    return hour <= 24 && (hour < 24 || minute === 0) ? hour * 60 + minute : undefined;
+  }
+  const hour = Number(hour12);
+  if (hour < 1 || hour > 12) return undefined;
+  return ((hour % 12) + (meridiem === "p" ? 12 : 0)) * 60 + minute;
+}
+
+// Days from today for a day word; a weekday means its next occurrence, today included
+function dayOffset(word: string, todayWeekday: number): number {
+  if (word === "today" || word === "tonight") return 0;
+  if (word === "tomorrow") return 1;
+  const weekday = weekdays.indexOf(word.slice(0, 3) as Weekday);
+  return (weekday - todayWeekday + 7) % 7;
+}
+
+// Absolute ready time for a clock or day phrase, in ms
+function parseDayAndTime(text: string, timeZone: string, now: Date): number | undefined {
+  const day = text.match(DAY);
+  const clock = text.match(CLOCK);
+  if (!day && !clock) return undefined;
+
+  let rest = text;
+  if (day) rest = rest.replace(day[0], " ");
+  if (clock) rest = rest.replace(clock[0], " ");
+  if (rest.replace(FILLER, " ").trim()) return undefined;
+
+  const minutes = clock ? clockMinutes(clock) : DAY_MINUTES;
+  if (minutes === undefined) return undefined;
+
+  const local = localNow(now, timeZone);
+  let offset = day ? dayOffset(day[1], local.weekday) : 0;
+  // "6 PM" after six means tomorrow; "Monday 9 AM" on a Monday afternoon means next week
+  if (minutes < local.minutes && offset === 0 && (!day || !/^(today|tonight)$/.test(day[1]))) {
+    offset = day ? 7 : 1;
+  }
+  return zonedInstant(addDays(local.date, offset), minutes, timeZone);
+}
+
+function parseTimestamp(text: string, timeZone: string): number | undefined {
+  const match = text.match(ISO);
+  if (!match) return undefined;
+  const [, date, hour, minute, zone, sign, zoneHours, zoneMinutes] = match;
+  const minutes = Number(hour) * 60 + Number(minute);
+  if (Number.isNaN(Date.parse(`${date}T00:00:00Z`)) || Number(hour) > 23 || Number(minute) > 59) return undefined;
+  if (!zone) return zonedInstant(date, minutes, timeZone);
+
+  const offset = zone === "z" ? 0 : (sign === "-" ? -1 : 1) * (Number(zoneHours) * 60 + Number(zoneMinutes));
+  return Date.parse(`${date}T00:00:00Z`) + (minutes - offset) * 60000;
+}
+
+export function parseEta(
+  eta: string | null | undefined,
+  timeZone: string | null | undefined,
+  now = new Date(),
+): ReadyBy | undefined {
+  const text = eta?.trim().toLowerCase();
+  if (!text) return undefined;
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+
+  const duration = parseDuration(text);
+  const readyAt = duration !== undefined
+    ? now.getTime() + duration * 60000
+    : parseTimestamp(text, zone) ?? parseDayAndTime(text, zone, now);
+  if (readyAt === undefined) return undefined;
+
+  // A time already passed ("today by 6 PM" at seven) means ready now
+  const etaMinutes = Math.max(0, Math.ceil((readyAt - now.getTime()) / 60000));
+  return {
+    etaMinutes,
+    readyAt: new Date(Math.max(readyAt, now.getTime())).toISOString(),
+  };
+}
+
+// The offer's ETA resolved against `now`: its text when that parses, else the
+// stored minutes; both unset when neither is known
+export function withReadyBy<T extends { eta?: string | null; etaMinutes?: number | null }>(
+  offer: T,
+  timeZone: string | null | undefined,
+  now: Date,
+): Omit<T, "etaMinutes"> & { etaMinutes?: number; readyAt?: string } {
+  const parsed = parseEta(offer.eta, timeZone, now);
+  if (parsed) return { ...offer, ...parsed };
+  if (typeof offer.etaMinutes === "number") {
+    return {
+      ...offer,
+      etaMinutes: offer.etaMinutes,
+      readyAt: new Date(now.getTime() + offer.etaMinutes * 60000).toISOString(),
+    };
+  }
+  return { ...offer, etaMinutes: undefined, readyAt: undefined };
+}
@@ -0,0 +1,26 @@
+import { EventEmitter } from "events";
+import { type OfferSnapshot, type ResolveRequestRecord } from "@shared/schema";
+
+// In-process notifications from the storage layer, consumed by live updates
+// (server/live.ts). Emitted after the write has completed.
+export interface StorageEvents {
+  // An offer was created or its price, stock or stock level changed
+  offerChanged: [snapshot: OfferSnapshot];
+  resolveRequestCreated: [record: ResolveRequestRecord];
+}
+
+class StorageEventEmitter extends EventEmitter {
+  emit<K extends keyof StorageEvents>(event: K, ...args: StorageEvents[K]): boolean {
+    return super.emit(event, ...args);
+  }
+
+  on<K extends keyof StorageEvents>(event: K, listener: (...args: StorageEvents[K]) => void): this {
+    return super.on(event, listener as (...args: any[]) => void);
+  }
+
+  off<K extends keyof StorageEvents>(event: K, listener: (...args: StorageEvents[K]) => void): this {
+    return super.off(event, listener as (...args: any[]) => void);
+  }
+}
+
+export const storageEvents = new StorageEventEmitter();
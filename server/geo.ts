@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+
+export interface LatLon {
+  lat: number;
+  lon: number;
+}
+
+// Census ZCTA centroids, resolved from the working directory like the other bundled assets
+const ZIP_CENTROIDS_PATH =
+  process.env.ZIP_CENTROIDS_PATH || path.resolve(process.cwd(), "server", "data", "zip-centroids.csv");
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+let zipCentroids: Map<string, LatLon> | undefined;
+
+function loadZipCentroids(): Map<string, LatLon> {
+  if (zipCentroids) return zipCentroids;
+
+  zipCentroids = new Map();
+  try {
+    const lines = fs.readFileSync(ZIP_CENTROIDS_PATH, "utf-8").split("\n");
+    for (const line of lines) {
+      if (!line || line.startsWith("#") || line.startsWith("zip,")) continue;
+      const [zip, lat, lon] = line.split(",");
+      zipCentroids.set(zip, { lat: parseFloat(lat), lon: parseFloat(lon) });
+    }
+  } catch (error) {
+    console.error(`Failed to load ZIP centroids from ${ZIP_CENTROIDS_PATH}:`, error);
+  }
+  return zipCentroids;
+}
+
+export function zipToLatLon(zip?: string): LatLon | undefined {
+  if (!zip) return undefined;
+  // Accept ZIP+4 ("10001-1234") by keying on the 5-digit prefix
+  const match = zip.trim().match(/^(\d{5})(?:-\d{4})?$/);
+  if (!match) return undefined;
+  return loadZipCentroids().get(match[1]);
+}
+
+export function parseLatLon(latitude?: string | null, longitude?: string | null): LatLon | undefined {
+  if (!latitude || !longitude) return undefined;
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return undefined;
+  return { lat, lon };
+}
+
+// Great-circle distance between two points
+export function haversineMiles(a: LatLon, b: LatLon): number {
+  const toRad = (deg: number) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+export function formatDistance(miles: number): string {
+  return `${miles.toFixed(1)} mi`;
+}
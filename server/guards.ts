@@ -0,0 +1,148 @@
+import { type GuardPolicy, type StoreStatus } from "@shared/schema";
+import { guardRejections } from "./metrics";
+
+export interface GuardThresholds {
+  minMargin: number;
+  minTrustScore: number;
+  maxEtaMinutes: number;
+  maxDistanceMiles: number;
+  minOpenMinutes: number;
+}
+
+// Built-in defaults, used wherever no stored policy sets a threshold
+export const DEFAULT_GUARD_THRESHOLDS: GuardThresholds = {
+  minMargin: 30,
+  minTrustScore: 80,
+  maxEtaMinutes: 480, // 8 hours
+  maxDistanceMiles: 50,
+  minOpenMinutes: 0, // closed stores are shown with their next opening
+};
+
+// Fields the guards read; local and backend offers both carry these
+export interface GuardCandidate {
+  storeChain: string;
+  availabilityType: string;
+  margin?: number | null;
+  trustScore?: number | null;
+  etaMinutes?: number | null;
+  distanceMiles?: number | null;
+  inStock?: boolean | null;
+  isEligible?: boolean | null;
+  storeStatus?: StoreStatus; // pickup offers at stores with known hours
+}
+
+export interface GuardContext {
+  platform: string;
+  policies: GuardPolicy[];
+}
+
+export interface GuardFailure {
+  rule: "margin" | "trust_score" | "eta" | "distance" | "store_closed" | "out_of_stock" | "ineligible";
+  message: string;
+}
+
+export interface GuardResult<T> {
+  accepted: T[];
+  rejected: { offer: T; failedRules: GuardFailure[] }[];
+}
+
+const THRESHOLD_KEYS: (keyof GuardThresholds)[] = [
+  "minMargin",
+  "minTrustScore",
+  "maxEtaMinutes",
+  "maxDistanceMiles",
+  "minOpenMinutes",
+];
+
+// Layer defaults < global < platform < chain; null fields inherit
+export function resolveGuardThresholds(
+  policies: GuardPolicy[],
+  platform: string,
+  chain: string,
+): GuardThresholds {
+  const layers = [
+    policies.find(p => p.scope === "global"),
+    policies.find(p => p.scope === "platform" && p.scopeKey === platform.toLowerCase()),
+    policies.find(p => p.scope === "chain" && p.scopeKey === chain.toLowerCase()),
+  ];
+
+  const thresholds = { ...DEFAULT_GUARD_THRESHOLDS };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const key of THRESHOLD_KEYS) {
+      const value = layer[key];
+      if (value !== null && value !== undefined) {
+        thresholds[key] = value;
+      }
+    }
+  }
+  return thresholds;
+}
+
+export function evaluateGuards(offer: GuardCandidate, thresholds: GuardThresholds): GuardFailure[] {
+  const failures: GuardFailure[] = [];
+
+  // Check margin threshold
+  if (offer.margin && offer.margin < thresholds.minMargin) {
+    failures.push({ rule: "margin", message: `margin ${offer.margin} < ${thresholds.minMargin}` });
+  }
+
+  // Check trust score
+  if ((offer.trustScore ?? 0) < thresholds.minTrustScore) {
+    failures.push({ rule: "trust_score", message: `trust score ${offer.trustScore ?? 0} < ${thresholds.minTrustScore}` });
+  }
+
+  // Check ETA; an unknown ETA can't be shown to exceed it
+  if (offer.etaMinutes != null && offer.etaMinutes > thresholds.maxEtaMinutes) {
+    failures.push({ rule: "eta", message: `ETA ${offer.etaMinutes} min > ${thresholds.maxEtaMinutes} min` });
+  }
+
+  // Check distance (only for pickup); an unknown distance can't be checked and passes
+  if (offer.availabilityType === "pickup" && offer.distanceMiles != null && offer.distanceMiles > thresholds.maxDistanceMiles) {
+    failures.push({ rule: "distance", message: `distance ${offer.distanceMiles} mi > ${thresholds.maxDistanceMiles} mi` });
+  }
+
+  // Pickup stores must stay open minOpenMinutes longer; one that doesn't open
+  // in the coming week never qualifies
+  if (offer.availabilityType === "pickup" && offer.storeStatus) {
+    const { open, closesAt, opensAt } = offer.storeStatus;
+    const openMinutes = !open ? 0 : closesAt ? Math.floor((Date.parse(closesAt) - Date.now()) / 60000) : Infinity;
+    if (!open && !opensAt) {
+      failures.push({ rule: "store_closed", message: "store closed all week" });
+    } else if (openMinutes < thresholds.minOpenMinutes) {
+      failures.push({
+        rule: "store_closed",
+        message: open
+          ? `store closes in ${openMinutes} min < ${thresholds.minOpenMinutes} min`
+          : "store closed now",
+      });
+    }
+  }
+
+  // Must be in stock and eligible
+  if (!offer.inStock) {
+    failures.push({ rule: "out_of_stock", message: "not in stock" });
+  }
+  if (!offer.isEligible) {
+    failures.push({ rule: "ineligible", message: "offer marked ineligible" });
+  }
+
+  return failures;
+}
+
+export function applyGuardFilters<T extends GuardCandidate>(offers: T[], context: GuardContext): GuardResult<T> {
+  const result: GuardResult<T> = { accepted: [], rejected: [] };
+
+  for (const offer of offers) {
+    const thresholds = resolveGuardThresholds(context.policies, context.platform, offer.storeChain);
+    const failedRules = evaluateGuards(offer, thresholds);
+    if (failedRules.length === 0) {
+      result.accepted.push(offer);
+    } else {
+      result.rejected.push({ offer, failedRules });
+      for (const failure of failedRules) guardRejections.inc({ rule: failure.rule });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,79 @@
+import { storage } from "./storage";
+import { parsePriceCents } from "@shared/price";
+import { CURRENCY_BY_COUNTRY, DEFAULT_COUNTRY } from "@shared/locale";
+import { type OfferSnapshot, type ProductHistory, type Store } from "@shared/schema";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type HistoryPoint = ProductHistory["series"][number]["points"][number];
+
+// `currency` is the store's, for snapshots recorded without one
+function toPoint(snapshot: OfferSnapshot, currency: string, recordedAt = snapshot.recordedAt): HistoryPoint {
+  return {
+    recordedAt: recordedAt.toISOString(),
+    price: snapshot.price,
+    priceCents: parsePriceCents(snapshot.price),
+    currency: snapshot.currency || currency,
+    inStock: snapshot.inStock,
+    stockLevel: snapshot.stockLevel,
+  };
+}
+
+// Price and stock series per store for the last `days` days; undefined for an
+// unknown product. An offer recorded before the window starts with its state
+// at `since`, so offers that haven't changed lately still have a series.
+export async function getProductHistory(productId: string, days: number): Promise<ProductHistory | undefined> {
+  const product = await storage.getProduct(productId);
+  if (!product) return undefined;
+
+  const since = new Date(Date.now() - days * DAY_MS);
+  const snapshotsByOffer = new Map<string, OfferSnapshot[]>();
+  for (const snapshot of await storage.getOfferSnapshots(productId)) {
+    const list = snapshotsByOffer.get(snapshot.offerId) ?? [];
+    list.push(snapshot);
+    snapshotsByOffer.set(snapshot.offerId, list);
+  }
+
+  const storesById = new Map<string, Store | undefined>();
+  const series: ProductHistory["series"] = [];
+  for (const [offerId, snapshots] of Array.from(snapshotsByOffer.entries())) {
+    const latest = snapshots[snapshots.length - 1];
+    if (latest.storeId && !storesById.has(latest.storeId)) {
+      storesById.set(latest.storeId, await storage.getStore(latest.storeId));
+    }
+    const store = latest.storeId ? storesById.get(latest.storeId) : undefined;
+    const currency = CURRENCY_BY_COUNTRY[store?.country ?? DEFAULT_COUNTRY];
+
+    const earlier = snapshots.filter(s => s.recordedAt < since);
+    const points = snapshots.filter(s => s.recordedAt >= since).map(s => toPoint(s, currency));
+    if (earlier.length > 0) {
+      points.unshift(toPoint(earlier[earlier.length - 1], currency, since));
+    }
+    if (points.length === 0) continue;
+
+    series.push({
+      offerId,
+      storeId: latest.storeId,
+      storeName: store?.name ?? "Unknown store",
+      storeChain: store?.chain ?? "unknown",
+      address: store?.address ?? "",
+      availabilityType: latest.availabilityType,
+      points,
+    });
+  }
+
+  series.sort((a, b) =>
+    a.storeName.localeCompare(b.storeName) || a.availabilityType.localeCompare(b.availabilityType));
+
+  return {
+    product: {
+      id: product.id,
+      title: product.title,
+      brand: product.brand,
+      platform: product.platform,
+      price: product.price,
+    },
+    since: since.toISOString(),
+    series,
+  };
+}
@@ -0,0 +1,154 @@
+import { weekdays, type Store, type StoreStatus, type HoursInterval, type Weekday } from "@shared/schema";
+
+// Opening hours in the store's timezone. Open periods are worked out as
+// minutes from now on the store's local calendar for the week ahead; a DST
+// change within that week shifts later periods by up to an hour.
+
+const DAY_MINUTES = 24 * 60;
+const LOOKAHEAD_DAYS = 7;
+const ALWAYS_OPEN: HoursInterval[] = [{ open: "00:00", close: "24:00" }];
+const DAY_NAMES: Record<Weekday, string> = {
+  mon: "Monday", tue: "Tuesday", wed: "Wednesday", thu: "Thursday", fri: "Friday", sat: "Saturday", sun: "Sunday",
+};
+
+type StoreHours = Pick<Store, "timezone" | "hours" | "holidays">;
+
+// An open stretch, merged across midnight when one day's hours run into the next
+interface OpenPeriod {
+  start: number; // minutes from now, <= 0 when already open
+  end: number;
+  opens: { day: number; time: string }; // day: 0 today, 1 tomorrow, ... (store local)
+  closes: { day: number; time: string };
+}
+
+export function localNow(now: Date, timeZone: string) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      weekday: "short",
+    }).formatToParts(now).map(part => [part.type, part.value]),
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: weekdays.indexOf(parts.weekday.toLowerCase() as Weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+export function addDays(date: string, days: number): string {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MINUTES * 60000).toISOString().slice(0, 10);
+}
+
+function toMinutes(time: string): number {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Undefined when the store's hours are unknown
+function openPeriods(store: StoreHours, now: Date): { periods: OpenPeriod[]; weekday: number } | undefined {
+  if ((!store.hours && !store.holidays) || !store.timezone) return undefined;
+
+  const local = localNow(now, store.timezone);
+  const periods: OpenPeriod[] = [];
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = addDays(local.date, day);
+    const holiday = store.holidays?.find(h => h.date === date);
+    const weekday = weekdays[(local.weekday + day) % 7];
+    // Stores with only holiday exceptions are open around the clock otherwise
+    const intervals = holiday ? holiday.hours : store.hours ? store.hours[weekday] ?? [] : ALWAYS_OPEN;
+
+    for (const interval of [...intervals].sort((a, b) => a.open.localeCompare(b.open))) {
+      const start = day * DAY_MINUTES + toMinutes(interval.open) - local.minutes;
+      const end = day * DAY_MINUTES + toMinutes(interval.close) - local.minutes;
+      if (end <= 0) continue;
+
+      const last = periods[periods.length - 1];
+      if (last && start <= last.end) {
+        if (end > last.end) {
+          last.end = end;
+          last.closes = { day, time: interval.close };
+        }
+        continue;
+      }
+      periods.push({ start, end, opens: { day, time: interval.open }, closes: { day, time: interval.close } });
+    }
+  }
+  return { periods, weekday: local.weekday };
+}
+
+// "9 PM", "9:30 PM", "midnight"; `full` keeps ":00" ("9:00 AM")
+function formatTime(time: string, full = false): string {
+  const minutes = toMinutes(time);
+  if (minutes === DAY_MINUTES) return "midnight";
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  const clock = `${hour % 12 || 12}${minute > 0 || full ? `:${String(minute).padStart(2, "0")}` : ""}`;
+  return `${clock} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+// "" for today, "tomorrow", then the weekday's name
+function dayPhrase(day: number, todayWeekday: number): string {
+  if (day === 0) return "";
+  if (day === 1) return "tomorrow";
+  return DAY_NAMES[weekdays[(todayWeekday + day) % 7]];
+}
+
+// Periods are whole minutes of local time, so count from the start of this minute
+function minutesFromNow(now: Date, minutes: number): string {
+  return new Date(now.getTime() - (now.getTime() % 60000) + minutes * 60000).toISOString();
+}
+
+// "Open until 9 PM", "Open 24 hours" or "Closed now"; undefined when hours are unknown
+export function getStoreStatus(store: StoreHours, now = new Date()): StoreStatus | undefined {
+  const hours = openPeriods(store, now);
+  if (!hours) return undefined;
+
+  const [first] = hours.periods;
+  if (first && first.start <= 0) {
+    if (first.end >= LOOKAHEAD_DAYS * DAY_MINUTES) {
+      return { open: true, label: "Open 24 hours" };
+    }
+    // Closing at the end of today reads "Open until midnight"
+    const { day: closesDay, time } = first.closes;
+    const day = time === "24:00" && closesDay === 0 ? "" : dayPhrase(closesDay, hours.weekday);
+    return {
+      open: true,
+      label: `Open until ${formatTime(first.closes.time)}${day ? ` ${day}` : ""}`,
+      closesAt: minutesFromNow(now, first.end),
+    };
+  }
+  return first
+    ? { open: false, label: "Closed now", opensAt: minutesFromNow(now, first.start) }
+    : { open: false, label: "Closed now" };
+}
+
+// When a pickup order placed now is ready: after `etaMinutes` if the store is
+// open then, otherwise when it next opens after that ("tomorrow at 9:00 AM"),
+// so never before the ETA and always while the store is open.
+// Undefined when hours are unknown or the ETA stands; null when the store
+// doesn't open in the coming week once the ETA has passed.
+export function getPickupReadiness(
+  store: StoreHours,
+  etaMinutes: number,
+  now = new Date(),
+): { etaMinutes: number; eta: string; readyAt: string } | null | undefined {
+  const hours = openPeriods(store, now);
+  if (!hours) return undefined;
+
+  const period = hours.periods.find(p => etaMinutes <= p.end);
+  if (!period) return null;
+  if (etaMinutes >= period.start) return undefined;
+
+  const day = dayPhrase(period.opens.day, hours.weekday);
+  return {
+    etaMinutes: period.start,
+    eta: `${day ? `${day} ` : ""}at ${formatTime(period.opens.time, true)}`,
+    readyAt: minutesFromNow(now, period.start),
+  };
+}
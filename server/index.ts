@@ -1,6 +1,7 @@
 import express, { type Request, Response, NextFunction } from "express";
 import { registerRoutes } from "./routes";
 import { setupVite, serveStatic, log } from "./vite";
+import { codeForStatus } from "./errors";
 
 const app = express();
 app.use(express.json());
@@ -21,6 +22,10 @@ app.use((req, res, next) => {
     const duration = Date.now() - start;
     if (path.startsWith("/api")) {
       let logLine = `${req.method} ${path} ${res.statusCode} in ${duration}ms`;
+      const requestId = res.getHeader("X-Request-Id");
+      if (requestId) {
+        logLine += ` [${requestId}]`;
+      }
       if (capturedJsonResponse) {
         logLine += ` :: ${JSON.stringify(capturedJsonResponse)}`;
       }
@@ -39,12 +44,22 @@ app.use((req, res, next) => {
 (async () => {
   const server = await registerRoutes(app);
 
-  app.use((err: any, _req: Request, res: Response, _next: NextFunction) => {
+  // Errors passed to next() or thrown by middleware, e.g. malformed JSON bodies
+  app.use((err: any, _req: Request, res: Response, next: NextFunction) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
     const status = err.status || err.statusCode || 500;
-    const message = err.message || "Internal Server Error";
+    if (status >= 500) {
+      console.error("Unhandled error:", err);
+    }
 
-    res.status(status).json({ message });
-    throw err;
+    res.status(status).json({
+      error: status >= 500 ? "Internal server error" : "Invalid request",
+      code: codeForStatus(status),
+      message: err.message || "Unknown error",
+    });
   });
 
   // importantly only setup vite in development and after
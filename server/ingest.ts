@@ -0,0 +1,201 @@
+import { type Express, type Request, type Response, type NextFunction } from "express";
+import { storage } from "./storage";
+import { keysMatch } from "./auth";
+import { sendError, sendServerError } from "./errors";
+import {
+  insertProductSchema,
+  insertStoreSchema,
+  insertOfferSchema,
+  type InsertOffer,
+  type ApiErrorCode,
+} from "@shared/schema";
+import { DEFAULT_COUNTRY, normalizePostalCode } from "@shared/locale";
+import { z } from "zod";
+
+// Key required in X-API-Key for /api/ingest/*; ingestion is disabled (503) when unset
+const INGEST_API_KEY = process.env.INGEST_API_KEY || process.env.LOCALSTOCK_INGESTION_API_KEY || "";
+
+const MAX_BULK_OFFERS = 500;
+
+const bulkOffersSchema = z.union([
+  z.array(z.unknown()),
+  z.object({ offers: z.array(z.unknown()) }).transform((body) => body.offers),
+]);
+
+interface IngestOptions {
+  // Called after any write so cached resolve responses don't hide fresh stock
+  onChange?: () => void | Promise<void>;
+}
+
+interface BulkResult {
+  index: number;
+  status: "created" | "updated" | "error";
+  id?: string;
+  error?: string;
+  code?: ApiErrorCode;
+  details?: z.ZodIssue[];
+}
+
+function requireIngestKey(req: Request, res: Response, next: NextFunction) {
+  if (!INGEST_API_KEY) {
+    return sendError(res, 503, 'SERVICE_DISABLED', 'Ingestion disabled');
+  }
+
+  const provided = req.header('X-API-Key') || '';
+  if (!keysMatch(provided, INGEST_API_KEY)) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized');
+  }
+
+  next();
+}
+
+// Offers must point at a product and store that already exist
+async function checkOfferReferences(offer: InsertOffer): Promise<string | undefined> {
+  if (!offer.productId || !(await storage.getProduct(offer.productId))) {
+    return `Unknown productId: ${offer.productId ?? '(missing)'}`;
+  }
+  if (!offer.storeId || !(await storage.getStore(offer.storeId))) {
+    return `Unknown storeId: ${offer.storeId ?? '(missing)'}`;
+  }
+  return undefined;
+}
+
+export function registerIngestRoutes(app: Express, options: IngestOptions = {}) {
+  const notifyChange = async () => {
+    await options.onChange?.();
+  };
+
+  app.use('/api/ingest', requireIngestKey);
+
+  app.post('/api/ingest/product', async (req, res) => {
+    try {
+      const validationResult = insertProductSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid product', {
+          details: validationResult.error.issues,
+        });
+      }
+
+      const product = validationResult.data;
+      if (!product.gtin && !product.asin) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Product requires a gtin or asin');
+      }
+
+      const { record, created } = await storage.upsertProduct(product);
+      await notifyChange();
+      res.status(created ? 201 : 200).json({ status: created ? 'created' : 'updated', product: record });
+    } catch (error) {
+      console.error('Ingest product error:', error);
+      sendServerError(res, 'Failed to ingest product', error);
+    }
+  });
+
+  app.post('/api/ingest/store', async (req, res) => {
+    try {
+      const validationResult = insertStoreSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid store', {
+          details: validationResult.error.issues,
+        });
+      }
+
+      // Stored in the country's canonical form ("SW1A 1AA"), as shoppers send it
+      const store = validationResult.data;
+      const zipCode = normalizePostalCode(store.country ?? DEFAULT_COUNTRY, store.zipCode) ?? store.zipCode;
+      const { record, created } = await storage.upsertStore({ ...store, zipCode });
+      await notifyChange();
+      res.status(created ? 201 : 200).json({ status: created ? 'created' : 'updated', store: record });
+    } catch (error) {
+      console.error('Ingest store error:', error);
+      sendServerError(res, 'Failed to ingest store', error);
+    }
+  });
+
+  app.post('/api/ingest/offer', async (req, res) => {
+    try {
+      const validationResult = insertOfferSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid offer', {
+          details: validationResult.error.issues,
+        });
+      }
+
+      const offer = validationResult.data;
+      const referenceError = await checkOfferReferences(offer);
+      if (referenceError) {
+        return sendError(res, 422, 'INVALID_REQUEST', referenceError);
+      }
+
+      const { record, created } = await storage.upsertOffer(offer);
+      await notifyChange();
+      res.status(created ? 201 : 200).json({ status: created ? 'created' : 'updated', offer: record });
+    } catch (error) {
+      console.error('Ingest offer error:', error);
+      sendServerError(res, 'Failed to ingest offer', error);
+    }
+  });
+
+  // Accepts either a bare array or { offers: [...] }; each row succeeds or fails on its own
+  app.post('/api/ingest/offers/bulk', async (req, res) => {
+    try {
+      const bodyResult = bulkOffersSchema.safeParse(req.body);
+      if (!bodyResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Expected an array of offers', {
+          details: bodyResult.error.issues,
+        });
+      }
+
+      const rows = bodyResult.data;
+      if (rows.length > MAX_BULK_OFFERS) {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `At most ${MAX_BULK_OFFERS} offers per request`);
+      }
+
+      const results: BulkResult[] = [];
+      for (let index = 0; index < rows.length; index++) {
+        const validationResult = insertOfferSchema.safeParse(rows[index]);
+        if (!validationResult.success) {
+          results.push({
+            index,
+            status: 'error',
+            error: 'Invalid offer',
+            code: 'INVALID_REQUEST',
+            details: validationResult.error.issues,
+          });
+          continue;
+        }
+
+        try {
+          const referenceError = await checkOfferReferences(validationResult.data);
+          if (referenceError) {
+            results.push({ index, status: 'error', error: referenceError, code: 'INVALID_REQUEST' });
+            continue;
+          }
+
+          const { record, created } = await storage.upsertOffer(validationResult.data);
+          results.push({ index, status: created ? 'created' : 'updated', id: record.id });
+        } catch (error) {
+          results.push({
+            index,
+            status: 'error',
+            error: error instanceof Error ? error.message : 'Unknown error',
+            code: 'INTERNAL_ERROR',
+          });
+        }
+      }
+
+      const summary = {
+        created: results.filter(r => r.status === 'created').length,
+        updated: results.filter(r => r.status === 'updated').length,
+        failed: results.filter(r => r.status === 'error').length,
+      };
+      if (summary.created + summary.updated > 0) {
+        await notifyChange();
+      }
+
+      res.json({ ...summary, results });
+    } catch (error) {
+      console.error('Ingest bulk offers error:', error);
+      sendServerError(res, 'Failed to ingest offers', error);
+    }
+  });
+}
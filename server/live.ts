@@ -0,0 +1,357 @@
+import { type IncomingMessage, type Server } from "http";
+import { type Duplex } from "stream";
+import { WebSocketServer, WebSocket, type RawData } from "ws";
+import { authenticateClientKey, chargeClientKey, isAdminKey } from "./auth";
+import { resolveProduct } from "./resolver";
+import { storageEvents } from "./events";
+import { DEFAULT_SORT_STRATEGY } from "./ranking";
+import { DEFAULT_COUNTRY } from "@shared/locale";
+import {
+  liveClientMessageSchema,
+  type ApiKey,
+  type LiveServerMessage,
+  type OfferChange,
+  type OfferSnapshot,
+  type ResolveRequest,
+  type ResolveRequestRecord,
+  type ResolveResponse,
+} from "@shared/schema";
+
+// Live offer updates on the app's HTTP server at /ws. The first message
+// authenticates with a client key ({"type":"auth","key":...}) to subscribe to
+// products, or the admin key ("adminKey") to also stream the resolve request
+// log; keys stay out of the URL, where proxies and access logs would record
+// them. Other upgrade paths (Vite HMR) are left alone.
+const LIVE_PATH = "/ws";
+// Connections that haven't authenticated by then are closed
+const AUTH_TIMEOUT = 5 * 1000;
+// Close code for failed or missing authentication (policy violation)
+const CLOSE_UNAUTHORIZED = 1008;
+
+// Subscriptions are re-resolved this often to pick up provider-side changes;
+// local offer changes are pushed as soon as they are written
+const REFRESH_INTERVAL = (Number(process.env.LIVE_REFRESH_SECONDS) || 60) * 1000;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// Offer writes for one product within this window are pushed once (bulk ingest)
+const CHANGE_DEBOUNCE = 250;
+const MAX_SUBSCRIPTIONS_PER_CONNECTION = 20;
+
+interface LiveClient {
+  socket: WebSocket;
+  authenticated: boolean;
+  apiKey?: ApiKey;
+  admin: boolean;
+  alive: boolean;
+  feed: boolean;
+  // Client-chosen subscription id -> shared subscription key
+  subscriptions: Map<string, string>;
+}
+
+// One resolve shared by every connection watching the same product, ZIP,
+// sort and online price
+interface Subscription {
+  key: string;
+  request: ResolveRequest;
+  last?: ResolveResponse;
+  refreshing?: Promise<void>;
+  clients: Map<LiveClient, string>; // -> that client's subscription id
+}
+
+const clients = new Set<LiveClient>();
+const subscriptions = new Map<string, Subscription>();
+const pendingProducts = new Map<string, NodeJS.Timeout>();
+
+function subscriptionKey(request: ResolveRequest): string {
+  return JSON.stringify({
+    gtin: request.identifiers.gtin,
+    asin: request.identifiers.asin,
+    sku: request.identifiers.sku,
+    platform: request.platform,
+    variant: request.variant,
+    zip: request.zip,
+    country: request.country ?? DEFAULT_COUNTRY,
+    sort: request.sort || DEFAULT_SORT_STRATEGY,
+    price: request.price,
+    currency: request.currency,
+  });
+}
+
+function send(client: LiveClient, message: LiveServerMessage) {
+  if (client.socket.readyState === WebSocket.OPEN) {
+    client.socket.send(JSON.stringify(message));
+  }
+}
+
+// Changes from one response to the next, matched on offer id
+function diffOffers(previous: ResolveResponse["offers"], next: ResolveResponse["offers"]): OfferChange[] {
+  const describe = (offer: ResolveResponse["offers"][number]) => ({
+    offerId: offer.id,
+    storeName: offer.storeName,
+    availabilityType: offer.availabilityType,
+    price: offer.price,
+    inStock: offer.inStock,
+    stockLevel: offer.stockLevel,
+  });
+
+  const changes: OfferChange[] = [];
+  const previousById = new Map(previous.map(offer => [offer.id, offer]));
+  const nextIds = new Set(next.map(offer => offer.id));
+
+  for (const offer of next) {
+    const before = previousById.get(offer.id);
+    if (!before) {
+      changes.push({ kind: "added", ...describe(offer) });
+      continue;
+    }
+    if (before.price !== offer.price) {
+      changes.push({ kind: "price", ...describe(offer), previousPrice: before.price });
+    }
+    if (before.inStock !== offer.inStock || before.stockLevel !== offer.stockLevel) {
+      changes.push({ kind: "stock", ...describe(offer) });
+    }
+  }
+  for (const offer of previous) {
+    if (!nextIds.has(offer.id)) {
+      changes.push({ kind: "removed", ...describe(offer), inStock: false });
+    }
+  }
+  return changes;
+}
+
+function pushOffers(subscription: Subscription, changes: OfferChange[], only?: LiveClient) {
+  if (!subscription.last) return;
+  const targets = only ? [only] : Array.from(subscription.clients.keys());
+  for (const client of targets) {
+    const id = subscription.clients.get(client);
+    if (id !== undefined) {
+      send(client, { type: "offers", id, changes, response: subscription.last });
+    }
+  }
+}
+
+// Re-resolves a subscription and pushes the response when anything changed.
+// Concurrent refreshes of one subscription share a single resolve.
+function refreshSubscription(subscription: Subscription, fresh: boolean): Promise<void> {
+  if (subscription.refreshing) return subscription.refreshing;
+
+  subscription.refreshing = resolveProduct(subscription.request, { fresh, log: false })
+    .then(response => {
+      const previous = subscription.last;
+      subscription.last = response;
+      if (!previous) {
+        pushOffers(subscription, []);
+        return;
+      }
+      const changes = diffOffers(previous.offers, response.offers);
+      if (changes.length > 0 || previous.eligible !== response.eligible) {
+        pushOffers(subscription, changes);
+      }
+    })
+    .catch(error => {
+      console.error(`Live refresh failed for ${subscription.key}:`, error);
+      for (const [client, id] of Array.from(subscription.clients.entries())) {
+        send(client, { type: "error", id, code: "INTERNAL_ERROR", error: "Failed to resolve product" });
+      }
+    })
+    .finally(() => {
+      subscription.refreshing = undefined;
+    });
+  return subscription.refreshing;
+}
+
+function subscribe(client: LiveClient, id: string, request: ResolveRequest) {
+  if (!client.subscriptions.has(id) && client.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_CONNECTION) {
+    return send(client, { type: "error", id, code: "INVALID_REQUEST", error: "Too many subscriptions" });
+  }
+  // Subscribing counts as one resolve against the key's limits; pushes are free
+  if (client.apiKey) {
+    const charge = chargeClientKey(client.apiKey);
+    if (!charge.ok) {
+      return send(client, {
+        type: "error",
+        id,
+        code: charge.code,
+        error: charge.error,
+        details: { retryAfter: charge.retryAfter },
+      });
+    }
+  }
+
+  unsubscribe(client, id, false);
+  const key = subscriptionKey(request);
+  let subscription = subscriptions.get(key);
+  if (!subscription) {
+    subscription = { key, request, clients: new Map() };
+    subscriptions.set(key, subscription);
+  }
+  subscription.clients.set(client, id);
+  client.subscriptions.set(id, key);
+  send(client, { type: "subscribed", id });
+
+  if (subscription.last) {
+    pushOffers(subscription, [], client);
+  } else {
+    refreshSubscription(subscription, false);
+  }
+}
+
+function unsubscribe(client: LiveClient, id: string, acknowledge = true) {
+  const key = client.subscriptions.get(id);
+  if (key === undefined) return;
+  client.subscriptions.delete(id);
+
+  const subscription = subscriptions.get(key);
+  if (subscription) {
+    subscription.clients.delete(client);
+    if (subscription.clients.size === 0) subscriptions.delete(key);
+  }
+  if (acknowledge) send(client, { type: "unsubscribed", id });
+}
+
+function handleMessage(client: LiveClient, data: RawData) {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(data.toString());
+  } catch {
+    return send(client, { type: "error", code: "INVALID_REQUEST", error: "Invalid JSON" });
+  }
+
+  const validationResult = liveClientMessageSchema.safeParse(parsed);
+  if (!validationResult.success) {
+    return send(client, {
+      type: "error",
+      code: "INVALID_REQUEST",
+      error: "Invalid message",
+      details: validationResult.error.issues,
+    });
+  }
+
+  const message = validationResult.data;
+  if (message.type === "auth") {
+    return authenticate(client, message).catch(error => {
+      console.error("Live authentication failed:", error);
+      client.socket.close(1011, "Internal error");
+    });
+  }
+  if (!client.authenticated) {
+    return rejectClient(client);
+  }
+  switch (message.type) {
+    case "subscribe":
+      return subscribe(client, message.id, message.request);
+    case "unsubscribe":
+      return unsubscribe(client, message.id);
+    case "subscribe-feed":
+      if (!client.admin) return send(client, { type: "error", code: "UNAUTHORIZED", error: "Unauthorized" });
+      client.feed = true;
+      return;
+    case "ping":
+      return send(client, { type: "pong" });
+  }
+}
+
+// Subscriptions whose product had an offer written; the resolve cache entry
+// is replaced so plain API callers see the change too
+function onOfferChanged(snapshot: OfferSnapshot) {
+  const productId = snapshot.productId;
+  if (!productId || pendingProducts.has(productId)) return;
+
+  pendingProducts.set(productId, setTimeout(() => {
+    pendingProducts.delete(productId);
+    for (const subscription of Array.from(subscriptions.values())) {
+      if (subscription.last?.productId === productId) {
+        refreshSubscription(subscription, true);
+      }
+    }
+  }, CHANGE_DEBOUNCE));
+}
+
+function onResolveRequest(record: ResolveRequestRecord) {
+  for (const client of Array.from(clients)) {
+    if (client.feed) send(client, { type: "resolve-request", record });
+  }
+}
+
+function rejectClient(client: LiveClient) {
+  send(client, { type: "error", code: "UNAUTHORIZED", error: "Unauthorized" });
+  client.socket.close(CLOSE_UNAUTHORIZED, "Unauthorized");
+}
+
+async function authenticate(client: LiveClient, credentials: { key?: string; adminKey?: string }) {
+  if (client.authenticated) return;
+  if (isAdminKey(credentials.adminKey || "")) {
+    client.admin = true;
+  } else {
+    const apiKey = await authenticateClientKey(credentials.key || "");
+    if (!apiKey) return rejectClient(client);
+    client.apiKey = apiKey;
+  }
+  client.authenticated = true;
+  send(client, { type: "authenticated" });
+}
+
+export function attachLiveUpdates(server: Server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (request: IncomingMessage, socket: Duplex, head: Buffer) => {
+    const pathname = new URL(request.url || "/", "http://localhost").pathname;
+    if (pathname !== LIVE_PATH) return;
+
+    wss.handleUpgrade(request, socket, head, socket => {
+      const client: LiveClient = {
+        socket,
+        authenticated: false,
+        admin: false,
+        alive: true,
+        feed: false,
+        subscriptions: new Map(),
+      };
+      clients.add(client);
+      const authTimer = setTimeout(() => {
+        if (!client.authenticated) socket.close(CLOSE_UNAUTHORIZED, "Authentication timeout");
+      }, AUTH_TIMEOUT);
+
+      socket.on("pong", () => { client.alive = true; });
+      socket.on("message", data => handleMessage(client, data));
+      socket.on("close", () => {
+        clearTimeout(authTimer);
+        clients.delete(client);
+        for (const id of Array.from(client.subscriptions.keys())) {
+          unsubscribe(client, id, false);
+        }
+      });
+      socket.on("error", error => console.error("Live connection error:", error));
+    });
+  });
+
+  storageEvents.on("offerChanged", onOfferChanged);
+  storageEvents.on("resolveRequestCreated", onResolveRequest);
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const client of Array.from(clients)) {
+      if (!client.alive) {
+        client.socket.terminate();
+        continue;
+      }
+      client.alive = false;
+      client.socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const refresh = setInterval(() => {
+    for (const subscription of Array.from(subscriptions.values())) {
+      refreshSubscription(subscription, false);
+    }
+  }, REFRESH_INTERVAL);
+
+  heartbeat.unref();
+  refresh.unref();
+  server.on("close", () => {
+    clearInterval(heartbeat);
+    clearInterval(refresh);
+    storageEvents.off("offerChanged", onOfferChanged);
+    storageEvents.off("resolveRequestCreated", onResolveRequest);
+    wss.close();
+  });
+}
@@ -0,0 +1,192 @@
+import { type Request, type Response, type NextFunction } from "express";
+import { performance } from "perf_hooks";
+import { storage } from "./storage";
+
+// Prometheus metrics in the text exposition format, served at GET /metrics.
+// Counters and histograms are recorded as things happen; collectors read
+// values kept elsewhere (cache stats, table sizes) when scraped.
+
+type Labels = Record<string, string>;
+
+interface Sample {
+  labels?: Labels;
+  value: number;
+}
+
+interface Metric {
+  render(): Promise<string[]> | string[];
+}
+
+const metrics: Metric[] = [];
+
+// Seconds; suits both API handlers and upstream HTTP calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels: Labels = {}): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function header(name: string, help: string, type: string): string[] {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// Series are keyed by their label values in the metric's label order
+function seriesKey(labelNames: readonly string[], labels: Labels): string {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ""));
+}
+
+function labelsOf(labelNames: readonly string[], key: string): Labels {
+  const values: string[] = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+export class Counter<L extends string = never> {
+  private readonly values = new Map<string, number>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly labelNames: readonly L[] = [],
+  ) {
+    metrics.push(this);
+  }
+
+  inc(labels: Record<L, string>, by = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + by);
+  }
+
+  render(): string[] {
+    return [
+      ...header(this.name, this.help, "counter"),
+      ...Array.from(this.values.entries())
+        .map(([key, value]) => `${this.name}${formatLabels(labelsOf(this.labelNames, key))} ${value}`),
+    ];
+  }
+}
+
+export class Histogram<L extends string = never> {
+  private readonly series = new Map<string, { counts: number[]; sum: number; count: number }>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly labelNames: readonly L[] = [],
+    readonly buckets: number[] = DEFAULT_BUCKETS,
+  ) {
+    metrics.push(this);
+  }
+
+  observe(labels: Record<L, string>, seconds: number) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series!.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  render(): string[] {
+    const lines = header(this.name, this.help, "histogram");
+    for (const [key, series] of Array.from(this.series.entries())) {
+      const labels = labelsOf(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+// A metric whose samples are read from elsewhere at scrape time
+export function registerCollector(
+  name: string,
+  help: string,
+  type: "counter" | "gauge",
+  collect: () => Promise<Sample[]>,
+) {
+  metrics.push({
+    async render() {
+      const samples = await collect();
+      return [
+        ...header(name, help, type),
+        ...samples.map(sample => `${name}${formatLabels(sample.labels)} ${sample.value}`),
+      ];
+    },
+  });
+}
+
+export const httpRequests = new Counter(
+  "http_requests_total",
+  "API requests by route and status",
+  ["method", "route", "status"],
+);
+
+export const httpRequestDuration = new Histogram(
+  "http_request_duration_seconds",
+  "API request latency by route and status",
+  ["method", "route", "status"],
+);
+
+export const resolveOutcomes = new Counter(
+  "localstock_resolve_total",
+  "Resolve requests by outcome (eligible, ineligible, error)",
+  ["outcome"],
+);
+
+export const upstreamDuration = new Histogram(
+  "localstock_upstream_request_duration_seconds",
+  "Upstream HTTP call latency by provider",
+  ["provider"],
+);
+
+export const upstreamErrors = new Counter(
+  "localstock_upstream_errors_total",
+  "Failed upstream calls and provider lookups by provider and reason",
+  ["provider", "reason"],
+);
+
+export const guardRejections = new Counter(
+  "localstock_guard_rejections_total",
+  "Guard rule failures on candidate offers by rule",
+  ["rule"],
+);
+
+registerCollector("localstock_storage_rows", "Rows per storage table", "gauge", async () => {
+  const counts = await storage.getTableCounts();
+  return Object.entries(counts).map(([table, value]) => ({ labels: { table }, value }));
+});
+
+// Records count and latency per matched route pattern (e.g. /api/products/:id/history)
+// so IDs don't become label values; requests no route matched share "unmatched"
+export function recordHttpMetrics(req: Request, res: Response, next: NextFunction) {
+  const started = performance.now();
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: String(res.statusCode),
+    };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, (performance.now() - started) / 1000);
+  });
+  next();
+}
+
+export async function renderMetrics(): Promise<string> {
+  const sections = await Promise.all(metrics.map(metric => metric.render()));
+  return sections.map(lines => lines.join("\n")).join("\n") + "\n";
+}
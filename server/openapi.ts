@@ -0,0 +1,458 @@
+import { type Express, type Request, type Response, type NextFunction } from "express";
+import { z, type ZodTypeAny } from "zod";
+import {
+  extendZodWithOpenApi,
+  OpenAPIRegistry,
+  OpenApiGeneratorV3,
+} from "@asteasolutions/zod-to-openapi";
+import { sendServerError } from "./errors";
+import {
+  analyticsPlatformsSchema,
+  analyticsProductsSchema,
+  analyticsQuerySchema,
+  analyticsSourcesSchema,
+  analyticsSummarySchema,
+  analyticsTimeSeriesSchema,
+  analyticsZipsSchema,
+  apiErrorCodes,
+  apiKeyViewSchema,
+  batchResolveRequestSchema,
+  batchResolveResponseSchema,
+  createApiKeyRequestSchema,
+  createApiKeyResponseSchema,
+  envelopeErrorSchema,
+  envelopeMetaSchema,
+  envelopeSchema,
+  errorResponseSchema,
+  guardPoliciesResponseSchema,
+  guardPolicyRecordSchema,
+  guardScopes,
+  healthResponseSchema,
+  ingestBulkResponseSchema,
+  ingestOfferResponseSchema,
+  ingestProductResponseSchema,
+  ingestStoreResponseSchema,
+  ineligibleReasons,
+  insertGuardPolicySchema,
+  insertOfferSchema,
+  insertProductSchema,
+  insertStoreSchema,
+  messageResponseSchema,
+  privacyDeleteResponseSchema,
+  privacyExportResponseSchema,
+  productHistoryQuerySchema,
+  productHistoryResponseSchema,
+  resolveRequestRecordSchema,
+  resolveRequestSchema,
+  resolveResponseSchema,
+  updateApiKeyRequestSchema,
+} from "@shared/schema";
+
+// OpenAPI 3 document for every /api route, generated from the shared zod
+// schemas and served at /api/openapi.json. Routes are described here rather
+// than next to their handlers; in development, responses that don't match
+// the documented schema for their status are logged (see validateResponses).
+// Paths are documented under /api/v1 with its envelope; the unversioned
+// aliases answer with the bare `data` and error bodies.
+
+extendZodWithOpenApi(z);
+
+const registry = new OpenAPIRegistry();
+
+registry.registerComponent("securitySchemes", "ClientKey", {
+  type: "apiKey",
+  in: "header",
+  name: "X-API-Key",
+  description: "Client key issued via /api/admin/keys; rate limited and metered per key",
+});
+registry.registerComponent("securitySchemes", "AdminKey", {
+  type: "apiKey",
+  in: "header",
+  name: "X-Admin-Key",
+  description: "ADMIN_API_KEY; admin routes answer 503 when it is unset",
+});
+registry.registerComponent("securitySchemes", "IngestKey", {
+  type: "apiKey",
+  in: "header",
+  name: "X-API-Key",
+  description: "INGEST_API_KEY; ingestion answers 503 when it is unset",
+});
+
+// Named component schemas; routes referencing these get a $ref
+const ErrorBody = registry.register("Error", errorResponseSchema);
+registry.register("EnvelopeMeta", envelopeMetaSchema);
+const ErrorEnvelope = registry.register("ErrorEnvelope", envelopeErrorSchema);
+const Message = registry.register("Message", messageResponseSchema);
+const ResolveRequest = registry.register("ResolveRequest", resolveRequestSchema);
+const ResolveResponse = registry.register("ResolveResponse", resolveResponseSchema);
+const BatchResolveRequest = registry.register("BatchResolveRequest", batchResolveRequestSchema);
+const BatchResolveResponse = registry.register("BatchResolveResponse", batchResolveResponseSchema);
+const ResolveRequestRecord = registry.register("ResolveRequestRecord", resolveRequestRecordSchema);
+const Health = registry.register("Health", healthResponseSchema);
+const GuardPolicies = registry.register("GuardPolicies", guardPoliciesResponseSchema);
+const GuardPolicy = registry.register("GuardPolicy", guardPolicyRecordSchema);
+const ProductHistory = registry.register("ProductHistory", productHistoryResponseSchema);
+const ApiKeyView = registry.register("ApiKey", apiKeyViewSchema);
+const CreateApiKeyRequest = registry.register("CreateApiKeyRequest", createApiKeyRequestSchema);
+const CreateApiKeyResponse = registry.register("CreateApiKeyResponse", createApiKeyResponseSchema);
+const UpdateApiKeyRequest = registry.register("UpdateApiKeyRequest", updateApiKeyRequestSchema);
+const ProductInput = registry.register("ProductInput", insertProductSchema);
+const StoreInput = registry.register("StoreInput", insertStoreSchema);
+const OfferInput = registry.register("OfferInput", insertOfferSchema);
+const IngestProductResult = registry.register("IngestProductResult", ingestProductResponseSchema);
+const IngestStoreResult = registry.register("IngestStoreResult", ingestStoreResponseSchema);
+const IngestOfferResult = registry.register("IngestOfferResult", ingestOfferResponseSchema);
+const IngestBulkResult = registry.register("IngestBulkResult", ingestBulkResponseSchema);
+const PrivacyExport = registry.register("PrivacyExport", privacyExportResponseSchema);
+const PrivacyDelete = registry.register("PrivacyDelete", privacyDeleteResponseSchema);
+
+type Auth = "client" | "admin" | "ingest";
+
+interface ApiRoute {
+  method: "get" | "post" | "put" | "patch" | "delete";
+  path: string; // Express form, e.g. /api/products/:id/history
+  tag: string;
+  summary: string;
+  description?: string;
+  auth?: Auth;
+  params?: z.AnyZodObject;
+  query?: z.AnyZodObject | z.ZodEffects<z.AnyZodObject>;
+  headers?: z.AnyZodObject;
+  body?: ZodTypeAny;
+  // Success and route-specific error responses as the unversioned route
+  // sends them; auth, validation and 500 errors are added from `auth` and
+  // `body`/`query`
+  responses: Record<number, { description: string; schema: ZodTypeAny }>;
+}
+
+const SECURITY: Record<Auth, string> = { client: "ClientKey", admin: "AdminKey", ingest: "IngestKey" };
+
+const AUTH_ERRORS: Record<Auth, Record<number, string>> = {
+  client: { 401: "Missing, unknown or revoked API key", 429: "Rate limit or daily quota exceeded; see Retry-After" },
+  admin: { 401: "Wrong admin key", 503: "Admin API disabled" },
+  ingest: { 401: "Wrong ingestion key", 503: "Ingestion disabled" },
+};
+
+// "METHOD /express/path" -> status -> bare response schema, for validateResponses
+const responseSchemas = new Map<string, Map<number, ZodTypeAny>>();
+
+function route(config: ApiRoute) {
+  const responses: Record<number, { description: string; schema: ZodTypeAny }> = { ...config.responses };
+  if (config.body || config.query || config.params) {
+    responses[400] ??= { description: "Invalid request; `details` lists the zod issues", schema: ErrorBody };
+  }
+  if (config.auth) {
+    for (const [status, description] of Object.entries(AUTH_ERRORS[config.auth])) {
+      responses[Number(status)] ??= { description, schema: ErrorBody };
+    }
+  }
+  responses[500] ??= { description: "Unexpected server error", schema: ErrorBody };
+
+  registry.registerPath({
+    method: config.method,
+    path: config.path.replace(/^\/api/, "/api/v1").replace(/:(\w+)/g, "{$1}"),
+    tags: [config.tag],
+    summary: config.summary,
+    description: config.description,
+    security: config.auth ? [{ [SECURITY[config.auth]]: [] }] : undefined,
+    request: {
+      params: config.params,
+      query: config.query,
+      headers: config.headers,
+      body: config.body ? { required: true, content: { "application/json": { schema: config.body } } } : undefined,
+    },
+    responses: Object.fromEntries(Object.entries(responses).map(([status, response]) => [status, {
+      description: response.description,
+      content: {
+        "application/json": { schema: Number(status) < 400 ? envelopeSchema(response.schema) : ErrorEnvelope },
+      },
+    }])),
+  });
+
+  responseSchemas.set(
+    `${config.method.toUpperCase()} ${config.path}`,
+    new Map(Object.entries(responses).map(([status, response]) => [Number(status), response.schema])),
+  );
+}
+
+// Resolve
+route({
+  method: "post",
+  path: "/api/resolve",
+  tag: "Resolve",
+  summary: "Find nearby offers for a product",
+  description: "Answers from the resolve cache, ingested offers or the inventory providers. The response's requestId is also sent as X-Request-Id.",
+  auth: "client",
+  body: ResolveRequest,
+  responses: { 200: { description: "Offers that passed the guards, ranked by `sort`", schema: ResolveResponse } },
+});
+route({
+  method: "post",
+  path: "/api/resolve/batch",
+  tag: "Resolve",
+  summary: "Resolve up to 50 products for one ZIP",
+  description: "Each item is a ResolveRequest body plus an `id`; items are validated and answered individually, and each counts against the daily quota.",
+  auth: "client",
+  body: BatchResolveRequest,
+  responses: { 200: { description: "Responses and errors by item id", schema: BatchResolveResponse } },
+});
+route({
+  method: "get",
+  path: "/api/resolve/recent",
+  tag: "Resolve",
+  summary: "The 20 most recent logged resolve requests",
+  auth: "admin",
+  responses: { 200: { description: "Newest first", schema: z.array(ResolveRequestRecord) } },
+});
+
+// Products and guards
+route({
+  method: "get",
+  path: "/api/products/:id/history",
+  tag: "Products",
+  summary: "Price and stock history per store",
+  auth: "admin",
+  params: z.object({ id: z.string() }),
+  query: productHistoryQuerySchema,
+  responses: {
+    200: { description: "One series per store and fulfilment type", schema: ProductHistory },
+    404: { description: "Product not found", schema: ErrorBody },
+  },
+});
+route({
+  method: "get",
+  path: "/api/guards",
+  tag: "Guards",
+  summary: "Built-in guard thresholds and stored policies",
+  auth: "admin",
+  responses: { 200: { description: "Defaults and policies", schema: GuardPolicies } },
+});
+route({
+  method: "put",
+  path: "/api/guards/:scope/:scopeKey",
+  tag: "Guards",
+  summary: "Create or replace a guard policy",
+  description: "Omitted thresholds inherit from the broader scope. The global scope ignores scopeKey.",
+  auth: "admin",
+  params: z.object({ scope: z.enum(guardScopes), scopeKey: z.string() }),
+  body: insertGuardPolicySchema.omit({ scope: true, scopeKey: true }),
+  responses: {
+    200: { description: "Policy replaced", schema: GuardPolicy },
+    201: { description: "Policy created", schema: GuardPolicy },
+  },
+});
+route({
+  method: "delete",
+  path: "/api/guards/:scope/:scopeKey",
+  tag: "Guards",
+  summary: "Delete a guard policy",
+  auth: "admin",
+  params: z.object({ scope: z.enum(guardScopes), scopeKey: z.string() }),
+  responses: {
+    200: { description: "Policy deleted", schema: Message },
+    404: { description: "Guard policy not found", schema: ErrorBody },
+  },
+});
+route({
+  method: "delete",
+  path: "/api/cache",
+  tag: "Operations",
+  summary: "Clear the resolve cache",
+  auth: "admin",
+  responses: { 200: { description: "Cache cleared", schema: Message } },
+});
+route({
+  method: "get",
+  path: "/api/health",
+  tag: "Operations",
+  summary: "Cache statistics and upstream circuit state",
+  responses: { 200: { description: "Server is up", schema: Health } },
+});
+
+// Analytics
+const analyticsReports: [string, string, ZodTypeAny][] = [
+  ["summary", "Totals and rates over the range", analyticsSummarySchema],
+  ["requests", "Requests per hour or day", analyticsTimeSeriesSchema],
+  ["platforms", "Eligible rate per platform", analyticsPlatformsSchema],
+  ["top-products", "Most looked-up products", analyticsProductsSchema],
+  ["zero-result-products", "Products most often without an eligible offer", analyticsProductsSchema],
+  ["zips", "Most looked-up ZIPs and their coverage", analyticsZipsSchema],
+  ["sources", "Where answers came from", analyticsSourcesSchema],
+];
+for (const [name, summary, schema] of analyticsReports) {
+  route({
+    method: "get",
+    path: `/api/analytics/${name}`,
+    tag: "Analytics",
+    summary,
+    description: "The range defaults to the last 7 days and may span up to 366.",
+    auth: "admin",
+    query: analyticsQuerySchema,
+    responses: { 200: { description: "Report over [from, to)", schema } },
+  });
+}
+
+// Client API keys
+route({
+  method: "get",
+  path: "/api/admin/keys",
+  tag: "API keys",
+  summary: "List client API keys with today's usage",
+  auth: "admin",
+  responses: { 200: { description: "All keys", schema: z.array(ApiKeyView) } },
+});
+route({
+  method: "post",
+  path: "/api/admin/keys",
+  tag: "API keys",
+  summary: "Issue a client API key",
+  auth: "admin",
+  body: CreateApiKeyRequest,
+  responses: { 201: { description: "The plaintext key, shown only this once", schema: CreateApiKeyResponse } },
+});
+route({
+  method: "patch",
+  path: "/api/admin/keys/:id",
+  tag: "API keys",
+  summary: "Rename, change limits or revoke a key",
+  auth: "admin",
+  params: z.object({ id: z.string() }),
+  body: UpdateApiKeyRequest,
+  responses: {
+    200: { description: "Updated key", schema: ApiKeyView },
+    404: { description: "API key not found", schema: ErrorBody },
+  },
+});
+
+// Ingestion
+route({
+  method: "post",
+  path: "/api/ingest/product",
+  tag: "Ingestion",
+  summary: "Create or update a product",
+  description: "Matched on GTIN, then ASIN, then SKU on the same platform. UPC/EAN are folded into gtin.",
+  auth: "ingest",
+  body: ProductInput,
+  responses: {
+    200: { description: "Product updated", schema: IngestProductResult },
+    201: { description: "Product created", schema: IngestProductResult },
+  },
+});
+route({
+  method: "post",
+  path: "/api/ingest/store",
+  tag: "Ingestion",
+  summary: "Create or update a store",
+  description: "Matched on chain and address.",
+  auth: "ingest",
+  body: StoreInput,
+  responses: {
+    200: { description: "Store updated", schema: IngestStoreResult },
+    201: { description: "Store created", schema: IngestStoreResult },
+  },
+});
+route({
+  method: "post",
+  path: "/api/ingest/offer",
+  tag: "Ingestion",
+  summary: "Create or update an offer",
+  description: "Matched on product, store and availability type.",
+  auth: "ingest",
+  body: OfferInput,
+  responses: {
+    200: { description: "Offer updated", schema: IngestOfferResult },
+    201: { description: "Offer created", schema: IngestOfferResult },
+    422: { description: "Unknown productId or storeId", schema: ErrorBody },
+  },
+});
+route({
+  method: "post",
+  path: "/api/ingest/offers/bulk",
+  tag: "Ingestion",
+  summary: "Create or update up to 500 offers",
+  description: "Accepts a bare array or { offers: [...] }; each row succeeds or fails on its own.",
+  auth: "ingest",
+  body: z.union([z.array(OfferInput), z.object({ offers: z.array(OfferInput) })]),
+  responses: {
+    200: { description: "Counts and a result per row", schema: IngestBulkResult },
+    413: { description: "Too many offers", schema: ErrorBody },
+  },
+});
+
+// Privacy
+const installIdHeader = z.object({
+  "X-Install-Id": z.string().openapi({ description: "The extension's random install ID" }),
+});
+route({
+  method: "get",
+  path: "/api/privacy/export",
+  tag: "Privacy",
+  summary: "Export everything logged for an extension install",
+  auth: "client",
+  headers: installIdHeader,
+  responses: {
+    200: { description: "Logged requests, oldest first", schema: PrivacyExport },
+    400: { description: "Missing or invalid X-Install-Id header", schema: ErrorBody },
+  },
+});
+route({
+  method: "delete",
+  path: "/api/privacy/data",
+  tag: "Privacy",
+  summary: "Delete everything logged for an extension install",
+  auth: "client",
+  headers: installIdHeader,
+  responses: {
+    200: { description: "Number of records deleted", schema: PrivacyDelete },
+    400: { description: "Missing or invalid X-Install-Id header", schema: ErrorBody },
+  },
+});
+
+let document: ReturnType<OpenApiGeneratorV3["generateDocument"]> | undefined;
+
+export function getOpenApiDocument() {
+  document ??= new OpenApiGeneratorV3(registry.definitions).generateDocument({
+    openapi: "3.0.3",
+    info: {
+      title: "LocalStock API",
+      version: process.env.npm_package_version || "1.0.0",
+      description: [
+        "Local availability for online product pages. Docs page: /docs",
+        "Every /api/v1 response is an envelope: `{ ok: true, data, meta }` or `{ ok: false, error: { code, message, details?, retryAfter? }, meta }`. "
+          + "The same routes without /v1 (kept for older extension builds) answer with the bare `data`, and errors as `{ error, code, message?, details?, retryAfter? }`.",
+        `Error codes: ${apiErrorCodes.join(", ")}. An ineligible resolve carries a \`reason\`: ${ineligibleReasons.join(", ")}.`,
+      ].join("\n\n"),
+    },
+  });
+  return document;
+}
+
+// Development only: checks JSON responses against the documented schema for
+// their route and status, as the client will see them, and logs mismatches.
+// Responses are sent unchanged either way.
+export function validateResponses(req: Request, res: Response, next: NextFunction) {
+  const json = res.json.bind(res);
+  res.json = (body: unknown) => {
+    const key = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : undefined;
+    const schema = key ? responseSchemas.get(key)?.get(res.statusCode) : undefined;
+    if (schema) {
+      const result = schema.safeParse(JSON.parse(JSON.stringify(body ?? null)));
+      if (!result.success) {
+        console.warn(`Response of ${key} (${res.statusCode}) doesn't match the OpenAPI document:`, result.error.issues);
+      }
+    }
+    return json(body);
+  };
+  next();
+}
+
+export function registerOpenApiRoutes(app: Express) {
+  app.get('/api/openapi.json', (req, res) => {
+    try {
+      // Not through res.json, so /api/v1/openapi.json isn't enveloped either
+      res.type('json').send(JSON.stringify(getOpenApiDocument()));
+    } catch (error) {
+      sendServerError(res, 'Failed to generate OpenAPI document', error);
+    }
+  });
+}
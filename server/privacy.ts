@@ -0,0 +1,71 @@
+import { type Express } from "express";
+import { type Server } from "http";
+import { storage } from "./storage";
+import { requireClientKey } from "./auth";
+import { installIdOf } from "./trace";
+import { sendError, sendServerError } from "./errors";
+
+// Resolve request log records older than this are purged; 0 keeps them forever
+const RETENTION_DAYS = process.env.LOG_RETENTION_DAYS !== undefined ? Number(process.env.LOG_RETENTION_DAYS) : 90;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function purgeExpiredResolveRequests(): Promise<number> {
+  if (!(RETENTION_DAYS > 0)) return 0;
+  return storage.deleteResolveRequestsBefore(new Date(Date.now() - RETENTION_DAYS * DAY_MS));
+}
+
+// Purges on startup and then hourly while the server runs
+export function scheduleRetentionPurge(server: Server) {
+  if (!(RETENTION_DAYS > 0)) return;
+
+  const purge = () => {
+    purgeExpiredResolveRequests()
+      .then(deleted => {
+        if (deleted > 0) console.log(`Purged ${deleted} resolve requests older than ${RETENTION_DAYS} days`);
+      })
+      .catch(error => console.error("Retention purge failed:", error));
+  };
+
+  purge();
+  const timer = setInterval(purge, PURGE_INTERVAL);
+  timer.unref();
+  server.on("close", () => clearInterval(timer));
+}
+
+// Export or delete everything logged about one extension install, identified
+// by the random X-Install-Id it sends with resolve calls
+export function registerPrivacyRoutes(app: Express) {
+  app.get('/api/privacy/export', requireClientKey(), async (req, res) => {
+    const installId = installIdOf(req);
+    if (!installId) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'Missing or invalid X-Install-Id header');
+    }
+
+    try {
+      const requests = await storage.getResolveRequestsByInstallId(installId);
+      res.json({
+        installId,
+        retentionDays: RETENTION_DAYS > 0 ? RETENTION_DAYS : null,
+        exportedAt: new Date().toISOString(),
+        requests,
+      });
+    } catch (error) {
+      sendServerError(res, 'Failed to export data', error);
+    }
+  });
+
+  app.delete('/api/privacy/data', requireClientKey(), async (req, res) => {
+    const installId = installIdOf(req);
+    if (!installId) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'Missing or invalid X-Install-Id header');
+    }
+
+    try {
+      const deleted = await storage.deleteResolveRequestsByInstallId(installId);
+      res.json({ deleted });
+    } catch (error) {
+      sendServerError(res, 'Failed to delete data', error);
+    }
+  });
+}
@@ -0,0 +1,155 @@
+import { parsePriceCents, formatPriceCents } from "@shared/price";
+import { countries, CURRENCY_BY_COUNTRY, normalizePostalCode, type Country } from "@shared/locale";
+import { UpstreamClient, firstNonEmpty } from "../upstream";
+import { type InventoryProvider, type ProviderLookup, type ProviderOffer } from "./types";
+
+// Backend proxy config
+const BACKEND_BASE = process.env.BACKEND_BASE || "http://localhost:8000";
+const BACKEND_API_KEY = process.env.LOCALSTOCK_INGESTION_API_KEY || process.env.BACKEND_API_KEY || "";
+const backend = new UpstreamClient("backend", BACKEND_BASE);
+// Comma-separated countries the backend has stores in
+const BACKEND_COUNTRIES = (process.env.BACKEND_COUNTRIES || "US")
+  .split(",")
+  .map(code => code.trim().toUpperCase())
+  .filter((code): code is Country => (countries as readonly string[]).includes(code));
+
+// Looks the product up on the LocalStock backend and maps its documented
+// offer shape (price_cents, pickup/delivery.eta_min, distance_km, confidence)
+// to ours; each backend offer can yield a pickup and a delivery entry
+async function lookupBackendOffers(query: ProviderLookup): Promise<ProviderOffer[]> {
+  const candidates: string[] = [];
+  const g = query.identifiers.gtin;
+  const a = query.identifiers.asin;
+  if (g) {
+    // Identifiers arrive as GTIN-14; also try the UPC-A/EAN-13 form
+    const short = g.replace(/^0+(?=\d{12,13}$)/, '');
+    candidates.push(`gtin::${g}`, g);
+    if (short !== g) candidates.push(`gtin::${short}`, short);
+  }
+  if (a) {
+    candidates.push(`asin::${a}`, a);
+  }
+  if (candidates.length === 0) return [];
+
+  // Only US ZIPs resolve to a location; elsewhere the zip lookup is all there
+  // is. A missing or malformed postal code can't be looked up at all.
+  const loc = query.location;
+  const zip = normalizePostalCode(query.country, query.zip);
+  if (!zip && !loc) return [];
+
+  // Use a wider radius to improve hit rate for live backend queries
+  const radiusKm = 25;
+
+  const headers: Record<string, string> = {};
+  if (BACKEND_API_KEY) headers['X-API-Key'] = BACKEND_API_KEY;
+
+  const offersFrom = (data: any): any[] => (Array.isArray(data?.offers) ? data.offers : []);
+
+  // 1) Try /api/resolve with zip (no API key required per docs); all
+  // candidate IDs in parallel, first one with offers wins. If every call
+  // fails the fallback still runs; without a location there is none, so the
+  // failure is the lookup's.
+  let backendOffers: any[] = [];
+  if (zip) {
+    const byZip = firstNonEmpty(candidates, async (pid, signal) =>
+      offersFrom(await backend.post('/api/resolve', { product_id: pid, zip }, { signal })),
+    );
+    backendOffers = loc ? await byZip.catch(() => []) : await byZip;
+  }
+
+  // 2) Fallback to /v1/offers with lat/lon; the lookup fails (and the
+  // resolver reports the backend unavailable) when every call fails here too
+  if (backendOffers.length === 0 && loc) {
+    backendOffers = await firstNonEmpty(candidates, async (pid, signal) =>
+      offersFrom(await backend.post(
+        '/v1/offers',
+        { product_id: pid, lat: loc.lat, lon: loc.lon, radius_km: radiusKm },
+        { headers, signal },
+      )),
+    );
+  }
+
+  if (backendOffers.length === 0) return [];
+
+  // Map backend offer shape (documented) -> our internal list entries
+  const mapped: ProviderOffer[] = [];
+  backendOffers.forEach((o: any, idx: number) => {
+    const store = o.store || {};
+    const storeName = store.name || 'Unknown';
+    const storeChain = store.retailer || store.chain || 'unknown';
+    const distanceMiles = typeof o.distance_km === 'number' ? Math.round(o.distance_km / 1.60934 * 10) / 10 : undefined;
+    const distance = distanceMiles !== undefined ? `${distanceMiles.toFixed(1)} mi` : undefined;
+    const currency = /^[a-z]{3}$/i.test(o.currency ?? '') ? o.currency.toUpperCase() : CURRENCY_BY_COUNTRY[query.country];
+    const priceCents = typeof o.price_cents === 'number' ? o.price_cents : parsePriceCents(o.price);
+    const priceStr = typeof o.price_cents === 'number' ? formatPriceCents(o.price_cents, currency) : (o.price || '');
+    const lastSeen = o.last_checked || new Date().toISOString();
+    const deepLink = o.deep_link || o.url;
+    const confidence = typeof o.confidence === 'number' ? o.confidence : 1;
+    // One backend offer can become two entries, so ids carry the fulfilment type
+    const baseId = o.id ?? `backend-${idx}`;
+    const trustScore = Math.round(Math.max(0, Math.min(1, confidence)) * 100);
+
+    // pickup entry
+    if (o.pickup?.available) {
+      const etaMin = typeof o.pickup.eta_min === 'number' ? o.pickup.eta_min : undefined;
+      mapped.push({
+        id: `${baseId}-pickup`,
+        storeName,
+        storeChain,
+        address: '',
+        distance,
+        distanceMiles,
+        availabilityType: 'pickup',
+        eta: typeof etaMin === 'number' ? `${etaMin} min` : 'Unknown',
+        etaMinutes: etaMin,
+        price: priceStr,
+        priceCents,
+        currency,
+        lastSeen: lastSeen,
+        deepLink,
+        inStock: true,
+        stockLevel: undefined,
+        // fields for guards
+        margin: 100,
+        trustScore,
+        isEligible: true,
+      });
+    }
+
+    // delivery entry
+    if (o.delivery?.available) {
+      const etaMin = typeof o.delivery.eta_min === 'number' ? o.delivery.eta_min : undefined;
+      mapped.push({
+        id: `${baseId}-delivery`,
+        storeName,
+        storeChain,
+        address: '',
+        distance,
+        distanceMiles,
+        availabilityType: 'delivery',
+        eta: typeof etaMin === 'number' ? `${etaMin} min` : 'Unknown',
+        etaMinutes: etaMin,
+        price: priceStr,
+        priceCents,
+        currency,
+        lastSeen: lastSeen,
+        deepLink,
+        inStock: true,
+        stockLevel: undefined,
+        // fields for guards
+        margin: 100,
+        trustScore,
+        isEligible: true,
+      });
+    }
+  });
+
+  return mapped;
+}
+
+export const backendProvider: InventoryProvider = {
+  name: "backend",
+  countries: BACKEND_COUNTRIES,
+  lookup: lookupBackendOffers,
+  health: () => backend.health(),
+};
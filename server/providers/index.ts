@@ -0,0 +1,89 @@
+import { type UpstreamHealth } from "../upstream";
+import { type Country } from "@shared/locale";
+import { upstreamErrors } from "../metrics";
+import { backendProvider } from "./backend";
+import { type InventoryProvider, type ProviderLookup, type ProviderOffer } from "./types";
+
+export type { InventoryProvider, ProviderLookup, ProviderOffer } from "./types";
+
+export type SourcedOffer = ProviderOffer & { provider: string };
+
+export interface ProviderLookupResult {
+  offers: SourcedOffer[];
+  failed: string[]; // providers whose lookup threw
+}
+
+const providers: InventoryProvider[] = [backendProvider];
+
+// Comma-separated provider names to query; all registered providers when unset
+const ENABLED_PROVIDERS = (process.env.INVENTORY_PROVIDERS || "")
+  .split(",")
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Additional retailer feeds register here at startup
+export function registerProvider(provider: InventoryProvider) {
+  if (providers.some(p => p.name === provider.name)) {
+    throw new Error(`Inventory provider already registered: ${provider.name}`);
+  }
+  providers.push(provider);
+}
+
+export function getEnabledProviders(): InventoryProvider[] {
+  if (ENABLED_PROVIDERS.length === 0) return providers;
+  return providers.filter(p => ENABLED_PROVIDERS.includes(p.name));
+}
+
+// Enabled providers with inventory in the shopper's country
+function providersFor(country: Country): InventoryProvider[] {
+  return getEnabledProviders().filter(p => !p.countries || p.countries.includes(country));
+}
+
+export function getProviderHealth(): UpstreamHealth[] {
+  return getEnabledProviders()
+    .filter(p => p.health)
+    .map(p => p.health!());
+}
+
+// One store can be listed by several feeds; the same store and fulfilment
+// type counts as one offer
+function dedupeKey(offer: ProviderOffer): string {
+  return [offer.storeChain, offer.storeName, offer.address, offer.availabilityType]
+    .map(part => part.trim().toLowerCase())
+    .join("|");
+}
+
+// Prefer the more trusted listing, then the more recently seen one
+function preferred(a: SourcedOffer, b: SourcedOffer): SourcedOffer {
+  const trustA = a.trustScore ?? 0;
+  const trustB = b.trustScore ?? 0;
+  if (trustA !== trustB) return trustA > trustB ? a : b;
+  return Date.parse(b.lastSeen) > Date.parse(a.lastSeen) ? b : a;
+}
+
+// Queries every enabled provider serving the query's country in parallel and
+// merges their offers. A failing provider is logged and skipped so the others
+// still answer.
+export async function lookupProviderOffers(query: ProviderLookup): Promise<ProviderLookupResult> {
+  const enabled = providersFor(query.country);
+  const results = await Promise.allSettled(enabled.map(p => p.lookup(query)));
+
+  const merged = new Map<string, SourcedOffer>();
+  const failed: string[] = [];
+  results.forEach((result, i) => {
+    const provider = enabled[i].name;
+    if (result.status === "rejected") {
+      console.error(`Inventory provider ${provider} failed:`, result.reason);
+      upstreamErrors.inc({ provider, reason: "lookup_failed" });
+      failed.push(provider);
+      return;
+    }
+    for (const offer of result.value) {
+      const sourced: SourcedOffer = { ...offer, provider };
+      const key = dedupeKey(sourced);
+      const existing = merged.get(key);
+      merged.set(key, existing ? preferred(existing, sourced) : sourced);
+    }
+  });
+  return { offers: Array.from(merged.values()), failed };
+}
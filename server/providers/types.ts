@@ -0,0 +1,49 @@
+import { type LatLon } from "../geo";
+import { type UpstreamHealth } from "../upstream";
+import { type Country } from "@shared/locale";
+
+// What the resolver asks every provider; identifiers are canonicalized
+// (GTIN-14 under `gtin`, see canonicalizeIdentifiers)
+export interface ProviderLookup {
+  identifiers: Record<string, string>;
+  platform: string;
+  country: Country;
+  zip?: string;
+  location?: LatLon; // requester's ZIP centroid, when known
+}
+
+// Offers in our response shape plus the fields the guards read; the resolver
+// records which provider each one came from
+export interface ProviderOffer {
+  id: string;
+  storeName: string;
+  storeChain: string;
+  address: string;
+  distance?: string; // unset when the provider gives no distance
+  distanceMiles?: number;
+  availabilityType: string;
+  eta: string;
+  etaMinutes?: number; // unset when the provider gives no ETA
+  readyAt?: string;
+  price: string;
+  priceCents?: number;
+  currency: string;
+  lastSeen: string;
+  deepLink?: string;
+  inStock: boolean;
+  stockLevel?: number;
+  margin?: number | null;
+  trustScore?: number | null;
+  isEligible?: boolean | null;
+}
+
+export interface InventoryProvider {
+  // Stable identifier reported on offers, in diagnostics and in INVENTORY_PROVIDERS
+  name: string;
+  // Countries whose shoppers it has inventory for; every country when unset
+  countries?: readonly Country[];
+  // Resolves to [] when the provider has nothing; may throw on failure
+  lookup(query: ProviderLookup): Promise<ProviderOffer[]>;
+  // Upstream circuit state for /api/health, for providers that call out over HTTP
+  health?(): UpstreamHealth;
+}
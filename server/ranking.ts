@@ -0,0 +1,101 @@
+import { type SortStrategy } from "@shared/schema";
+
+export const DEFAULT_SORT_STRATEGY: SortStrategy = "fastest";
+
+// Fields the rankers read; local and backend offers both carry these
+export interface RankCandidate {
+  availabilityType: string;
+  etaMinutes?: number; // unknown ETAs rank as the slowest
+  distanceMiles?: number; // unknown distances rank as the farthest
+  priceCents?: number;
+  trustScore?: number | null;
+}
+
+interface Components {
+  eta: number;
+  price: number;
+  distance: number;
+  trust: number;
+  pickup: number;
+}
+
+// Each strategy turns 0..1 components (1 = best within this result set) into
+// a 0..1 score; higher ranks first.
+const STRATEGIES: Record<SortStrategy, (c: Components) => number> = {
+  // Pickup before delivery, then lowest ETA
+  fastest: (c) => 0.5 * c.pickup + 0.5 * c.eta,
+  // Lowest price
+  cheapest: (c) => c.price,
+  // Nearest pickup store; delivery has no store distance so it follows pickup
+  closest: (c) => 0.5 * c.pickup + 0.5 * c.distance,
+  // Balance of everything the user might care about
+  weighted: (c) => 0.35 * c.eta + 0.3 * c.price + 0.2 * c.distance + 0.15 * c.trust,
+};
+
+// Unparseable prices sort last
+function priceOf(offer: RankCandidate): number {
+  return offer.priceCents ?? Infinity;
+}
+
+function etaOf(offer: RankCandidate): number {
+  return offer.etaMinutes ?? Infinity;
+}
+
+// Delivery has no store distance
+function pickupDistanceOf(offer: RankCandidate): number {
+  return offer.availabilityType === 'pickup' ? offer.distanceMiles ?? Infinity : Infinity;
+}
+
+// Min-max normalize so the lowest raw value maps to 1
+function lowerIsBetter(values: number[]): (value: number) => number {
+  const finite = values.filter(Number.isFinite);
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  return (value) => {
+    if (!Number.isFinite(value)) return 0;
+    if (max === min) return 1;
+    return (max - value) / (max - min);
+  };
+}
+
+export function rankOffers<T extends RankCandidate>(
+  offers: T[],
+  strategy: SortStrategy = DEFAULT_SORT_STRATEGY,
+): (T & { score: number })[] {
+  const pickupDistances = offers.map(pickupDistanceOf);
+  const etaScore = lowerIsBetter(offers.map(etaOf));
+  const priceScore = lowerIsBetter(offers.map(priceOf));
+  const distanceScore = lowerIsBetter(pickupDistances);
+  const scoreOf = STRATEGIES[strategy];
+
+  const scored = offers.map((offer, i) => {
+    const components: Components = {
+      eta: etaScore(etaOf(offer)),
+      price: priceScore(priceOf(offer)),
+      // Delivery counts as "at your door" for the weighted blend, but never
+      // outranks a pickup store in the closest strategy (pickup component)
+      distance: offer.availabilityType === 'pickup'
+        ? distanceScore(pickupDistances[i])
+        : strategy === 'weighted' ? 1 : 0,
+      trust: Math.max(0, Math.min(100, offer.trustScore ?? 100)) / 100,
+      pickup: offer.availabilityType === 'pickup' ? 1 : 0,
+    };
+    return { ...offer, score: Math.round(scoreOf(components) * 1000) / 10 };
+  });
+
+  return scored.sort((a, b) => {
+    if (a.score !== b.score) return b.score - a.score;
+
+    // Ties: pickup first, then lowest ETA, nearest store, lowest price
+    if (a.availabilityType !== b.availabilityType) {
+      if (a.availabilityType === 'pickup') return -1;
+      if (b.availabilityType === 'pickup') return 1;
+    }
+    if (etaOf(a) !== etaOf(b)) return etaOf(a) - etaOf(b);
+    if (pickupDistanceOf(a) !== pickupDistanceOf(b)) {
+      return pickupDistanceOf(a) - pickupDistanceOf(b);
+    }
+    if (priceOf(a) === priceOf(b)) return 0;
+    return priceOf(a) - priceOf(b);
+  });
+}
@@ -0,0 +1,53 @@
+import { countries, postalArea, type Country } from "@shared/locale";
+
+// What the resolve request log keeps about a shopper: product URLs without
+// tracking parameters, and optionally only the leading digits of the ZIP.
+
+// Leading ZIP characters kept in the log; the rest are masked ("100xx").
+// 5 (the default) keeps the full ZIP, 0 drops it. Canadian and UK postal
+// codes are cut to their area ("M5V", "SW1A") below 5.
+const LOG_ZIP_DIGITS = process.env.LOG_ZIP_DIGITS !== undefined ? Number(process.env.LOG_ZIP_DIGITS) : 5;
+
+const AMAZON_PRODUCT_PATH = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/i;
+
+// Keeps the canonical product path and drops query strings, fragments,
+// referral segments and SEO slugs: Amazon URLs become /dp/<ASIN>, other
+// retailers keep their path (the product ID lives there). Unparseable
+// values lose everything after "?" or "#".
+export function scrubProductUrl(url: string): string {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url.split(/[?#]/)[0];
+  }
+
+  if (/(^|\.)amazon\./i.test(parsed.hostname)) {
+    const asin = AMAZON_PRODUCT_PATH.exec(parsed.pathname)?.[1];
+    if (asin) return `${parsed.origin}/dp/${asin.toUpperCase()}`;
+  }
+  return `${parsed.origin}${parsed.pathname.replace(/\/ref=[^/]*$/, '')}`;
+}
+
+export function coarsenZip(zip: string, digits: number = LOG_ZIP_DIGITS, country: Country = 'US'): string | undefined {
+  if (country !== 'US') {
+    if (digits <= 0) return undefined;
+    return digits >= 5 ? zip.trim() : postalArea(country, zip);
+  }
+
+  const normalized = zip.trim().slice(0, 5);
+  if (digits <= 0 || !normalized) return undefined;
+  if (digits >= normalized.length) return normalized;
+  return normalized.slice(0, digits) + 'x'.repeat(normalized.length - digits);
+}
+
+// Applied to every record before it is stored. Failed requests are logged
+// from the raw body, so the fields may not be strings.
+export function redactRequestLog<T extends { url?: unknown; zip?: unknown; country?: unknown }>(log: T): T {
+  const country = countries.find(code => code === log.country) ?? 'US';
+  return {
+    ...log,
+    url: typeof log.url === 'string' ? scrubProductUrl(log.url) : log.url,
+    zip: typeof log.zip === 'string' ? coarsenZip(log.zip, LOG_ZIP_DIGITS, country) : log.zip,
+  };
+}
@@ -0,0 +1,369 @@
+import { storage } from "./storage";
+import { zipToLatLon, parseLatLon, haversineMiles, formatDistance } from "./geo";
+import { getStoreStatus, getPickupReadiness } from "./hours";
+import { withReadyBy } from "./eta";
+import { applyGuardFilters, type GuardContext, type GuardFailure } from "./guards";
+import { rankOffers, DEFAULT_SORT_STRATEGY } from "./ranking";
+import { parsePriceCents } from "@shared/price";
+import { CURRENCY_BY_COUNTRY, DEFAULT_COUNTRY } from "@shared/locale";
+import { lookupProviderOffers } from "./providers";
+import { Cache, MemoryCacheBackend } from "./cache";
+import { RequestTrace } from "./trace";
+import { registerCollector, resolveOutcomes } from "./metrics";
+import { performance } from "perf_hooks";
+import {
+  type ResolveRequest,
+  type ResolveResponse,
+  type ResolveSource,
+  type IneligibleReason,
+  type StoreStatus,
+  type Offer,
+  type Store,
+} from "@shared/schema";
+
+// Resolve responses: found offers for 5 minutes, "nothing nearby" for 1, and
+// either is served stale for 2 more minutes while a refresh runs
+const resolveCache = new Cache<ResolveResponse>(
+  new MemoryCacheBackend(Number(process.env.RESOLVE_CACHE_MAX_ENTRIES) || 5000),
+  {
+    positiveTtlMs: (Number(process.env.RESOLVE_CACHE_TTL_SECONDS) || 300) * 1000,
+    negativeTtlMs: (Number(process.env.RESOLVE_CACHE_NEGATIVE_TTL_SECONDS) || 60) * 1000,
+    staleTtlMs: (Number(process.env.RESOLVE_CACHE_STALE_SECONDS) || 120) * 1000,
+    isNegative: (response) => !response.eligible,
+  },
+);
+
+registerCollector("localstock_resolve_cache_requests_total", "Resolve cache lookups by outcome", "counter", async () => {
+  const stats = await resolveCache.stats();
+  return [
+    { labels: { outcome: "hit" }, value: stats.hits },
+    { labels: { outcome: "stale" }, value: stats.staleHits },
+    { labels: { outcome: "miss" }, value: stats.misses },
+  ];
+});
+registerCollector("localstock_resolve_cache_entries", "Entries in the resolve cache", "gauge", async () => (
+  [{ value: (await resolveCache.stats()).entries }]
+));
+registerCollector("localstock_resolve_cache_evictions_total", "Resolve cache entries evicted for capacity", "counter", async () => (
+  [{ value: (await resolveCache.stats()).evictions }]
+));
+
+function generateCacheKey(request: ResolveRequest): string {
+  const keyData = {
+    gtin: request.identifiers.gtin,
+    asin: request.identifiers.asin,
+    sku: request.identifiers.sku,
+    platform: request.platform,
+    variant: request.variant,
+    zip: request.zip,
+    country: request.country ?? DEFAULT_COUNTRY,
+    sort: request.sort || DEFAULT_SORT_STRATEGY,
+  };
+  return JSON.stringify(keyData);
+}
+
+type RejectedOffer = NonNullable<ResolveResponse['diagnostics']>['rejected'][number];
+
+function describeRejection(
+  offer: { id: string; storeName: string; storeChain: string; availabilityType: string },
+  failedRules: GuardFailure[],
+  source: RejectedOffer['source'],
+): RejectedOffer {
+  return {
+    id: offer.id,
+    storeName: offer.storeName,
+    storeChain: offer.storeChain,
+    availabilityType: offer.availabilityType,
+    source,
+    failedRules,
+  };
+}
+
+// Why nothing qualified: the guard every candidate failed (distance first,
+// then stock), or with no candidates at all, that no source lists the product
+// unless a provider that might list it failed.
+function ineligibleReason(rejected: RejectedOffer[], failedProviders: string[]): IneligibleReason {
+  if (rejected.length === 0) {
+    return failedProviders.length > 0 ? 'UPSTREAM_UNAVAILABLE' : 'UNKNOWN_PRODUCT';
+  }
+  const failedEvery = (rule: GuardFailure['rule']) => (
+    rejected.every(offer => offer.failedRules.some(failure => failure.rule === rule))
+  );
+  if (failedEvery('distance')) return 'NO_COVERAGE_FOR_ZIP';
+  if (failedEvery('out_of_stock')) return 'OUT_OF_STOCK';
+  return 'NO_ELIGIBLE_OFFERS';
+}
+
+// Replace the static distance columns with the distance from the requester's
+// ZIP centroid to the store. Without both locations the distance is unknown:
+// the stored columns are the same for every shopper, so they are never used.
+function withComputedDistance(offer: Offer, store: Store, origin?: { lat: number; lon: number }): Offer {
+  const storeLocation = parseLatLon(store.latitude, store.longitude);
+  if (!origin || !storeLocation || offer.availabilityType !== 'pickup') {
+    return { ...offer, distanceMiles: null, distance: null };
+  }
+
+  const miles = Math.round(haversineMiles(origin, storeLocation) * 10) / 10;
+  return { ...offer, distanceMiles: miles, distance: formatDistance(miles) };
+}
+
+// A stored offer with its ETA resolved to a ready-by time (see eta.ts)
+type TimedOffer = Omit<Offer, 'etaMinutes'> & { etaMinutes?: number; readyAt?: string };
+
+// Pickup offers at stores with known hours: whether the store is open, and
+// the ETA moved to the next opening when the order can't be ready before close
+function withStoreHours(offer: TimedOffer, store: Store, now: Date): TimedOffer & { storeStatus?: StoreStatus } {
+  if (offer.availabilityType !== 'pickup') return offer;
+  const storeStatus = getStoreStatus(store, now);
+  if (!storeStatus) return offer;
+  if (offer.etaMinutes === undefined) return { ...offer, storeStatus };
+
+  const readiness = getPickupReadiness(store, offer.etaMinutes, now);
+  return readiness ? { ...offer, ...readiness, storeStatus } : { ...offer, storeStatus };
+}
+
+// Compare each offer against the online listing price from the request.
+// Applied on the way out so cached responses reflect the caller's price.
+function withSavings(response: ResolveResponse, request: ResolveRequest): ResolveResponse {
+  const onlinePriceCents = parsePriceCents(request.price);
+  if (onlinePriceCents === undefined) return response;
+
+  const onlineCurrency = request.currency || CURRENCY_BY_COUNTRY[request.country ?? DEFAULT_COUNTRY];
+  return {
+    ...response,
+    onlinePriceCents,
+    offers: response.offers.map(offer => (
+      offer.priceCents !== undefined && offer.currency === onlineCurrency
+        ? { ...offer, savingsCents: onlinePriceCents - offer.priceCents }
+        : offer
+    )),
+  };
+}
+
+export interface ResolveOptions {
+  // Include rejected offers and failed guard rules; bypasses the cache
+  diagnostics?: boolean;
+  // Recompute and replace the cached response, e.g. after an offer changed
+  fresh?: boolean;
+  // Record the request in the resolve request log (default true)
+  log?: boolean;
+  // Request ID, client metadata and stage timings for the log record
+  trace?: RequestTrace;
+}
+
+export function clearResolveCache(): Promise<void> {
+  return resolveCache.clear();
+}
+
+export function getResolveCacheStats() {
+  return resolveCache.stats();
+}
+
+// Where a response came from, for the request log and analytics
+export function responseSource(response: ResolveResponse): ResolveSource {
+  if (response.cached) return 'cache';
+  if (!response.eligible) return 'none';
+  return response.offers.some(offer => offer.provider === 'local') ? 'local' : 'backend';
+}
+
+// Answers one resolve request from cache, local offers or the inventory providers,
+// and logs it once with its response. Throws on storage errors; callers log the
+// failed request.
+export async function resolveProduct(request: ResolveRequest, options: ResolveOptions = {}): Promise<ResolveResponse> {
+  const trace = options.trace ?? new RequestTrace();
+  // Unlogged resolves (live refreshes) aren't client requests and aren't counted
+  const counted = options.log !== false;
+  let resolved: ResolveResponse;
+  try {
+    resolved = await resolveOffers(request, options, trace);
+  } catch (error) {
+    if (counted) resolveOutcomes.inc({ outcome: 'error' });
+    throw error;
+  }
+  const response: ResolveResponse = {
+    ...withSavings(resolved, request),
+    requestId: trace.requestId,
+  };
+  if (counted) {
+    resolveOutcomes.inc({ outcome: response.eligible ? 'eligible' : 'ineligible' });
+    await storage.createResolveRequest({
+      ...request,
+      ...trace.record(),
+      response,
+      success: response.eligible,
+      source: responseSource(response),
+    });
+  }
+  return response;
+}
+
+async function resolveOffers(request: ResolveRequest, options: ResolveOptions, trace: RequestTrace): Promise<ResolveResponse> {
+  // Diagnostics always recompute so rejections are reported, and aren't cached
+  if (options.diagnostics === true) {
+    return computeResolve(request, true, trace);
+  }
+  if (options.fresh === true) {
+    const response = await computeResolve(request, false, trace);
+    await trace.time('cache', () => resolveCache.set(generateCacheKey(request), response));
+    return response;
+  }
+
+  // Cache time is everything but our own load: lookups, stores and waiting
+  // on a load another request started. Background refreshes aren't timed.
+  const started = performance.now();
+  let loadMs = 0;
+  const { value, outcome } = await resolveCache.getOrLoad(
+    generateCacheKey(request),
+    async ({ background }) => {
+      if (background) return computeResolve(request, false, new RequestTrace());
+      const loadStarted = performance.now();
+      try {
+        return await computeResolve(request, false, trace);
+      } finally {
+        loadMs = performance.now() - loadStarted;
+      }
+    },
+  );
+  trace.add('cache', performance.now() - started - loadMs);
+  return outcome === 'miss' ? value : { ...value, cached: true };
+}
+
+async function computeResolve(request: ResolveRequest, diagnostics: boolean, trace: RequestTrace): Promise<ResolveResponse> {
+  const sort = request.sort || DEFAULT_SORT_STRATEGY;
+  const country = request.country ?? DEFAULT_COUNTRY;
+
+  // Find product by identifiers
+  let product = await trace.time('storage', () => storage.getProductByIdentifiers(request.identifiers, request.platform));
+  
+  // If product not found, create it (in real implementation, this would trigger external API calls)
+  if (!product) {
+    product = await trace.time('storage', () => storage.createProduct({
+      gtin: request.identifiers.gtin,
+      asin: request.identifiers.asin,
+      sku: request.identifiers.sku,
+      brand: request.brand || 'Unknown',
+      title: request.title || 'Unknown Product',
+      variant: request.variant,
+      price: request.price,
+      currency: request.currency || CURRENCY_BY_COUNTRY[country],
+      images: [],
+      platform: request.platform,
+      url: request.url,
+      attributes: request.attributes || {},
+    }));
+  }
+
+  const guardContext: GuardContext = {
+    platform: request.platform,
+    policies: await trace.time('storage', () => storage.getGuardPolicies()),
+  };
+  const rejected: RejectedOffer[] = [];
+
+  // Get offers for this product from local storage first, with distances
+  // computed from the requester's ZIP
+  // ZIP centroids cover the US only; elsewhere local distances are unknown
+  const origin = country === 'US' ? zipToLatLon(request.zip) : undefined;
+  const productId = product.id;
+  const allOffers = await trace.time('storage', () => storage.getOffersByProduct(productId));
+  const storesById = new Map<string, Store>();
+  const now = new Date();
+  const locatedOffers: (TimedOffer & { storeName: string; storeChain: string; storeStatus?: StoreStatus })[] = [];
+  for (const offer of allOffers) {
+    const storeId = offer.storeId;
+    const store = storeId ? await trace.time('storage', () => storage.getStore(storeId)) : undefined;
+    // Stores in other countries don't serve this shopper
+    if (!store || store.country !== country) continue;
+    storesById.set(store.id, store);
+    locatedOffers.push({
+      ...withStoreHours(withReadyBy(withComputedDistance(offer, store, origin), store.timezone, now), store, now),
+      storeName: store.name,
+      storeChain: store.chain,
+    });
+  }
+  const localGuards = applyGuardFilters(locatedOffers, guardContext);
+  rejected.push(...localGuards.rejected.map(r => describeRejection(r.offer, r.failedRules, 'local')));
+  const eligibleOffers = localGuards.accepted;
+
+  // If no local offers, fan out to the external inventory providers
+  if (eligibleOffers.length === 0) {
+    const { offers: providerOffers, failed: failedProviders } = await trace.time('upstream', () => lookupProviderOffers({
+      identifiers: request.identifiers,
+      platform: request.platform,
+      country,
+      zip: request.zip,
+      location: origin,
+    }));
+    // Provider offers carry no store timezone; their ETAs resolve in the default one
+    const timedOffers = providerOffers.map(offer => withReadyBy(offer, undefined, now));
+    const providerGuards = applyGuardFilters(timedOffers, guardContext);
+    rejected.push(...providerGuards.rejected.map(r => describeRejection(r.offer, r.failedRules, r.offer.provider)));
+
+    if (providerGuards.accepted.length > 0) {
+      const proxied: ResolveResponse = {
+        eligible: true,
+        offers: rankOffers(providerGuards.accepted, sort)
+          .map(({ margin, trustScore, isEligible, ...rest }) => rest),
+        sort,
+        productId: product.id,
+        cached: false,
+        timestamp: new Date().toISOString(),
+      };
+
+      return diagnostics ? { ...proxied, diagnostics: { rejected } } : proxied;
+    }
+
+    // No offers (local or providers)
+    const response: ResolveResponse = {
+      eligible: false,
+      offers: [],
+      reason: ineligibleReason(rejected, failedProviders),
+      productId: product.id,
+      cached: false,
+      timestamp: new Date().toISOString(),
+      ...(diagnostics ? { diagnostics: { rejected } } : {}),
+    };
+    return response;
+  }
+
+  // Format local offers
+  const formattedOffers = eligibleOffers.map((offer) => {
+    const store = storesById.get(offer.storeId!);
+    if (!store) return null;
+    return {
+      id: offer.id,
+      storeName: store.name,
+      storeChain: store.chain,
+      address: store.address,
+      distance: offer.distance ?? undefined,
+      distanceMiles: offer.distanceMiles ?? undefined,
+      availabilityType: offer.availabilityType,
+      eta: offer.eta || 'Unknown',
+      etaMinutes: offer.etaMinutes,
+      readyAt: offer.readyAt,
+      price: offer.price,
+      priceCents: parsePriceCents(offer.price),
+      currency: offer.currency || CURRENCY_BY_COUNTRY[store.country],
+      lastSeen: offer.lastSeen?.toISOString() || new Date().toISOString(),
+      deepLink: offer.deepLink ?? undefined,
+      inStock: offer.inStock || false,
+      stockLevel: offer.stockLevel ?? undefined,
+      provider: 'local',
+      storeStatus: offer.storeStatus,
+      trustScore: offer.trustScore,
+    };
+  });
+
+  const validOffers = formattedOffers.filter(offer => offer !== null);
+  const rankedOffers = rankOffers(validOffers, sort).map(({ trustScore, ...rest }) => rest);
+
+  const response: ResolveResponse = {
+    eligible: true,
+    offers: rankedOffers,
+    sort,
+    productId: product.id,
+    cached: false,
+    timestamp: new Date().toISOString(),
+  };
+
+  return diagnostics ? { ...response, diagnostics: { rejected } } : response;
+}
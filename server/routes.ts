@@ -1,108 +1,83 @@
-import express, { type Express } from "express";
+import express, { type Express, type Request } from "express";
 import { createServer, type Server } from "http";
 import { storage } from "./storage";
-import { resolveRequestSchema, type ResolveResponse } from "@shared/schema";
-import { z } from "zod";
-
-// Cache for resolve requests - 5 minute TTL
-interface CacheEntry {
-  response: ResolveResponse;
-  timestamp: number;
-}
-
-const resolveCache = new Map<string, CacheEntry>();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Backend proxy config
-const BACKEND_BASE = process.env.BACKEND_BASE || "http://localhost:8000";
-const BACKEND_API_KEY = process.env.LOCALSTOCK_INGESTION_API_KEY || process.env.BACKEND_API_KEY || "";
-
-// Guard thresholds
-const GUARD_CONFIG = {
-  MIN_MARGIN: 30,
-  MIN_TRUST_SCORE: 80,
-  MAX_ETA_MINUTES: 480, // 8 hours
-  MAX_DISTANCE_MILES: 50,
-};
-
-function generateCacheKey(request: any): string {
-  const keyData = {
-    gtin: request.identifiers.gtin || request.identifiers.upc || request.identifiers.ean,
-    asin: request.identifiers.asin,
-    platform: request.platform,
-    variant: request.variant,
-    zip: request.zip,
-  };
-  return JSON.stringify(keyData);
+import { registerIngestRoutes } from "./ingest";
+import { registerApiKeyRoutes, requireAdminKey, requireClientKey } from "./auth";
+import { DEFAULT_GUARD_THRESHOLDS } from "./guards";
+import { resolveProduct, clearResolveCache, getResolveCacheStats } from "./resolver";
+import { getProviderHealth } from "./providers";
+import { getProductHistory } from "./history";
+import { attachLiveUpdates } from "./live";
+import { traceRequest, type RequestTrace } from "./trace";
+import { registerAnalyticsRoutes } from "./analytics";
+import { recordHttpMetrics, renderMetrics } from "./metrics";
+import { registerPrivacyRoutes, scheduleRetentionPurge } from "./privacy";
+import { registerOpenApiRoutes, validateResponses } from "./openapi";
+import { apiVersioning } from "./envelope";
+import { sendError, sendServerError } from "./errors";
+import {
+  resolveRequestSchema,
+  batchResolveRequestSchema,
+  insertGuardPolicySchema,
+  guardScopes,
+  productHistoryQuerySchema,
+  type ResolveResponse,
+  type ErrorResponse,
+} from "@shared/schema";
+
+// Misses in a batch are resolved this many at a time
+const BATCH_CONCURRENCY = 8;
+
+// Comma-separated origins allowed to call the API from a browser: the
+// dashboard's when it is hosted elsewhere and chrome-extension://<extension id>
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// An unpacked extension's ID differs per machine, so development also
+// allows any extension origin
+function isAllowedOrigin(origin: string, env: string): boolean {
+  return CORS_ORIGINS.includes(origin) || (env === 'development' && origin.startsWith('chrome-extension://'));
 }
 
-function cleanExpiredCache() {
-  const now = Date.now();
-  for (const [key, entry] of Array.from(resolveCache.entries())) {
-    if (now - entry.timestamp > CACHE_TTL) {
-      resolveCache.delete(key);
-    }
-  }
-}
-
-function applyGuardFilters(offers: any[]): any[] {
-  return offers.filter(offer => {
-    // Check margin threshold
-    if (offer.margin && offer.margin < GUARD_CONFIG.MIN_MARGIN) {
-      return false;
-    }
-    
-    // Check trust score
-    if (offer.trustScore < GUARD_CONFIG.MIN_TRUST_SCORE) {
-      return false;
+async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
     }
-    
-    // Check ETA
-    if (offer.etaMinutes > GUARD_CONFIG.MAX_ETA_MINUTES) {
-      return false;
-    }
-    
-    // Check distance (only for pickup)
-    if (offer.availabilityType === 'pickup' && offer.distanceMiles > GUARD_CONFIG.MAX_DISTANCE_MILES) {
-      return false;
-    }
-    
-    // Must be in stock and eligible
-    if (!offer.inStock || !offer.isEligible) {
-      return false;
-    }
-    
-    return true;
-  });
-}
-
-function prioritizeOffers(offers: any[]): any[] {
-  return offers.sort((a, b) => {
-    // 1. Prefer pickup over delivery
-    if (a.availabilityType !== b.availabilityType) {
-      if (a.availabilityType === 'pickup') return -1;
-      if (b.availabilityType === 'pickup') return 1;
-    }
-    
-    // 2. Then lowest ETA
-    if (a.etaMinutes !== b.etaMinutes) {
-      return a.etaMinutes - b.etaMinutes;
-    }
-    
-    // 3. Then lowest price
-    const priceA = parseFloat(a.price.replace(/[$,]/g, ''));
-    const priceB = parseFloat(b.price.replace(/[$,]/g, ''));
-    return priceA - priceB;
   });
+  await Promise.all(workers);
+  return results;
 }
 
 export async function registerRoutes(app: Express): Promise<Server> {
   
+  // /api/v1/... is routed as /api/... with enveloped bodies; first so every
+  // /api middleware below sees it
+  app.use(apiVersioning);
+
+  // Request counts and latency per route for GET /metrics
+  app.use('/api', recordHttpMetrics);
+
+  // Log responses that drift from the OpenAPI document while developing
+  if (app.get('env') === 'development') {
+    app.use('/api', validateResponses);
+  }
+
   // CORS middleware for extension
   app.use('/api', (req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    const origin = req.headers.origin;
+    res.header('Vary', 'Origin');
+    if (origin && isAllowedOrigin(origin, app.get('env'))) {
+      res.header('Access-Control-Allow-Origin', origin);
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Admin-Key, X-Client-Version, X-Install-Id');
+    res.header('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Remaining, X-Request-Id');
     
     if (req.method === 'OPTIONS') {
       res.sendStatus(200);
@@ -111,355 +86,228 @@ export async function registerRoutes(app: Express): Promise<Server> {
     next();
   });
 
+  // Inventory ingestion (X-API-Key protected)
+  registerIngestRoutes(app, { onChange: clearResolveCache });
+
+  // Client API key management (X-Admin-Key protected)
+  registerApiKeyRoutes(app);
+
+  // Aggregates over the resolve request log (X-Admin-Key protected)
+  registerAnalyticsRoutes(app);
+
+  // OpenAPI document for every route below (GET /api/openapi.json)
+  registerOpenApiRoutes(app);
+
+  // Per-install export and deletion of logged requests (X-API-Key + X-Install-Id)
+  registerPrivacyRoutes(app);
+
   // Resolve endpoint - core functionality
-  app.post('/api/resolve', async (req, res) => {
+  app.post('/api/resolve', traceRequest, requireClientKey(), async (req, res) => {
+    const trace: RequestTrace = res.locals.trace;
     try {
-      // Clean expired cache entries periodically
-      if (Math.random() < 0.1) { // 10% chance
-        cleanExpiredCache();
-      }
-      
       // Validate request
       const validationResult = resolveRequestSchema.safeParse(req.body);
       if (!validationResult.success) {
-        return res.status(400).json({
-          error: 'Invalid request format',
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid request format', {
           details: validationResult.error.issues,
         });
       }
 
       const request = validationResult.data;
-      
-      // Check cache first
-      const cacheKey = generateCacheKey(request);
-      const cachedEntry = resolveCache.get(cacheKey);
-      const now = Date.now();
-      
-      if (cachedEntry && (now - cachedEntry.timestamp) < CACHE_TTL) {
-        return res.json({
-          ...cachedEntry.response,
-          cached: true,
-        });
-      }
-
-      // Log resolve request
-      await storage.createResolveRequest(request);
-
-      // Find product by identifiers
-      let product = await storage.getProductByIdentifiers(request.identifiers);
-      
-      // If product not found, create it (in real implementation, this would trigger external API calls)
-      if (!product) {
-        product = await storage.createProduct({
-          gtin: request.identifiers.gtin,
-          upc: request.identifiers.upc,
-          ean: request.identifiers.ean,
-          asin: request.identifiers.asin,
-          sku: request.identifiers.sku,
-          brand: request.brand || 'Unknown',
-          title: request.title || 'Unknown Product',
-          variant: request.variant,
-          price: request.price,
-          currency: request.currency || 'USD',
-          images: [],
-          platform: request.platform,
-          url: request.url,
-          attributes: request.attributes || {},
-        });
-      }
-
-      // Get offers for this product from local storage first
-      const allOffers = await storage.getOffersByProduct(product.id);
-      let eligibleOffers = applyGuardFilters(allOffers);
-
-      // If no local offers, try backend proxy
-      if (eligibleOffers.length === 0) {
-        const proxied = await resolveViaBackend(request);
-        if (proxied) {
-          // Cache and return proxied response
-          resolveCache.set(cacheKey, {
-            response: proxied,
-            timestamp: now,
-          });
-
-          await storage.createResolveRequest({
-            ...request,
-            response: proxied,
-            success: true,
-          });
-
-          return res.json({ ...proxied, cached: false });
-        }
-
-        // No offers (local or backend)
-        const response: ResolveResponse = {
-          eligible: false,
-          offers: [],
-          cached: false,
-          timestamp: new Date().toISOString(),
-        };
-        return res.json(response);
-      }
+      // Diagnostics may be requested in the body or as ?diagnostics=true
+      const diagnostics = request.diagnostics === true || req.query.diagnostics === 'true';
 
-      // Format local offers
-      const formattedOffers = await Promise.all(
-        eligibleOffers.map(async (offer) => {
-          const store = await storage.getStore(offer.storeId!);
-          if (!store) return null;
-          return {
-            id: offer.id,
-            storeName: store.name,
-            storeChain: store.chain,
-            address: store.address,
-            distance: offer.distance || '0 mi',
-            distanceMiles: offer.distanceMiles || 0,
-            availabilityType: offer.availabilityType,
-            eta: offer.eta || 'Unknown',
-            etaMinutes: offer.etaMinutes || 0,
-            price: offer.price,
-            currency: offer.currency || 'USD',
-            lastSeen: offer.lastSeen?.toISOString() || new Date().toISOString(),
-            deepLink: offer.deepLink,
-            inStock: offer.inStock || false,
-            stockLevel: offer.stockLevel,
-          };
-        })
-      );
-
-      const validOffers = formattedOffers.filter(offer => offer !== null);
-      const prioritizedOffers = prioritizeOffers(validOffers);
-
-      const response: ResolveResponse = {
-        eligible: true,
-        offers: prioritizedOffers,
-        cached: false,
-        timestamp: new Date().toISOString(),
-      };
-
-      resolveCache.set(cacheKey, { response, timestamp: now });
-      await storage.createResolveRequest({ ...request, response, success: true });
-      res.json(response);
+      res.json(await resolveProduct(request, { diagnostics, trace }));
       
     } catch (error) {
       console.error('Resolve endpoint error:', error);
       
-      // Log failed request
+      // Log failed request; the body is unvalidated, so logging may fail too
+      // and must not keep the 500 from being sent
       await storage.createResolveRequest({
         ...req.body,
+        ...trace.record(),
         response: { error: error instanceof Error ? error.message : 'Unknown error' },
         success: false,
-      });
+      }).catch(logError => console.error('Failed to log resolve error:', logError));
       
-      res.status(500).json({
-        error: 'Internal server error',
-        message: error instanceof Error ? error.message : 'Unknown error',
+      sendServerError(res, 'Internal server error', error);
+    }
+  });
+
+  // Batch resolve - many products sharing one ZIP; cached items are answered
+  // immediately and misses resolved concurrently. Item failures are reported
+  // per item without failing the batch.
+  // Each item counts against the key's daily quota
+  const batchCost = (req: Request) => Array.isArray(req.body?.items) ? req.body.items.length : 1;
+
+  app.post('/api/resolve/batch', traceRequest, requireClientKey({ cost: batchCost }), async (req, res) => {
+    const batchTrace: RequestTrace = res.locals.trace;
+    const validationResult = batchResolveRequestSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'Invalid request format', {
+        details: validationResult.error.issues,
+      });
+    }
+
+    const { zip, country, sort, items } = validationResult.data;
+    const ids = items.map(item => item.id);
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'Duplicate item ids', {
+        details: Array.from(new Set(duplicates)),
       });
     }
+
+    const results: Record<string, ResolveResponse> = {};
+    const errors: Record<string, ErrorResponse> = {};
+
+    await mapWithConcurrency(items, BATCH_CONCURRENCY, async ({ id, ...item }) => {
+      const itemResult = resolveRequestSchema.safeParse({ ...item, zip, country, sort: item.sort ?? sort });
+      if (!itemResult.success) {
+        errors[id] = { error: 'Invalid request format', code: 'INVALID_REQUEST', details: itemResult.error.issues };
+        return;
+      }
+
+      const trace = batchTrace.child();
+      try {
+        results[id] = await resolveProduct(itemResult.data, { trace });
+      } catch (error) {
+        console.error(`Batch resolve error for item ${id}:`, error);
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        errors[id] = { error: 'Internal server error', code: 'INTERNAL_ERROR', message };
+        await storage.createResolveRequest({
+          ...itemResult.data,
+          ...trace.record(),
+          response: { error: message },
+          success: false,
+        }).catch(() => {});
+      }
+    });
+
+    res.json({
+      results,
+      errors,
+      requestId: batchTrace.requestId,
+      timestamp: new Date().toISOString(),
+    });
   });
 
   // Health check endpoint
-  app.get('/api/health', (req, res) => {
+  app.get('/api/health', async (req, res) => {
     res.json({ 
       status: 'ok', 
       timestamp: new Date().toISOString(),
-      cache: {
-        entries: resolveCache.size,
-        ttl: CACHE_TTL / 1000,
-      },
+      cache: await getResolveCacheStats(),
+      upstreams: getProviderHealth(),
     });
   });
 
-  // Get recent resolve requests (for debugging)
-  app.get('/api/resolve/recent', async (req, res) => {
+  // Prometheus scrape target
+  app.get('/metrics', async (req, res) => {
     try {
-      const requests = await storage.getRecentResolveRequests(20);
-      res.json(requests);
+      res.type('text/plain; version=0.0.4').send(await renderMetrics());
     } catch (error) {
-      res.status(500).json({
-        error: 'Failed to fetch requests',
-        message: error instanceof Error ? error.message : 'Unknown error',
-      });
+      sendServerError(res, 'Failed to collect metrics', error);
     }
   });
 
-  // Clear cache endpoint (for testing)
-  app.delete('/api/cache', (req, res) => {
-    resolveCache.clear();
-    res.json({ message: 'Cache cleared' });
-  });
-
-  // Serve static files from extension directory for testing
-  app.use('/extension', express.static('extension'));
-  
-  // Serve test UI components page
-  app.get('/test-ui-components.html', (req, res) => {
-    res.sendFile('test-ui-components.html', { root: '.' });
+  // Guard policies: built-in defaults plus stored global/platform/chain overrides
+  app.get('/api/guards', requireAdminKey, async (req, res) => {
+    try {
+      const policies = await storage.getGuardPolicies();
+      res.json({ defaults: DEFAULT_GUARD_THRESHOLDS, policies });
+    } catch (error) {
+      sendServerError(res, 'Failed to fetch guard policies', error);
+    }
   });
 
-  const httpServer = createServer(app);
-  return httpServer;
-}
-
-// -----------------------------
-// Backend proxy helper functions
-// -----------------------------
-
-function milesToKm(miles: number) {
-  return miles * 1.60934;
-}
+  // Create or replace a policy; omitted thresholds inherit from the broader scope
+  app.put('/api/guards/:scope/:scopeKey', requireAdminKey, async (req, res) => {
+    try {
+      const { scope } = req.params;
+      const scopeKey = scope === 'global' ? '*' : req.params.scopeKey.toLowerCase();
+      const validationResult = insertGuardPolicySchema.safeParse({ ...req.body, scope, scopeKey });
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid guard policy', {
+          details: validationResult.error.issues,
+        });
+      }
 
-function parseEtaToMinutes(eta?: string | number | null): number | undefined {
-  if (typeof eta === 'number') return eta;
-  if (!eta || typeof eta !== 'string') return undefined;
-  const m = eta.toLowerCase().match(/(\d+)\s*(min|minute|minutes|hour|hours|hr|hrs)/);
-  if (!m) return undefined;
-  const n = parseInt(m[1], 10);
-  const unit = m[2];
-  if (unit.startsWith('min')) return n;
-  return n * 60;
-}
+      const { record, created } = await storage.upsertGuardPolicy(validationResult.data);
+      await clearResolveCache();
+      res.status(created ? 201 : 200).json(record);
+    } catch (error) {
+      sendServerError(res, 'Failed to save guard policy', error);
+    }
+  });
 
-function zipToLatLon(zip?: string) {
-  // Minimal map for testing; extend as needed
-  const map: Record<string, { lat: number; lon: number }> = {
-    '94103': { lat: 37.7725, lon: -122.4091 },
-    '94107': { lat: 37.7609, lon: -122.4015 },
-    '10001': { lat: 40.7506, lon: -73.9970 },
-  };
-  if (!zip) return undefined;
-  return map[zip];
-}
+  app.delete('/api/guards/:scope/:scopeKey', requireAdminKey, async (req, res) => {
+    try {
+      const { scope } = req.params;
+      if (!(guardScopes as readonly string[]).includes(scope)) {
+        return sendError(res, 400, 'INVALID_REQUEST', `Unknown guard scope: ${scope}`);
+      }
 
-async function resolveViaBackend(request: z.infer<typeof resolveRequestSchema>): Promise<ResolveResponse | null> {
-  try {
-    const candidates: string[] = [];
-    const g = request.identifiers.gtin || request.identifiers.upc || request.identifiers.ean;
-    const a = request.identifiers.asin;
-    if (g) {
-      candidates.push(`gtin::${g}`, g);
-    }
-    if (a) {
-      candidates.push(`asin::${a}`, a);
-    }
-    if (candidates.length === 0) return null;
-
-    const loc = zipToLatLon(request.zip);
-    if (!loc) return null;
-
-  // Use a wider radius to improve hit rate for live backend queries
-  const radiusKm = 25;
-
-    const base = BACKEND_BASE.replace(/\/$/, '');
-    const headersJson: Record<string, string> = { 'Content-Type': 'application/json' };
-    if (BACKEND_API_KEY) headersJson['X-API-Key'] = BACKEND_API_KEY;
-
-    let backendOffers: any[] = [];
-    // 1) Try /api/resolve with zip (no API key required per docs)
-    for (const pid of candidates) {
-      const urlResolve = `${base}/api/resolve`;
-      const body = { product_id: pid, zip: request.zip } as any;
-      const resp = await fetch(urlResolve, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-      if (resp.ok) {
-        const data = await resp.json().catch(() => ({ offers: [] }));
-        const offersArr: any[] = Array.isArray(data?.offers) ? data.offers : [];
-        if (offersArr.length > 0) { backendOffers = offersArr; break; }
+      const scopeKey = scope === 'global' ? '*' : req.params.scopeKey.toLowerCase();
+      const deleted = await storage.deleteGuardPolicy(scope, scopeKey);
+      if (!deleted) {
+        return sendError(res, 404, 'NOT_FOUND', 'Guard policy not found');
       }
+
+      await clearResolveCache();
+      res.json({ message: 'Guard policy deleted' });
+    } catch (error) {
+      sendServerError(res, 'Failed to delete guard policy', error);
     }
+  });
 
-    // 2) Fallback to /v1/offers with lat/lon
-    if (backendOffers.length === 0) {
-      for (const pid of candidates) {
-        const urlOffers = `${base}/v1/offers`;
-        const body = { product_id: pid, lat: loc.lat, lon: loc.lon, radius_km: radiusKm } as any;
-        const resp = await fetch(urlOffers, { method: 'POST', headers: headersJson, body: JSON.stringify(body) });
-        if (!resp.ok) continue;
-        const data = await resp.json().catch(() => ({ offers: [] }));
-        const offersArr: any[] = Array.isArray(data?.offers) ? data.offers : [];
-        if (offersArr.length > 0) { backendOffers = offersArr; break; }
-      }
+  // Get recent resolve requests (for debugging)
+  app.get('/api/resolve/recent', requireAdminKey, async (req, res) => {
+    try {
+      const requests = await storage.getRecentResolveRequests(20);
+      res.json(requests);
+    } catch (error) {
+      sendServerError(res, 'Failed to fetch requests', error);
     }
+  });
 
-    if (backendOffers.length === 0) return null;
-
-    // Map backend offer shape (documented) -> our internal list entries
-    const mapped: any[] = [];
-    backendOffers.forEach((o: any, idx: number) => {
-      const store = o.store || {};
-      const storeName = store.name || 'Unknown';
-      const storeChain = store.retailer || store.chain || 'unknown';
-      const distanceMiles = typeof o.distance_km === 'number' ? (o.distance_km / 1.60934) : 0;
-      const priceStr = typeof o.price_cents === 'number' ? `$${(o.price_cents / 100).toFixed(2)}` : (o.price || '');
-      const lastSeen = o.last_checked || new Date().toISOString();
-      const deepLink = o.deep_link || o.url;
-      const confidence = typeof o.confidence === 'number' ? o.confidence : 1;
-      const trustScore = Math.round(Math.max(0, Math.min(1, confidence)) * 100);
-
-      // pickup entry
-      if (o.pickup?.available) {
-        const etaMin = typeof o.pickup.eta_min === 'number' ? o.pickup.eta_min : undefined;
-        mapped.push({
-          id: o.id || `backend-${idx}-p`,
-          storeName,
-          storeChain,
-          address: '',
-          distance: distanceMiles ? `${distanceMiles.toFixed(1)} mi` : '0 mi',
-          distanceMiles: Number(distanceMiles || 0),
-          availabilityType: 'pickup',
-          eta: typeof etaMin === 'number' ? `${etaMin} min` : 'Unknown',
-          etaMinutes: typeof etaMin === 'number' ? etaMin : 0,
-          price: priceStr,
-          currency: 'USD',
-          lastSeen: lastSeen,
-          deepLink,
-          inStock: true,
-          stockLevel: undefined,
-          // fields for guards
-          margin: 100,
-          trustScore,
-          isEligible: true,
+  // Per-store price and stock history for a product
+  app.get('/api/products/:id/history', requireAdminKey, async (req, res) => {
+    try {
+      const validationResult = productHistoryQuerySchema.safeParse(req.query);
+      if (!validationResult.success) {
+        return sendError(res, 400, 'INVALID_REQUEST', 'Invalid history query', {
+          details: validationResult.error.issues,
         });
       }
 
-      // delivery entry
-      if (o.delivery?.available) {
-        const etaMin = typeof o.delivery.eta_min === 'number' ? o.delivery.eta_min : undefined;
-        mapped.push({
-          id: o.id || `backend-${idx}-d`,
-          storeName,
-          storeChain,
-          address: '',
-          distance: distanceMiles ? `${distanceMiles.toFixed(1)} mi` : '0 mi',
-          distanceMiles: Number(distanceMiles || 0),
-          availabilityType: 'delivery',
-          eta: typeof etaMin === 'number' ? `${etaMin} min` : 'Unknown',
-          etaMinutes: typeof etaMin === 'number' ? etaMin : 0,
-          price: priceStr,
-          currency: 'USD',
-          lastSeen: lastSeen,
-          deepLink,
-          inStock: true,
-          stockLevel: undefined,
-          // fields for guards
-          margin: 100,
-          trustScore,
-          isEligible: true,
-        });
+      const history = await getProductHistory(req.params.id, validationResult.data.days);
+      if (!history) {
+        return sendError(res, 404, 'UNKNOWN_PRODUCT', 'Product not found');
       }
-    });
+      res.json(history);
+    } catch (error) {
+      sendServerError(res, 'Failed to fetch product history', error);
+    }
+  });
 
-  const filtered = applyGuardFilters(mapped).map(({ margin, trustScore, isEligible, ...rest }) => rest);
+  // Clear cache endpoint
+  app.delete('/api/cache', requireAdminKey, async (req, res) => {
+    await clearResolveCache();
+    res.json({ message: 'Cache cleared' });
+  });
 
-    if (filtered.length === 0) return null;
+  // Serve static files from extension directory for testing
+  app.use('/extension', express.static('extension'));
+  
+  // Serve test UI components page
+  app.get('/test-ui-components.html', (req, res) => {
+    res.sendFile('test-ui-components.html', { root: '.' });
+  });
 
-    const prioritized = prioritizeOffers(filtered);
-    const response: ResolveResponse = {
-      eligible: true,
-      offers: prioritized,
-      cached: false,
-      timestamp: new Date().toISOString(),
-    };
-    return response;
-  } catch (e) {
-    return null;
-  }
+  const httpServer = createServer(app);
+  attachLiveUpdates(httpServer);
+  scheduleRetentionPurge(httpServer);
+  return httpServer;
 }
@@ -1,4 +1,11 @@
 import { 
+  users,
+  products,
+  stores,
+  offers,
+  offerSnapshots,
+  resolveRequests,
+  guardPolicies,
   type User, 
   type InsertUser, 
   type Product, 
@@ -7,11 +14,84 @@ import {
   type InsertStore,
   type Offer,
   type InsertOffer,
+  type OfferSnapshot,
+  type InsertOfferSnapshot,
   type ResolveRequestRecord,
   type ResolveRequest,
+  type ResolveSource,
+  type ResolveTimings,
+  type GuardPolicy,
+  type InsertGuardPolicy,
+  apiKeys,
+  type ApiKey,
+  type InsertApiKey,
   type ResolveResponse 
 } from "@shared/schema";
-import { randomUUID } from "crypto";
+import { CURRENCY_BY_COUNTRY, DEFAULT_COUNTRY } from "@shared/locale";
+import { randomUUID, createHash } from "crypto";
+import { and, asc, count, desc, eq, gte, isNull, lt, or, type SQL } from "drizzle-orm";
+import { getDb } from "./db";
+import { storageEvents } from "./events";
+import { redactRequestLog } from "./redaction";
+
+// One resolve request as logged, with the answer (or error) it got
+export type ResolveRequestLog = ResolveRequest & {
+  response?: any;
+  success?: boolean;
+  source?: ResolveSource;
+  // Tracing metadata, see RequestTrace.record()
+  requestId?: string;
+  userAgent?: string | null;
+  clientVersion?: string | null;
+  installId?: string | null;
+  latencyMs?: number;
+  timings?: ResolveTimings;
+};
+
+// Identifiers an incoming product is matched on (see getProductByIdentifiers)
+function productIdentifiers(product: InsertProduct): Record<string, string> {
+  const identifiers: Record<string, string> = {};
+  if (product.gtin) identifiers.gtin = product.gtin;
+  if (product.asin) identifiers.asin = product.asin;
+  if (product.sku) identifiers.sku = product.sku;
+  return identifiers;
+}
+
+// Price and stock are what offer history tracks
+function offerStateChanged(before: Offer, after: Offer): boolean {
+  return before.price !== after.price ||
+    (before.inStock ?? true) !== (after.inStock ?? true) ||
+    (before.stockLevel ?? null) !== (after.stockLevel ?? null);
+}
+
+// Offers ingested without a currency are priced in their store's country's
+function storeCurrency(store?: Store): string {
+  return CURRENCY_BY_COUNTRY[store?.country ?? DEFAULT_COUNTRY];
+}
+
+function snapshotOf(offer: Offer, recordedAt = new Date()): InsertOfferSnapshot {
+  return {
+    offerId: offer.id,
+    productId: offer.productId,
+    storeId: offer.storeId,
+    availabilityType: offer.availabilityType,
+    price: offer.price,
+    currency: offer.currency,
+    inStock: offer.inStock ?? true,
+    stockLevel: offer.stockLevel,
+    recordedAt,
+  };
+}
+
+export interface UpsertResult<T> {
+  record: T;
+  created: boolean;
+}
+
+export type TableCounts = Record<
+  "products" | "stores" | "offers" | "offerSnapshots" | "resolveRequests" | "guardPolicies" | "apiKeys",
+  number
+>;
 
 export interface IStorage {
   getUser(id: string): Promise<User | undefined>;
@@ -20,13 +100,19 @@ export interface IStorage {
   
   // Product methods
   getProduct(id: string): Promise<Product | undefined>;
-  getProductByIdentifiers(identifiers: Record<string, string>): Promise<Product | undefined>;
+  // Matches by precedence: GTIN-14, then ASIN, then SKU on the same platform.
+  // Identifiers are expected canonicalized (see canonicalizeIdentifiers).
+  getProductByIdentifiers(identifiers: Record<string, string>, platform: string): Promise<Product | undefined>;
   createProduct(product: InsertProduct): Promise<Product>;
+  // Matches like getProductByIdentifiers
+  upsertProduct(product: InsertProduct): Promise<UpsertResult<Product>>;
   
   // Store methods
   getStore(id: string): Promise<Store | undefined>;
   getStoresByChain(chain: string): Promise<Store[]>;
   createStore(store: InsertStore): Promise<Store>;
+  // Matches on chain + address
+  upsertStore(store: InsertStore): Promise<UpsertResult<Store>>;
   
   // Offer methods
   getOffer(id: string): Promise<Offer | undefined>;
@@ -34,10 +120,36 @@ export interface IStorage {
   getOffersByStore(storeId: string): Promise<Offer[]>;
   createOffer(offer: InsertOffer): Promise<Offer>;
   updateOfferStock(id: string, inStock: boolean, stockLevel?: number): Promise<Offer | undefined>;
+  // Matches on product + store + availability type
+  upsertOffer(offer: InsertOffer): Promise<UpsertResult<Offer>>;
+  // Snapshots of the product's offers, oldest first (see offerSnapshots)
+  getOfferSnapshots(productId: string): Promise<OfferSnapshot[]>;
   
   // Resolve request methods
-  createResolveRequest(request: ResolveRequest & { response?: any; success?: boolean }): Promise<ResolveRequestRecord>;
+  createResolveRequest(request: ResolveRequestLog): Promise<ResolveRequestRecord>;
   getRecentResolveRequests(limit?: number): Promise<ResolveRequestRecord[]>;
+  // Oldest first, createdAt in [from, to)
+  getResolveRequestsBetween(from: Date, to: Date): Promise<ResolveRequestRecord[]>;
+  // Oldest first
+  getResolveRequestsByInstallId(installId: string): Promise<ResolveRequestRecord[]>;
+  // The deletes return how many records they removed
+  deleteResolveRequestsByInstallId(installId: string): Promise<number>;
+  deleteResolveRequestsBefore(cutoff: Date): Promise<number>;
+
+  // Guard policy methods
+  getGuardPolicies(): Promise<GuardPolicy[]>;
+  // Matches on scope + scope key
+  upsertGuardPolicy(policy: InsertGuardPolicy): Promise<UpsertResult<GuardPolicy>>;
+  deleteGuardPolicy(scope: string, scopeKey: string): Promise<boolean>;
+
+  // API key methods
+  getApiKeys(): Promise<ApiKey[]>;
+  getApiKeyByHash(keyHash: string): Promise<ApiKey | undefined>;
+  createApiKey(apiKey: InsertApiKey): Promise<ApiKey>;
+  updateApiKey(id: string, updates: Partial<InsertApiKey>): Promise<ApiKey | undefined>;
+
+  // Row counts per table, for monitoring
+  getTableCounts(): Promise<TableCounts>;
 }
 
 export class MemStorage implements IStorage {
@@ -45,14 +157,20 @@ export class MemStorage implements IStorage {
   private products: Map<string, Product>;
   private stores: Map<string, Store>;
   private offers: Map<string, Offer>;
+  private offerSnapshots: OfferSnapshot[];
   private resolveRequests: Map<string, ResolveRequestRecord>;
+  private guardPolicies: Map<string, GuardPolicy>;
+  private apiKeys: Map<string, ApiKey>;
 
   constructor() {
     this.users = new Map();
     this.products = new Map();
     this.stores = new Map();
     this.offers = new Map();
+    this.offerSnapshots = [];
     this.resolveRequests = new Map();
+    this.guardPolicies = new Map();
+    this.apiKeys = new Map();
     
     // Initialize with sample data
     this.initializeSampleData();
@@ -70,6 +188,17 @@ export class MemStorage implements IStorage {
       latitude: "40.7505",
       longitude: "-73.9934",
       phone: "(212) 555-0123",
+      timezone: "America/New_York",
+      hours: {
+        mon: [{ open: "10:00", close: "21:00" }],
+        tue: [{ open: "10:00", close: "21:00" }],
+        wed: [{ open: "10:00", close: "21:00" }],
+        thu: [{ open: "10:00", close: "21:00" }],
+        fri: [{ open: "10:00", close: "21:00" }],
+        sat: [{ open: "10:00", close: "21:00" }],
+        sun: [{ open: "11:00", close: "19:00" }],
+      },
+      holidays: [{ date: "2026-12-25", name: "Christmas Day", hours: [] }],
       isActive: true,
     });
 
@@ -83,6 +212,16 @@ export class MemStorage implements IStorage {
       latitude: "40.7414",
       longitude: "-73.9962",
       phone: "(212) 555-0456",
+      timezone: "America/New_York",
+      hours: {
+        mon: [{ open: "08:00", close: "22:00" }],
+        tue: [{ open: "08:00", close: "22:00" }],
+        wed: [{ open: "08:00", close: "22:00" }],
+        thu: [{ open: "08:00", close: "22:00" }],
+        fri: [{ open: "08:00", close: "22:00" }],
+        sat: [{ open: "08:00", close: "22:00" }],
+        sun: [{ open: "08:00", close: "22:00" }],
+      },
       isActive: true,
     });
 
@@ -96,12 +235,22 @@ export class MemStorage implements IStorage {
       latitude: "38.9531",
       longitude: "-77.0329",
       phone: "(202) 555-0789",
+      timezone: "America/New_York",
+      hours: {
+        mon: [{ open: "06:00", close: "23:00" }],
+        tue: [{ open: "06:00", close: "23:00" }],
+        wed: [{ open: "06:00", close: "23:00" }],
+        thu: [{ open: "06:00", close: "23:00" }],
+        fri: [{ open: "06:00", close: "23:00" }],
+        sat: [{ open: "06:00", close: "23:00" }],
+        sun: [{ open: "06:00", close: "23:00" }],
+      },
       isActive: true,
     });
 
     // Sample product
     const headphones = await this.createProduct({
-      gtin: "027242920156",
+      gtin: "00027242920156",
       upc: "027242920156",
       asin: "B0BXQBHL5D",
       brand: "Sony",
@@ -120,7 +269,7 @@ export class MemStorage implements IStorage {
     });
 
     // Sample offers
-    await this.createOffer({
+    const bestBuyOffer = await this.createOffer({
       productId: headphones.id,
       storeId: bestBuyStore.id,
       price: "$329.99",
@@ -174,6 +323,19 @@ export class MemStorage implements IStorage {
       isEligible: true,
     });
 
+    // A week of earlier history for the Best Buy offer: a sell-out, a restock
+    // and a price drop to today's $329.99
+    const sampleHistory: [number, string, boolean, number][] = [
+      [7, "$349.99", true, 6],
+      [5, "$349.99", false, 0],
+      [4, "$349.99", true, 8],
+      [2, "$339.99", true, 7],
+    ];
+    for (const [daysAgo, price, inStock, stockLevel] of sampleHistory) {
+      const recordedAt = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+      this.recordSnapshot(snapshotOf({ ...bestBuyOffer, price, inStock, stockLevel }, recordedAt));
+    }
+
     // Additional sample: Tide Free & Gentle (matches your recent Amazon test ASIN)
     const tide = await this.createProduct({
       gtin: null,
@@ -226,6 +388,18 @@ export class MemStorage implements IStorage {
       trustScore: 85,
       isEligible: true,
     });
+
+    // Development client key; its plaintext is public, so only development
+    // servers (or SEED_DEV_API_KEY=true) accept it
+    if (process.env.NODE_ENV !== "development" && process.env.SEED_DEV_API_KEY !== "true") return;
+    await this.createApiKey({
+      name: "Development",
+      keyPrefix: "ls_dev_s",
+      keyHash: createHash("sha256").update("ls_dev_sample_key").digest("hex"),
+      rateLimitPerMinute: 120,
+      dailyQuota: 10000,
+      isActive: true,
+    });
   }
 
   // User methods
@@ -251,16 +425,15 @@ export class MemStorage implements IStorage {
     return this.products.get(id);
   }
 
-  async getProductByIdentifiers(identifiers: Record<string, string>): Promise<Product | undefined> {
-    return Array.from(this.products.values()).find(product => {
-      // Check if any identifier matches
-      for (const [key, value] of Object.entries(identifiers)) {
-        if (product[key as keyof Product] === value) {
-          return true;
-        }
-      }
-      return false;
-    });
+  async getProductByIdentifiers(identifiers: Record<string, string>, platform: string): Promise<Product | undefined> {
+    const all = Array.from(this.products.values());
+    return (
+      (identifiers.gtin ? all.find(product => product.gtin === identifiers.gtin) : undefined) ||
+      (identifiers.asin ? all.find(product => product.asin === identifiers.asin) : undefined) ||
+      (identifiers.sku
+        ? all.find(product => product.sku === identifiers.sku && product.platform === platform)
+        : undefined)
+    );
   }
 
   async createProduct(insertProduct: InsertProduct): Promise<Product> {
@@ -287,6 +460,24 @@ export class MemStorage implements IStorage {
     return product;
   }
 
+  async upsertProduct(insertProduct: InsertProduct): Promise<UpsertResult<Product>> {
+    const existing = await this.getProductByIdentifiers(productIdentifiers(insertProduct), insertProduct.platform);
+
+    if (!existing) {
+      return { record: await this.createProduct(insertProduct), created: true };
+    }
+
+    const updated: Product = {
+      ...existing,
+      ...insertProduct,
+      images: (insertProduct.images as string[] | undefined) ?? existing.images,
+      id: existing.id,
+      updatedAt: new Date(),
+    };
+    this.products.set(existing.id, updated);
+    return { record: updated, created: false };
+  }
+
   // Store methods
   async getStore(id: string): Promise<Store | undefined> {
     return this.stores.get(id);
@@ -304,12 +495,30 @@ export class MemStorage implements IStorage {
       latitude: insertStore.latitude || null,
       longitude: insertStore.longitude || null,
       phone: insertStore.phone || null,
-      isActive: insertStore.isActive || null,
+      country: insertStore.country ?? "US",
+      timezone: insertStore.timezone ?? null,
+      hours: insertStore.hours ?? null,
+      holidays: insertStore.holidays ?? null,
+      isActive: insertStore.isActive ?? true,
     };
     this.stores.set(id, store);
     return store;
   }
 
+  async upsertStore(insertStore: InsertStore): Promise<UpsertResult<Store>> {
+    const existing = Array.from(this.stores.values()).find(
+      store => store.chain === insertStore.chain && store.address === insertStore.address,
+    );
+
+    if (!existing) {
+      return { record: await this.createStore(insertStore), created: true };
+    }
+
+    const updated: Store = { ...existing, ...insertStore, id: existing.id };
+    this.stores.set(existing.id, updated);
+    return { record: updated, created: false };
+  }
+
   // Offer methods
   async getOffer(id: string): Promise<Offer | undefined> {
     return this.offers.get(id);
@@ -334,19 +543,20 @@ export class MemStorage implements IStorage {
       updatedAt: now,
       productId: insertOffer.productId || null,
       storeId: insertOffer.storeId || null,
-      currency: insertOffer.currency || null,
+      currency: insertOffer.currency ?? storeCurrency(insertOffer.storeId ? this.stores.get(insertOffer.storeId) : undefined),
       eta: insertOffer.eta || null,
       etaMinutes: insertOffer.etaMinutes || null,
       distance: insertOffer.distance || null,
       distanceMiles: insertOffer.distanceMiles || null,
-      inStock: insertOffer.inStock || null,
-      stockLevel: insertOffer.stockLevel || null,
+      inStock: insertOffer.inStock ?? true,
+      stockLevel: insertOffer.stockLevel ?? null,
       deepLink: insertOffer.deepLink || null,
       margin: insertOffer.margin || null,
-      trustScore: insertOffer.trustScore || null,
-      isEligible: insertOffer.isEligible || null,
+      trustScore: insertOffer.trustScore ?? 100,
+      isEligible: insertOffer.isEligible ?? true,
     };
     this.offers.set(id, offer);
+    this.recordSnapshot(snapshotOf(offer));
     return offer;
   }
 
@@ -363,11 +573,61 @@ export class MemStorage implements IStorage {
     };
     
     this.offers.set(id, updatedOffer);
+    if (offerStateChanged(offer, updatedOffer)) {
+      this.recordSnapshot(snapshotOf(updatedOffer));
+    }
     return updatedOffer;
   }
 
+  async upsertOffer(insertOffer: InsertOffer): Promise<UpsertResult<Offer>> {
+    const existing = Array.from(this.offers.values()).find(offer =>
+      offer.productId === (insertOffer.productId ?? null) &&
+      offer.storeId === (insertOffer.storeId ?? null) &&
+      offer.availabilityType === insertOffer.availabilityType
+    );
+
+    if (!existing) {
+      return { record: await this.createOffer(insertOffer), created: true };
+    }
+
+    const now = new Date();
+    const updated: Offer = {
+      ...existing,
+      ...insertOffer,
+      id: existing.id,
+      lastSeen: now,
+      updatedAt: now,
+    };
+    this.offers.set(existing.id, updated);
+    if (offerStateChanged(existing, updated)) {
+      this.recordSnapshot(snapshotOf(updated, now));
+    }
+    return { record: updated, created: false };
+  }
+
+  async getOfferSnapshots(productId: string): Promise<OfferSnapshot[]> {
+    return this.offerSnapshots
+      .filter(snapshot => snapshot.productId === productId)
+      .sort((a, b) => a.recordedAt.getTime() - b.recordedAt.getTime());
+  }
+
+  private recordSnapshot(insertSnapshot: InsertOfferSnapshot) {
+    const snapshot: OfferSnapshot = {
+      ...insertSnapshot,
+      id: randomUUID(),
+      productId: insertSnapshot.productId ?? null,
+      storeId: insertSnapshot.storeId ?? null,
+      currency: insertSnapshot.currency ?? "USD",
+      stockLevel: insertSnapshot.stockLevel ?? null,
+      recordedAt: insertSnapshot.recordedAt ?? new Date(),
+    };
+    this.offerSnapshots.push(snapshot);
+    storageEvents.emit("offerChanged", snapshot);
+  }
+
   // Resolve request methods
-  async createResolveRequest(request: ResolveRequest & { response?: any; success?: boolean }): Promise<ResolveRequestRecord> {
+  async createResolveRequest(log: ResolveRequestLog): Promise<ResolveRequestRecord> {
+    const request = redactRequestLog(log);
     const id = randomUUID();
     const resolveRequest: ResolveRequestRecord = {
       id,
@@ -381,12 +641,20 @@ export class MemStorage implements IStorage {
       platform: request.platform,
       url: request.url,
       zipCode: request.zip || null,
-      userAgent: null,
+      country: request.country ?? null,
+      userAgent: request.userAgent ?? null,
+      clientVersion: request.clientVersion ?? null,
+      installId: request.installId ?? null,
+      requestId: request.requestId ?? null,
       response: request.response || null,
       success: request.success || false,
+      source: request.source ?? null,
+      latencyMs: request.latencyMs ?? null,
+      timings: request.timings ?? null,
       createdAt: new Date(),
     };
     this.resolveRequests.set(id, resolveRequest);
+    storageEvents.emit("resolveRequestCreated", resolveRequest);
     return resolveRequest;
   }
 
@@ -395,6 +663,457 @@ export class MemStorage implements IStorage {
       .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0))
       .slice(0, limit);
   }
+
+  async getResolveRequestsBetween(from: Date, to: Date): Promise<ResolveRequestRecord[]> {
+    return Array.from(this.resolveRequests.values())
+      .filter(record => record.createdAt && record.createdAt >= from && record.createdAt < to)
+      .sort((a, b) => a.createdAt!.getTime() - b.createdAt!.getTime());
+  }
+
+  async getResolveRequestsByInstallId(installId: string): Promise<ResolveRequestRecord[]> {
+    return Array.from(this.resolveRequests.values())
+      .filter(record => record.installId === installId)
+      .sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+  }
+
+  async deleteResolveRequestsByInstallId(installId: string): Promise<number> {
+    return this.deleteResolveRequestsWhere(record => record.installId === installId);
+  }
+
+  async deleteResolveRequestsBefore(cutoff: Date): Promise<number> {
+    return this.deleteResolveRequestsWhere(record => !record.createdAt || record.createdAt < cutoff);
+  }
+
+  private deleteResolveRequestsWhere(matches: (record: ResolveRequestRecord) => boolean): number {
+    let deleted = 0;
+    for (const record of Array.from(this.resolveRequests.values())) {
+      if (matches(record)) {
+        this.resolveRequests.delete(record.id);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  // Guard policy methods
+  async getGuardPolicies(): Promise<GuardPolicy[]> {
+    return Array.from(this.guardPolicies.values());
+  }
+
+  async upsertGuardPolicy(insertPolicy: InsertGuardPolicy): Promise<UpsertResult<GuardPolicy>> {
+    const existing = Array.from(this.guardPolicies.values()).find(
+      policy => policy.scope === insertPolicy.scope && policy.scopeKey === insertPolicy.scopeKey,
+    );
+
+    const policy: GuardPolicy = {
+      id: existing?.id ?? randomUUID(),
+      scope: insertPolicy.scope,
+      scopeKey: insertPolicy.scopeKey,
+      minMargin: insertPolicy.minMargin ?? null,
+      minTrustScore: insertPolicy.minTrustScore ?? null,
+      maxEtaMinutes: insertPolicy.maxEtaMinutes ?? null,
+      maxDistanceMiles: insertPolicy.maxDistanceMiles ?? null,
+      minOpenMinutes: insertPolicy.minOpenMinutes ?? null,
+      updatedAt: new Date(),
+    };
+    this.guardPolicies.set(policy.id, policy);
+    return { record: policy, created: !existing };
+  }
+
+  async deleteGuardPolicy(scope: string, scopeKey: string): Promise<boolean> {
+    const existing = Array.from(this.guardPolicies.values()).find(
+      policy => policy.scope === scope && policy.scopeKey === scopeKey,
+    );
+    if (!existing) return false;
+    return this.guardPolicies.delete(existing.id);
+  }
+
+  // API key methods
+  async getApiKeys(): Promise<ApiKey[]> {
+    return Array.from(this.apiKeys.values());
+  }
+
+  async getApiKeyByHash(keyHash: string): Promise<ApiKey | undefined> {
+    return Array.from(this.apiKeys.values()).find(apiKey => apiKey.keyHash === keyHash);
+  }
+
+  async createApiKey(insertApiKey: InsertApiKey): Promise<ApiKey> {
+    const apiKey: ApiKey = {
+      ...insertApiKey,
+      id: randomUUID(),
+      rateLimitPerMinute: insertApiKey.rateLimitPerMinute ?? 60,
+      dailyQuota: insertApiKey.dailyQuota ?? 5000,
+      isActive: insertApiKey.isActive ?? true,
+      createdAt: new Date(),
+    };
+    this.apiKeys.set(apiKey.id, apiKey);
+    return apiKey;
+  }
+
+  async updateApiKey(id: string, updates: Partial<InsertApiKey>): Promise<ApiKey | undefined> {
+    const existing = this.apiKeys.get(id);
+    if (!existing) return undefined;
+    const updated: ApiKey = { ...existing, ...updates, id };
+    this.apiKeys.set(id, updated);
+    return updated;
+  }
+
+  async getTableCounts(): Promise<TableCounts> {
+    return {
+      products: this.products.size,
+      stores: this.stores.size,
+      offers: this.offers.size,
+      offerSnapshots: this.offerSnapshots.length,
+      resolveRequests: this.resolveRequests.size,
+      guardPolicies: this.guardPolicies.size,
+      apiKeys: this.apiKeys.size,
+    };
+  }
+}
+
+export class DatabaseStorage implements IStorage {
+  private get db() {
+    return getDb();
+  }
+
+  // User methods
+  async getUser(id: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user;
+  }
+
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.username, username));
+    return user;
+  }
+
+  async createUser(insertUser: InsertUser): Promise<User> {
+    const [user] = await this.db.insert(users).values(insertUser).returning();
+    return user;
+  }
+
+  // Product methods
+  async getProduct(id: string): Promise<Product | undefined> {
+    const [product] = await this.db.select().from(products).where(eq(products.id, id));
+    return product;
+  }
+
+  async getProductByIdentifiers(identifiers: Record<string, string>, platform: string): Promise<Product | undefined> {
+    const candidates: SQL[] = [];
+    if (identifiers.gtin) candidates.push(eq(products.gtin, identifiers.gtin));
+    if (identifiers.asin) candidates.push(eq(products.asin, identifiers.asin));
+    if (identifiers.sku) candidates.push(and(eq(products.sku, identifiers.sku), eq(products.platform, platform))!);
+
+    // One query per identifier so a weaker match never shadows a stronger one
+    for (const condition of candidates) {
+      const [product] = await this.db.select().from(products).where(condition).limit(1);
+      if (product) return product;
+    }
+    return undefined;
+  }
+
+  async createProduct(insertProduct: InsertProduct): Promise<Product> {
+    const [product] = await this.db
+      .insert(products)
+      .values({ ...insertProduct, images: insertProduct.images as string[] | null | undefined })
+      .returning();
+    return product;
+  }
+
+  async upsertProduct(insertProduct: InsertProduct): Promise<UpsertResult<Product>> {
+    const existing = await this.getProductByIdentifiers(productIdentifiers(insertProduct), insertProduct.platform);
+
+    if (!existing) {
+      return { record: await this.createProduct(insertProduct), created: true };
+    }
+
+    const [product] = await this.db
+      .update(products)
+      .set({
+        ...insertProduct,
+        images: insertProduct.images as string[] | null | undefined,
+        updatedAt: new Date(),
+      })
+      .where(eq(products.id, existing.id))
+      .returning();
+    return { record: product, created: false };
+  }
+
+  // Store methods
+  async getStore(id: string): Promise<Store | undefined> {
+    const [store] = await this.db.select().from(stores).where(eq(stores.id, id));
+    return store;
+  }
+
+  async getStoresByChain(chain: string): Promise<Store[]> {
+    return this.db.select().from(stores).where(eq(stores.chain, chain));
+  }
+
+  async createStore(insertStore: InsertStore): Promise<Store> {
+    const [store] = await this.db.insert(stores).values(insertStore).returning();
+    return store;
+  }
+
+  async upsertStore(insertStore: InsertStore): Promise<UpsertResult<Store>> {
+    const [existing] = await this.db
+      .select()
+      .from(stores)
+      .where(and(eq(stores.chain, insertStore.chain), eq(stores.address, insertStore.address)))
+      .limit(1);
+
+    if (!existing) {
+      return { record: await this.createStore(insertStore), created: true };
+    }
+
+    const [store] = await this.db
+      .update(stores)
+      .set(insertStore)
+      .where(eq(stores.id, existing.id))
+      .returning();
+    return { record: store, created: false };
+  }
+
+  // Offer methods
+  async getOffer(id: string): Promise<Offer | undefined> {
+    const [offer] = await this.db.select().from(offers).where(eq(offers.id, id));
+    return offer;
+  }
+
+  async getOffersByProduct(productId: string): Promise<Offer[]> {
+    return this.db.select().from(offers).where(eq(offers.productId, productId));
+  }
+
+  async getOffersByStore(storeId: string): Promise<Offer[]> {
+    return this.db.select().from(offers).where(eq(offers.storeId, storeId));
+  }
+
+  async createOffer(insertOffer: InsertOffer): Promise<Offer> {
+    const currency = insertOffer.currency ??
+      storeCurrency(insertOffer.storeId ? await this.getStore(insertOffer.storeId) : undefined);
+    const [offer] = await this.db.insert(offers).values({ ...insertOffer, currency }).returning();
+    await this.recordSnapshot(snapshotOf(offer));
+    return offer;
+  }
+
+  async updateOfferStock(id: string, inStock: boolean, stockLevel?: number): Promise<Offer | undefined> {
+    const existing = await this.getOffer(id);
+    if (!existing) return undefined;
+
+    const now = new Date();
+    const [offer] = await this.db
+      .update(offers)
+      .set({
+        inStock,
+        ...(stockLevel !== undefined ? { stockLevel } : {}),
+        lastSeen: now,
+        updatedAt: now,
+      })
+      .where(eq(offers.id, id))
+      .returning();
+    if (offer && offerStateChanged(existing, offer)) {
+      await this.recordSnapshot(snapshotOf(offer, now));
+    }
+    return offer;
+  }
+
+  async upsertOffer(insertOffer: InsertOffer): Promise<UpsertResult<Offer>> {
+    if (!insertOffer.productId || !insertOffer.storeId) {
+      return { record: await this.createOffer(insertOffer), created: true };
+    }
+
+    const [existing] = await this.db
+      .select()
+      .from(offers)
+      .where(and(
+        eq(offers.productId, insertOffer.productId),
+        eq(offers.storeId, insertOffer.storeId),
+        eq(offers.availabilityType, insertOffer.availabilityType),
+      ))
+      .limit(1);
+
+    if (!existing) {
+      return { record: await this.createOffer(insertOffer), created: true };
+    }
+
+    const now = new Date();
+    const [offer] = await this.db
+      .update(offers)
+      .set({ ...insertOffer, lastSeen: now, updatedAt: now })
+      .where(eq(offers.id, existing.id))
+      .returning();
+    if (offerStateChanged(existing, offer)) {
+      await this.recordSnapshot(snapshotOf(offer, now));
+    }
+    return { record: offer, created: false };
+  }
+
+  async getOfferSnapshots(productId: string): Promise<OfferSnapshot[]> {
+    return this.db
+      .select()
+      .from(offerSnapshots)
+      .where(eq(offerSnapshots.productId, productId))
+      .orderBy(asc(offerSnapshots.recordedAt));
+  }
+
+  private async recordSnapshot(insertSnapshot: InsertOfferSnapshot) {
+    const [snapshot] = await this.db.insert(offerSnapshots).values(insertSnapshot).returning();
+    storageEvents.emit("offerChanged", snapshot);
+  }
+
+  // Resolve request methods
+  async createResolveRequest(log: ResolveRequestLog): Promise<ResolveRequestRecord> {
+    const request = redactRequestLog(log);
+    const [record] = await this.db
+      .insert(resolveRequests)
+      .values({
+        identifiers: request.identifiers,
+        brand: request.brand || null,
+        title: request.title || null,
+        variant: request.variant || null,
+        price: request.price || null,
+        currency: request.currency || null,
+        attributes: request.attributes || {},
+        platform: request.platform,
+        url: request.url,
+        zipCode: request.zip || null,
+        country: request.country ?? null,
+        userAgent: request.userAgent ?? null,
+        clientVersion: request.clientVersion ?? null,
+        installId: request.installId ?? null,
+        requestId: request.requestId ?? null,
+        response: request.response || null,
+        success: request.success || false,
+        source: request.source ?? null,
+        latencyMs: request.latencyMs ?? null,
+        timings: request.timings ?? null,
+      })
+      .returning();
+    storageEvents.emit("resolveRequestCreated", record);
+    return record;
+  }
+
+  async getRecentResolveRequests(limit: number = 50): Promise<ResolveRequestRecord[]> {
+    return this.db
+      .select()
+      .from(resolveRequests)
+      .orderBy(desc(resolveRequests.createdAt))
+      .limit(limit);
+  }
+
+  async getResolveRequestsBetween(from: Date, to: Date): Promise<ResolveRequestRecord[]> {
+    return this.db
+      .select()
+      .from(resolveRequests)
+      .where(and(gte(resolveRequests.createdAt, from), lt(resolveRequests.createdAt, to)))
+      .orderBy(asc(resolveRequests.createdAt));
+  }
+
+  async getResolveRequestsByInstallId(installId: string): Promise<ResolveRequestRecord[]> {
+    return this.db
+      .select()
+      .from(resolveRequests)
+      .where(eq(resolveRequests.installId, installId))
+      .orderBy(asc(resolveRequests.createdAt));
+  }
+
+  async deleteResolveRequestsByInstallId(installId: string): Promise<number> {
+    const deleted = await this.db
+      .delete(resolveRequests)
+      .where(eq(resolveRequests.installId, installId))
+      .returning({ id: resolveRequests.id });
+    return deleted.length;
+  }
+
+  async deleteResolveRequestsBefore(cutoff: Date): Promise<number> {
+    const deleted = await this.db
+      .delete(resolveRequests)
+      .where(or(lt(resolveRequests.createdAt, cutoff), isNull(resolveRequests.createdAt)))
+      .returning({ id: resolveRequests.id });
+    return deleted.length;
+  }
+
+  // Guard policy methods
+  async getGuardPolicies(): Promise<GuardPolicy[]> {
+    return this.db.select().from(guardPolicies);
+  }
+
+  async upsertGuardPolicy(insertPolicy: InsertGuardPolicy): Promise<UpsertResult<GuardPolicy>> {
+    const [existing] = await this.db
+      .select()
+      .from(guardPolicies)
+      .where(and(eq(guardPolicies.scope, insertPolicy.scope), eq(guardPolicies.scopeKey, insertPolicy.scopeKey)))
+      .limit(1);
+
+    // Omitted thresholds reset to null (inherit) so PUT replaces the whole policy
+    const values = {
+      scope: insertPolicy.scope,
+      scopeKey: insertPolicy.scopeKey,
+      minMargin: insertPolicy.minMargin ?? null,
+      minTrustScore: insertPolicy.minTrustScore ?? null,
+      maxEtaMinutes: insertPolicy.maxEtaMinutes ?? null,
+      maxDistanceMiles: insertPolicy.maxDistanceMiles ?? null,
+      minOpenMinutes: insertPolicy.minOpenMinutes ?? null,
+      updatedAt: new Date(),
+    };
+
+    if (!existing) {
+      const [policy] = await this.db.insert(guardPolicies).values(values).returning();
+      return { record: policy, created: true };
+    }
+
+    const [policy] = await this.db
+      .update(guardPolicies)
+      .set(values)
+      .where(eq(guardPolicies.id, existing.id))
+      .returning();
+    return { record: policy, created: false };
+  }
+
+  async deleteGuardPolicy(scope: string, scopeKey: string): Promise<boolean> {
+    const deleted = await this.db
+      .delete(guardPolicies)
+      .where(and(eq(guardPolicies.scope, scope), eq(guardPolicies.scopeKey, scopeKey)))
+      .returning();
+    return deleted.length > 0;
+  }
+
+  // API key methods
+  async getApiKeys(): Promise<ApiKey[]> {
+    return this.db.select().from(apiKeys).orderBy(apiKeys.createdAt);
+  }
+
+  async getApiKeyByHash(keyHash: string): Promise<ApiKey | undefined> {
+    const [apiKey] = await this.db.select().from(apiKeys).where(eq(apiKeys.keyHash, keyHash)).limit(1);
+    return apiKey;
+  }
+
+  async createApiKey(insertApiKey: InsertApiKey): Promise<ApiKey> {
+    const [apiKey] = await this.db.insert(apiKeys).values(insertApiKey).returning();
+    return apiKey;
+  }
+
+  async updateApiKey(id: string, updates: Partial<InsertApiKey>): Promise<ApiKey | undefined> {
+    const [apiKey] = await this.db.update(apiKeys).set(updates).where(eq(apiKeys.id, id)).returning();
+    return apiKey;
+  }
+
+  async getTableCounts(): Promise<TableCounts> {
+    const tables = { products, stores, offers, offerSnapshots, resolveRequests, guardPolicies, apiKeys };
+    const entries = await Promise.all(Object.entries(tables).map(async ([name, table]) => {
+      const [row] = await this.db.select({ rows: count() }).from(table);
+      return [name, row.rows] as const;
+    }));
+    return Object.fromEntries(entries) as TableCounts;
+  }
+}
+
+// STORAGE_DRIVER=postgres persists to DATABASE_URL; anything else keeps the
+// seeded in-memory store used for local development and tests.
+function createStorage(): IStorage {
+  if (process.env.STORAGE_DRIVER === "postgres") {
+    return new DatabaseStorage();
+  }
+  return new MemStorage();
 }
 
-export const storage = new MemStorage();
+export const storage = createStorage();
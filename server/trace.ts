@@ -0,0 +1,87 @@
+import { type Request, type Response, type NextFunction } from "express";
+import { randomUUID } from "crypto";
+import { performance } from "perf_hooks";
+import { type ResolveTimings } from "@shared/schema";
+
+export type TraceStage = "cache" | "storage" | "upstream";
+
+const STAGE_FIELDS: Record<TraceStage, keyof ResolveTimings> = {
+  cache: "cacheMs",
+  storage: "storageMs",
+  upstream: "upstreamMs",
+};
+
+// Extension install IDs are random UUIDs; anything else is ignored
+const INSTALL_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+export function installIdOf(req: Request): string | null {
+  const installId = req.header('X-Install-Id');
+  return installId && INSTALL_ID_PATTERN.test(installId) ? installId : null;
+}
+
+function roundMs(ms: number): number {
+  return Math.round(ms * 10) / 10;
+}
+
+// Timing and client metadata for one resolve, stored on its request record.
+// Items of a batch each get their own trace sharing the batch's request ID.
+export class RequestTrace {
+  private readonly startedAt = performance.now();
+  private readonly timings: ResolveTimings = { cacheMs: 0, storageMs: 0, upstreamMs: 0 };
+
+  constructor(
+    readonly requestId: string = randomUUID(),
+    readonly userAgent: string | null = null,
+    readonly clientVersion: string | null = null,
+    readonly installId: string | null = null,
+  ) {}
+
+  // A fresh trace for one item of the same HTTP request
+  child(): RequestTrace {
+    return new RequestTrace(this.requestId, this.userAgent, this.clientVersion, this.installId);
+  }
+
+  add(stage: TraceStage, ms: number) {
+    this.timings[STAGE_FIELDS[stage]] += ms;
+  }
+
+  async time<T>(stage: TraceStage, work: () => Promise<T>): Promise<T> {
+    const started = performance.now();
+    try {
+      return await work();
+    } finally {
+      this.add(stage, performance.now() - started);
+    }
+  }
+
+  // Fields for storage.createResolveRequest; latency is measured up to this call
+  record() {
+    return {
+      requestId: this.requestId,
+      userAgent: this.userAgent,
+      clientVersion: this.clientVersion,
+      installId: this.installId,
+      latencyMs: Math.round(performance.now() - this.startedAt),
+      timings: {
+        cacheMs: roundMs(this.timings.cacheMs),
+        storageMs: roundMs(this.timings.storageMs),
+        upstreamMs: roundMs(this.timings.upstreamMs),
+      },
+    };
+  }
+}
+
+// Starts a trace for the request and echoes its ID in X-Request-Id, set
+// before auth so rejected calls can be reported too. The extension sends
+// its version in X-Client-Version and its install ID in X-Install-Id.
+export function traceRequest(req: Request, res: Response, next: NextFunction) {
+  const trace = new RequestTrace(
+    randomUUID(),
+    req.header('User-Agent') ?? null,
+    req.header('X-Client-Version') ?? null,
+    installIdOf(req),
+  );
+  res.locals.trace = trace;
+  res.setHeader('X-Request-Id', trace.requestId);
+  next();
+}
@@ -0,0 +1,260 @@
+import { upstreamDuration, upstreamErrors } from "./metrics";
+
+// HTTP client for upstream offer services: per-attempt timeouts, limited
+// retries with exponential backoff, and a circuit breaker that fails fast
+// while an upstream is down.
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface UpstreamOptions {
+  timeoutMs: number;
+  retries: number; // extra attempts after the first
+  retryBaseDelayMs: number; // doubled per retry, plus jitter
+  failureThreshold: number; // consecutive failed attempts before opening
+  cooldownMs: number; // how long the circuit stays open before a trial call
+}
+
+export interface UpstreamHealth {
+  name: string;
+  baseUrl: string;
+  state: CircuitState;
+  consecutiveFailures: number;
+  lastError: { message: string; at: string } | null;
+  lastLatencyMs: number | null;
+  retryAt: string | null; // when an open circuit allows its next trial call
+}
+
+const DEFAULT_UPSTREAM_OPTIONS: UpstreamOptions = {
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 2000,
+  retries: process.env.UPSTREAM_RETRIES !== undefined ? Number(process.env.UPSTREAM_RETRIES) : 1,
+  retryBaseDelayMs: 100,
+  failureThreshold: Number(process.env.UPSTREAM_FAILURE_THRESHOLD) || 5,
+  cooldownMs: Number(process.env.UPSTREAM_COOLDOWN_MS) || 30_000,
+};
+
+export class UpstreamError extends Error {
+  constructor(
+    message: string,
+    // HTTP status when the upstream answered; undefined for network errors and timeouts
+    public readonly status?: number,
+    public readonly retryable = true,
+  ) {
+    super(message);
+    this.name = "UpstreamError";
+  }
+}
+
+// Thrown without calling the upstream while its circuit is open
+export class CircuitOpenError extends UpstreamError {
+  constructor(name: string) {
+    super(`Circuit open for ${name}`, undefined, false);
+    this.name = "CircuitOpenError";
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class UpstreamClient {
+  private readonly options: UpstreamOptions;
+  private state: CircuitState = "closed";
+  private consecutiveFailures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private lastError: UpstreamHealth["lastError"] = null;
+  private lastLatencyMs: number | null = null;
+
+  constructor(
+    readonly name: string,
+    readonly baseUrl: string,
+    options: Partial<UpstreamOptions> = {},
+  ) {
+    this.options = { ...DEFAULT_UPSTREAM_OPTIONS, ...options };
+  }
+
+  // POSTs JSON and returns the parsed body. `signal` lets callers cancel
+  // lookups they no longer need; cancelled calls don't count as failures.
+  async post(path: string, body: unknown, init: { headers?: Record<string, string>; signal?: AbortSignal } = {}): Promise<any> {
+    const url = `${this.baseUrl.replace(/\/$/, '')}${path}`;
+    let lastError: UpstreamError | undefined;
+
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.options.retryBaseDelayMs * 2 ** (attempt - 1);
+        await sleep(delay + Math.random() * delay);
+      }
+      if (init.signal?.aborted) throw new UpstreamError("Cancelled", undefined, false);
+      if (!this.allowRequest()) {
+        upstreamErrors.inc({ provider: this.name, reason: "circuit_open" });
+        throw new CircuitOpenError(this.name);
+      }
+
+      try {
+        return await this.attempt(url, body, init);
+      } catch (error) {
+        lastError = error as UpstreamError;
+        if (!lastError.retryable) throw lastError;
+      }
+    }
+    throw lastError!;
+  }
+
+  health(): UpstreamHealth {
+    // Report an elapsed cooldown as half-open even before the next call arrives
+    const state = this.state === "open" && this.cooldownElapsed() ? "half-open" : this.state;
+    return {
+      name: this.name,
+      baseUrl: this.baseUrl,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastLatencyMs: this.lastLatencyMs,
+      retryAt: this.state === "open" ? new Date(this.openedAt + this.options.cooldownMs).toISOString() : null,
+    };
+  }
+
+  private async attempt(url: string, body: unknown, init: { headers?: Record<string, string>; signal?: AbortSignal }): Promise<any> {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.options.timeoutMs);
+    const cancel = () => controller.abort();
+    init.signal?.addEventListener('abort', cancel);
+
+    const started = Date.now();
+    let answered = false; // a 4xx answer means the upstream itself is healthy
+    let cancelled = false;
+    let malformed = false;
+    try {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...init.headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      const text = await resp.text();
+
+      // 5xx and 429 mean the upstream is struggling; other 4xx are answers
+      if (resp.status >= 500 || resp.status === 429) {
+        throw new UpstreamError(`${this.name} responded ${resp.status}`, resp.status);
+      }
+      if (!resp.ok) {
+        answered = true;
+        this.recordSuccess(Date.now() - started);
+        throw new UpstreamError(`${this.name} responded ${resp.status}`, resp.status, false);
+      }
+
+      let data: any;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        malformed = true;
+        throw new UpstreamError(`${this.name} returned malformed JSON`, resp.status, false);
+      }
+      this.recordSuccess(Date.now() - started);
+      return data;
+    } catch (error) {
+      if (init.signal?.aborted && !timedOut) {
+        cancelled = true;
+        this.releaseTrial();
+        throw new UpstreamError("Cancelled", undefined, false);
+      }
+
+      const upstreamError = error instanceof UpstreamError
+        ? error
+        : new UpstreamError(timedOut
+          ? `${this.name} timed out after ${this.options.timeoutMs} ms`
+          : `${this.name} unreachable: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      if (!answered) {
+        this.recordFailure(upstreamError, Date.now() - started);
+      }
+      const reason = timedOut ? "timeout"
+        : malformed ? "malformed"
+        : upstreamError.status !== undefined ? `http_${upstreamError.status}`
+        : "unreachable";
+      upstreamErrors.inc({ provider: this.name, reason });
+      throw upstreamError;
+    } finally {
+      if (!cancelled) upstreamDuration.observe({ provider: this.name }, (Date.now() - started) / 1000);
+      clearTimeout(timer);
+      init.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  private cooldownElapsed(): boolean {
+    return Date.now() - this.openedAt >= this.options.cooldownMs;
+  }
+
+  // Closed: always. Open: no, until the cooldown elapses, then a single trial
+  // call is let through (half-open) while the others keep failing fast.
+  private allowRequest(): boolean {
+    if (this.state === "closed") return true;
+    if (this.state === "open") {
+      if (!this.cooldownElapsed()) return false;
+      this.state = "half-open";
+    }
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  private releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  private recordSuccess(latencyMs: number) {
+    this.lastLatencyMs = latencyMs;
+    this.consecutiveFailures = 0;
+    this.state = "closed";
+    this.releaseTrial();
+  }
+
+  private recordFailure(error: UpstreamError, latencyMs: number) {
+    this.lastLatencyMs = latencyMs;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+    this.consecutiveFailures++;
+    if (this.state === "half-open" || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+    this.releaseTrial();
+  }
+}
+
+// Runs every lookup at once and resolves with the first non-empty result,
+// cancelling the rest; resolves with [] when none has anything, and rejects
+// with the last error when every lookup failed.
+export function firstNonEmpty<T>(
+  keys: string[],
+  lookup: (key: string, signal: AbortSignal) => Promise<T[]>,
+): Promise<T[]> {
+  if (keys.length === 0) return Promise.resolve([]);
+
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    let pending = keys.length;
+    let failures = 0;
+    let lastError: unknown;
+    for (const key of keys) {
+      lookup(key, controller.signal)
+        .catch(error => {
+          failures++;
+          lastError = error;
+          return [] as T[];
+        })
+        .then(result => {
+          pending--;
+          if (result.length > 0 && !controller.signal.aborted) {
+            controller.abort();
+            resolve(result);
+          } else if (pending === 0) {
+            if (failures === keys.length) reject(lastError);
+            else resolve([]);
+          }
+        });
+    }
+  });
+}
@@ -0,0 +1,65 @@
+// GTIN canonicalization shared by the server and dashboard. Mirrors
+// extension/utils/gtin.js, which the content script uses on scraped codes.
+
+// Request/product keys that all carry a GTIN in one of its lengths
+export const GTIN_IDENTIFIER_KEYS = ["gtin", "upc", "ean"] as const;
+
+// GTIN-8 (EAN-8), GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// GS1 mod-10: weights alternate 3,1 starting from the digit next to the check digit
+export function gtinCheckDigit(body: string): number {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+// Returns the zero-padded GTIN-14, or undefined when the code is malformed
+// or its check digit is wrong. Spaces and hyphens are ignored.
+export function normalizeGtin(code?: string | null): string | undefined {
+  if (!code) return undefined;
+  const digits = code.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return undefined;
+
+  const gtin14 = digits.padStart(14, '0');
+  if (gtinCheckDigit(gtin14.slice(0, 13)) !== Number(gtin14[13])) return undefined;
+  return gtin14;
+}
+
+export interface CanonicalIdentifiers {
+  identifiers: Record<string, string>;
+  errors: string[];
+}
+
+// Folds gtin/upc/ean into a single GTIN-14 under `gtin`. Invalid codes and
+// codes that disagree once normalized are reported rather than guessed at.
+export function canonicalizeIdentifiers(identifiers: Record<string, string | null | undefined>): CanonicalIdentifiers {
+  const result: Record<string, string> = {};
+  const errors: string[] = [];
+  let gtin: string | undefined;
+
+  for (const key of Object.keys(identifiers)) {
+    const value = identifiers[key];
+    if (!value) continue;
+
+    if (!(GTIN_IDENTIFIER_KEYS as readonly string[]).includes(key)) {
+      result[key] = value;
+      continue;
+    }
+
+    const normalized = normalizeGtin(value);
+    if (!normalized) {
+      errors.push(`${key} "${value}" is not a valid GTIN`);
+    } else if (gtin && gtin !== normalized) {
+      errors.push(`${key} "${value}" does not match gtin ${gtin}`);
+    } else {
+      gtin = normalized;
+    }
+  }
+
+  if (gtin) result.gtin = gtin;
+  return { identifiers: result, errors };
+}
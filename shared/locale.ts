@@ -0,0 +1,42 @@
+// Countries we serve, with their currency and postal code format. Shared by
+// the server and dashboard. Mirrors extension/utils/locale.js, which the
+// options page and popup use to validate the shopper's postal code.
+
+export const countries = ["US", "CA", "GB"] as const;
+export type Country = typeof countries[number];
+
+// Requests without a country come from US-only extension builds
+export const DEFAULT_COUNTRY: Country = "US";
+
+export const CURRENCY_BY_COUNTRY: Record<Country, string> = {
+  US: "USD",
+  CA: "CAD",
+  GB: "GBP",
+};
+
+// Captures the area part (ZIP, Canadian FSA, UK outward code) and the rest;
+// matched against the code uppercased with spaces and hyphens removed
+const POSTAL_PATTERNS: Record<Country, RegExp> = {
+  US: /^(\d{5})(\d{4})?$/,
+  CA: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(\d[ABCEGHJ-NPRSTV-Z]\d)$/,
+  GB: /^([A-Z]{1,2}\d[A-Z\d]?|GIR)(\d[A-Z]{2})$/,
+};
+
+function matchPostalCode(country: Country, code?: string | null): RegExpMatchArray | null {
+  if (!code) return null;
+  return code.toUpperCase().replace(/[\s-]/g, "").match(POSTAL_PATTERNS[country]);
+}
+
+// "10001" (ZIP+4 drops the +4), "M5V 3L9", "SW1A 1AA"; undefined when the
+// code doesn't fit the country's format
+export function normalizePostalCode(country: Country, code?: string | null): string | undefined {
+  const match = matchPostalCode(country, code);
+  if (!match) return undefined;
+  return country === "US" ? match[1] : `${match[1]} ${match[2]}`;
+}
+
+// The area a postal code belongs to: the Canadian FSA ("M5V") or UK outward
+// code ("SW1A"); the ZIP itself in the US
+export function postalArea(country: Country, code?: string | null): string | undefined {
+  return matchPostalCode(country, code)?.[1];
+}
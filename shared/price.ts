@@ -0,0 +1,38 @@
+// Price parsing shared by the server and dashboard. Mirrors
+// extension/utils/price.js, which the content script uses on scraped text.
+
+// Matches "1,299.99", "349", "349.", "11.97" and ".99"; the first amount wins
+// so duplicated text such as Amazon's ".a-offscreen" "$349.99$349.99" is safe.
+// Where the comma is the decimal mark (French Canadian "1 299,99 $") the
+// separators swap; spaces are removed before matching.
+const PRICE_PATTERNS = {
+  '.': /(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?|\.(\d{1,2})/,
+  ',': /(\d{1,3}(?:\.\d{3})+|\d+)(?:,(\d{1,2}))?|,(\d{1,2})/,
+};
+
+export type DecimalMark = keyof typeof PRICE_PATTERNS;
+
+// Shopper-facing formatting per currency: "$349.99" in the US and Canada, "£349.99" in the UK
+const CURRENCY_LOCALES: Record<string, string> = {
+  USD: 'en-US',
+  CAD: 'en-CA',
+  GBP: 'en-GB',
+};
+
+// Parses display prices into integer cents; undefined when no amount is present
+export function parsePriceCents(text?: string | null, decimalMark: DecimalMark = '.'): number | undefined {
+  if (!text) return undefined;
+  const match = text.replace(/\s+/g, '').match(PRICE_PATTERNS[decimalMark]);
+  if (!match) return undefined;
+
+  const whole = match[1] ? parseInt(match[1].replace(/[,.]/g, ''), 10) : 0;
+  const digits = match[2] ?? match[3];
+  const fraction = digits ? parseInt(digits.padEnd(2, '0'), 10) : 0;
+  if (!Number.isFinite(whole)) return undefined;
+  return whole * 100 + fraction;
+}
+
+export function formatPriceCents(cents: number, currency = 'USD'): string {
+  return new Intl.NumberFormat(CURRENCY_LOCALES[currency] ?? 'en-US', { style: 'currency', currency })
+    .format(cents / 100);
+}
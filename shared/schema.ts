@@ -1,7 +1,39 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar, jsonb, timestamp, boolean, integer } from "drizzle-orm/pg-core";
-import { createInsertSchema } from "drizzle-zod";
+import { pgTable, text, varchar, jsonb, timestamp, boolean, integer, index, uniqueIndex } from "drizzle-orm/pg-core";
+import { createInsertSchema, createSelectSchema } from "drizzle-zod";
 import { z } from "zod";
+import { canonicalizeIdentifiers } from "./gtin";
+import { countries, normalizePostalCode, DEFAULT_COUNTRY, type Country } from "./locale";
+
+// Store opening hours, in the store's own timezone. A day's intervals are
+// "HH:MM" pairs with close after open ("24:00" for midnight); a day without
+// intervals is closed. Holidays replace the weekly hours on their date.
+export const weekdays = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"] as const;
+
+export const hoursIntervalSchema = z.object({
+  open: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Expected HH:MM"),
+  close: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, "Expected HH:MM or 24:00"),
+}).refine(interval => interval.close > interval.open, "close must be after open");
+
+export const weeklyHoursSchema = z.object(
+  Object.fromEntries(weekdays.map(day => [day, z.array(hoursIntervalSchema).optional()])) as
+    Record<typeof weekdays[number], z.ZodOptional<z.ZodArray<typeof hoursIntervalSchema>>>,
+).strict();
+
+export const holidayHoursSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD"),
+  name: z.string().optional(),
+  hours: z.array(hoursIntervalSchema), // [] for closed all day
+});
+
+function isTimeZone(value: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
 export const users = pgTable("users", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
@@ -27,7 +59,14 @@ export const products = pgTable("products", {
   attributes: jsonb("attributes").$type<Record<string, any>>().default({}),
   createdAt: timestamp("created_at").defaultNow(),
   updatedAt: timestamp("updated_at").defaultNow(),
-});
+}, (table) => [
+  // Identifier lookups back /api/resolve
+  index("products_gtin_idx").on(table.gtin),
+  index("products_upc_idx").on(table.upc),
+  index("products_ean_idx").on(table.ean),
+  index("products_asin_idx").on(table.asin),
+  index("products_sku_idx").on(table.sku),
+]);
 
 export const stores = pgTable("stores", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
@@ -36,22 +75,28 @@ export const stores = pgTable("stores", {
   address: text("address").notNull(),
   city: text("city").notNull(),
   state: text("state").notNull(),
-  zipCode: text("zip_code").notNull(),
+  zipCode: text("zip_code").notNull(), // postal code in the country's format
+  country: text("country").$type<Country>().notNull().default("US"), // local offers answer requests from this country
   latitude: text("latitude"),
   longitude: text("longitude"),
   phone: text("phone"),
   isActive: boolean("is_active").default(true),
-});
+  timezone: text("timezone"), // IANA name, e.g. America/New_York; required with hours
+  hours: jsonb("hours").$type<WeeklyHours>(), // null: hours unknown, treated as always open
+  holidays: jsonb("holidays").$type<HolidayHours[]>(),
+}, (table) => [
+  index("stores_chain_idx").on(table.chain),
+]);
 
 export const offers = pgTable("offers", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
   productId: varchar("product_id").references(() => products.id),
   storeId: varchar("store_id").references(() => stores.id),
   price: text("price").notNull(),
-  currency: text("currency").default("USD"),
+  currency: text("currency"), // storage fills in the store's country's currency when not given
   availabilityType: text("availability_type").notNull(), // pickup, delivery
-  eta: text("eta"), // "2 hours", "6:00 PM", etc.
-  etaMinutes: integer("eta_minutes"), // for sorting
+  eta: text("eta"), // "2 hours", "6:00 PM", "tomorrow by noon", ISO time; see server/eta.ts
+  etaMinutes: integer("eta_minutes"), // used when eta doesn't parse
   distance: text("distance"), // "0.3 mi"
   distanceMiles: integer("distance_miles"), // for sorting
   inStock: boolean("in_stock").default(true),
@@ -63,7 +108,27 @@ export const offers = pgTable("offers", {
   isEligible: boolean("is_eligible").default(true),
   createdAt: timestamp("created_at").defaultNow(),
   updatedAt: timestamp("updated_at").defaultNow(),
-});
+}, (table) => [
+  index("offers_product_id_idx").on(table.productId),
+  index("offers_store_id_idx").on(table.storeId),
+]);
+
+// An offer's price and stock as of `recordedAt`. A snapshot is written when
+// an offer is created and whenever its price, stock or stock level changes.
+export const offerSnapshots = pgTable("offer_snapshots", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  offerId: varchar("offer_id").references(() => offers.id).notNull(),
+  productId: varchar("product_id").references(() => products.id),
+  storeId: varchar("store_id").references(() => stores.id),
+  availabilityType: text("availability_type").notNull(),
+  price: text("price").notNull(),
+  currency: text("currency").default("USD"),
+  inStock: boolean("in_stock").notNull(),
+  stockLevel: integer("stock_level"),
+  recordedAt: timestamp("recorded_at").notNull().defaultNow(),
+}, (table) => [
+  index("offer_snapshots_product_recorded_idx").on(table.productId, table.recordedAt),
+]);
 
 export const resolveRequests = pgTable("resolve_requests", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
@@ -77,11 +142,56 @@ export const resolveRequests = pgTable("resolve_requests", {
   platform: text("platform").notNull(),
   url: text("url").notNull(),
   zipCode: text("zip_code"),
+  country: text("country").$type<Country>(), // null for requests from US-only extension builds
   userAgent: text("user_agent"),
+  clientVersion: text("client_version"), // X-Client-Version, e.g. the extension version
+  // X-Install-Id: random per extension install, used to export or delete a user's records
+  installId: varchar("install_id"),
+  // X-Request-Id of the HTTP request; shared by the items of a batch
+  requestId: varchar("request_id"),
   response: jsonb("response").$type<any>(),
   success: boolean("success").default(false),
+  // Where the answer came from (see resolveSources); null when resolving failed
+  source: text("source").$type<ResolveSource>(),
+  latencyMs: integer("latency_ms"),
+  timings: jsonb("timings").$type<ResolveTimings>(),
   createdAt: timestamp("created_at").defaultNow(),
-});
+}, (table) => [
+  index("resolve_requests_created_at_idx").on(table.createdAt),
+  index("resolve_requests_request_id_idx").on(table.requestId),
+  index("resolve_requests_install_id_idx").on(table.installId),
+]);
+
+// Guard thresholds editable at runtime. Null columns inherit from the next
+// broader scope: chain > platform > global > built-in defaults.
+export const guardPolicies = pgTable("guard_policies", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  scope: text("scope").notNull(), // global, platform, chain
+  scopeKey: text("scope_key").notNull(), // "*" for global, else platform or chain name
+  minMargin: integer("min_margin"),
+  minTrustScore: integer("min_trust_score"),
+  maxEtaMinutes: integer("max_eta_minutes"),
+  maxDistanceMiles: integer("max_distance_miles"),
+  minOpenMinutes: integer("min_open_minutes"), // pickup stores must stay open this long
+  updatedAt: timestamp("updated_at").defaultNow(),
+}, (table) => [
+  uniqueIndex("guard_policies_scope_key_idx").on(table.scope, table.scopeKey),
+]);
+
+// Client API keys sent by the extension as X-API-Key. Only a hash of the key
+// is stored; limits are enforced per key.
+export const apiKeys = pgTable("api_keys", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  name: text("name").notNull(), // partner or build the key was issued to
+  keyPrefix: text("key_prefix").notNull(), // leading characters, shown to admins
+  keyHash: text("key_hash").notNull(), // sha256 hex of the full key
+  rateLimitPerMinute: integer("rate_limit_per_minute").notNull().default(60),
+  dailyQuota: integer("daily_quota").notNull().default(5000),
+  isActive: boolean("is_active").notNull().default(true),
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => [
+  uniqueIndex("api_keys_key_hash_idx").on(table.keyHash),
+]);
 
 // Zod schemas
 export const insertUserSchema = createInsertSchema(users).pick({
@@ -89,24 +199,116 @@ export const insertUserSchema = createInsertSchema(users).pick({
   password: true,
 });
 
+// gtin is stored as a check-digit-validated GTIN-14; a product sent with only
+// a upc or ean gets its gtin filled from it
 export const insertProductSchema = createInsertSchema(products).omit({
   id: true,
   createdAt: true,
   updatedAt: true,
+}).transform((product, ctx) => {
+  const { identifiers, errors } = canonicalizeIdentifiers({ gtin: product.gtin, upc: product.upc, ean: product.ean });
+  for (const message of errors) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["gtin"], message });
+  }
+  return identifiers.gtin ? { ...product, gtin: identifiers.gtin } : product;
 });
 
-export const insertStoreSchema = createInsertSchema(stores).omit({
-  id: true,
+// gtin/upc/ean fold into one GTIN-14 under `gtin`; invalid check digits are rejected
+const identifiersSchema = z.record(z.string()).transform((raw, ctx) => {
+  const { identifiers, errors } = canonicalizeIdentifiers(raw);
+  for (const message of errors) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+  }
+  return identifiers;
 });
 
+export const insertStoreSchema = createInsertSchema(stores, {
+  country: z.enum(countries).optional(),
+  timezone: z.string().refine(isTimeZone, "Unknown IANA timezone").nullable().optional(),
+  hours: weeklyHoursSchema.nullable().optional(),
+  holidays: z.array(holidayHoursSchema).nullable().optional(),
+}).omit({
+  id: true,
+}).refine(
+  store => (!store.hours && !store.holidays) || !!store.timezone,
+  { message: "timezone is required with hours or holidays", path: ["timezone"] },
+).refine(
+  store => normalizePostalCode(store.country ?? "US", store.zipCode) !== undefined,
+  store => ({ message: `zipCode is not a valid ${store.country ?? "US"} postal code`, path: ["zipCode"] }),
+);
+
 export const insertOfferSchema = createInsertSchema(offers).omit({
   id: true,
   createdAt: true,
   updatedAt: true,
 });
 
+export const insertOfferSnapshotSchema = createInsertSchema(offerSnapshots).omit({
+  id: true,
+});
+
+export const guardScopes = ["global", "platform", "chain"] as const;
+
+export const insertGuardPolicySchema = createInsertSchema(guardPolicies, {
+  scope: z.enum(guardScopes),
+}).omit({
+  id: true,
+  updatedAt: true,
+});
+
+export const insertApiKeySchema = createInsertSchema(apiKeys).omit({
+  id: true,
+  createdAt: true,
+});
+
+// Admin requests: the server generates the key itself
+export const createApiKeyRequestSchema = z.object({
+  name: z.string().min(1),
+  rateLimitPerMinute: z.number().int().positive().optional(),
+  dailyQuota: z.number().int().positive().optional(),
+});
+
+export const updateApiKeyRequestSchema = createApiKeyRequestSchema.partial().extend({
+  isActive: z.boolean().optional(),
+});
+
+export const sortStrategies = ["fastest", "cheapest", "closest", "weighted"] as const;
+
+// cache: served from the resolve cache; local: ingested offers; backend: the
+// inventory providers; none: computed, nothing eligible nearby
+export const resolveSources = ["cache", "local", "backend", "none"] as const;
+
+// Machine-readable `code` on every error response (see server/errors.ts)
+export const apiErrorCodes = [
+  "INVALID_REQUEST", // body, query or parameters failed validation
+  "UNAUTHORIZED", // missing or wrong API/admin key
+  "RATE_LIMITED", // per-minute rate limit; see retryAfter
+  "QUOTA_EXCEEDED", // daily quota; see retryAfter
+  "NOT_FOUND",
+  "UNKNOWN_PRODUCT",
+  "NO_COVERAGE_FOR_ZIP",
+  "UPSTREAM_UNAVAILABLE",
+  "PAYLOAD_TOO_LARGE",
+  "SERVICE_DISABLED", // the route's key isn't configured on this server
+  "INTERNAL_ERROR",
+] as const;
+
+// Why a resolve came back ineligible:
+// UNKNOWN_PRODUCT: no ingested offer or inventory provider lists the product
+// NO_COVERAGE_FOR_ZIP: offers exist, but every one is beyond the pickup distance
+// UPSTREAM_UNAVAILABLE: nothing local and an inventory provider failed
+// OUT_OF_STOCK: every offer found is out of stock
+// NO_ELIGIBLE_OFFERS: offers exist but failed other guards (trust, ETA, margin)
+export const ineligibleReasons = [
+  "UNKNOWN_PRODUCT",
+  "NO_COVERAGE_FOR_ZIP",
+  "UPSTREAM_UNAVAILABLE",
+  "OUT_OF_STOCK",
+  "NO_ELIGIBLE_OFFERS",
+] as const;
+
 export const resolveRequestSchema = z.object({
-  identifiers: z.record(z.string()),
+  identifiers: identifiersSchema,
   brand: z.string().optional(),
   title: z.string().optional(),
   variant: z.string().optional(),
@@ -115,7 +317,37 @@ export const resolveRequestSchema = z.object({
   attributes: z.record(z.any()).optional(),
   platform: z.string(),
   url: z.string(),
+  zip: z.string().optional(), // postal code; checked against country when that is given, then normalized
+  country: z.enum(countries).optional(), // shopper's country, routes to its stores and providers; US when omitted
+  sort: z.enum(sortStrategies).optional(), // ranking strategy, defaults to fastest
+  diagnostics: z.boolean().optional(), // include rejected offers and failed guard rules
+}).refine(
+  request => !request.country || !request.zip || normalizePostalCode(request.country, request.zip) !== undefined,
+  request => ({ message: `zip is not a valid ${request.country} postal code`, path: ["zip"] }),
+).transform(request => request.zip === undefined ? request : {
+  // One spelling per postal code ("m5v3l9" is "M5V 3L9") so cache keys,
+  // live subscriptions and logs agree
+  ...request,
+  zip: normalizePostalCode(request.country ?? DEFAULT_COUNTRY, request.zip) ?? request.zip.trim().toUpperCase(),
+});
+
+// Up to 50 products resolved in one call; zip, country and sort apply to
+// every item (an item's own sort wins). Items are validated individually.
+export const batchResolveRequestSchema = z.object({
   zip: z.string().optional(),
+  country: z.enum(countries).optional(),
+  sort: z.enum(sortStrategies).optional(),
+  items: z.array(
+    z.object({ id: z.string().min(1) }).passthrough(),
+  ).min(1).max(50),
+});
+
+// Whether a store is open as of the response, e.g. "Open until 9 PM" or "Closed now"
+export const storeStatusSchema = z.object({
+  open: z.boolean(),
+  label: z.string(),
+  closesAt: z.string().optional(), // ISO time, while open
+  opensAt: z.string().optional(), // ISO time, while closed; absent when closed all week
 });
 
 export const resolveResponseSchema = z.object({
@@ -125,20 +357,353 @@ export const resolveResponseSchema = z.object({
     storeName: z.string(),
     storeChain: z.string(),
     address: z.string(),
-    distance: z.string(),
-    distanceMiles: z.number(),
+    distance: z.string().optional(), // absent when unknown (no ZIP centroid or store location)
+    distanceMiles: z.number().optional(),
     availabilityType: z.string(),
     eta: z.string(),
-    etaMinutes: z.number(),
+    etaMinutes: z.number().optional(), // minutes from the response timestamp; absent when the ETA is unknown
+    readyAt: z.string().optional(), // ISO time the offer is ready (pickup) or arrives (delivery)
     price: z.string(),
+    priceCents: z.number().int().optional(),
+    savingsCents: z.number().int().optional(), // online price minus this price; negative costs more
     currency: z.string(),
     lastSeen: z.string(),
     deepLink: z.string().optional(),
     inStock: z.boolean(),
     stockLevel: z.number().optional(),
+    score: z.number().optional(), // 0-100 under the applied sort strategy
+    provider: z.string().optional(), // "local" or the inventory provider that listed it
+    storeStatus: storeStatusSchema.optional(), // pickup offers at stores with known hours
   })),
+  sort: z.enum(sortStrategies).optional(),
+  reason: z.enum(ineligibleReasons).optional(), // set when eligible is false
+  productId: z.string().optional(), // matched catalog product, see /api/products/:id/history
+  requestId: z.string().optional(), // also sent as X-Request-Id; quote it in bug reports
+  onlinePriceCents: z.number().int().optional(), // parsed from the request's price
   cached: z.boolean(),
   timestamp: z.string(),
+  diagnostics: z.object({
+    rejected: z.array(z.object({
+      id: z.string(),
+      storeName: z.string(),
+      storeChain: z.string(),
+      availabilityType: z.string(),
+      source: z.string(), // "local" or the inventory provider name
+      failedRules: z.array(z.object({
+        rule: z.string(),
+        message: z.string(),
+      })),
+    })),
+  }).optional(),
+});
+
+// GET /api/products/:id/history?days=N
+export const productHistoryQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).default(30),
+});
+
+// One series per store and fulfilment type, points in time order. A point
+// holds until the next one, so the series reads as a step function.
+export const productHistoryResponseSchema = z.object({
+  product: z.object({
+    id: z.string(),
+    title: z.string(),
+    brand: z.string().nullable(),
+    platform: z.string(),
+    price: z.string().nullable(), // online price
+  }),
+  since: z.string(),
+  series: z.array(z.object({
+    offerId: z.string(),
+    storeId: z.string().nullable(),
+    storeName: z.string(),
+    storeChain: z.string(),
+    address: z.string(),
+    availabilityType: z.string(),
+    points: z.array(z.object({
+      recordedAt: z.string(),
+      price: z.string(),
+      priceCents: z.number().int().optional(),
+      currency: z.string(),
+      inStock: z.boolean(),
+      stockLevel: z.number().nullable(),
+    })),
+  })),
+});
+
+// Shared query for GET /api/analytics/*. The range defaults to the last 7
+// days; buckets are hourly for ranges up to 2 days, daily otherwise (UTC).
+export const analyticsQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  interval: z.enum(["hour", "day"]).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+}).refine(query => !query.from || !query.to || query.from < query.to, {
+  message: "from must be before to",
+  path: ["from"],
+});
+
+const analyticsRangeSchema = z.object({
+  from: z.string(),
+  to: z.string(),
+});
+
+export const analyticsSummarySchema = analyticsRangeSchema.extend({
+  total: z.number().int(),
+  eligible: z.number().int(),
+  errors: z.number().int(),
+  eligibleRate: z.number(), // 0-1 over answered (non-error) requests
+  cacheHitRate: z.number(),
+  backendRate: z.number(), // share of eligible answers that came from the providers
+});
+
+export const analyticsTimeSeriesSchema = analyticsRangeSchema.extend({
+  interval: z.enum(["hour", "day"]),
+  buckets: z.array(z.object({
+    start: z.string(),
+    total: z.number().int(),
+    eligible: z.number().int(),
+    errors: z.number().int(),
+  })),
+});
+
+export const analyticsPlatformsSchema = analyticsRangeSchema.extend({
+  platforms: z.array(z.object({
+    platform: z.string(),
+    total: z.number().int(),
+    eligible: z.number().int(),
+    eligibleRate: z.number(),
+  })),
+});
+
+const analyticsProductSchema = z.object({
+  productId: z.string().optional(),
+  title: z.string().nullable(),
+  brand: z.string().nullable(),
+  platform: z.string(),
+  identifiers: z.record(z.string()),
+  lookups: z.number().int(),
+  zeroResults: z.number().int(), // answered with no eligible offer
+});
+
+export const analyticsProductsSchema = analyticsRangeSchema.extend({
+  products: z.array(analyticsProductSchema),
+});
+
+export const analyticsZipsSchema = analyticsRangeSchema.extend({
+  zips: z.array(z.object({
+    zip: z.string(),
+    lookups: z.number().int(),
+    eligible: z.number().int(),
+    coverageRate: z.number(),
+  })),
+});
+
+export const analyticsSourcesSchema = analyticsRangeSchema.extend({
+  sources: z.array(z.object({
+    source: z.enum([...resolveSources, "error"]),
+    count: z.number().int(),
+  })),
+});
+
+// Response bodies of the remaining API routes, for the OpenAPI document
+// (server/openapi.ts). Records are described as they appear in JSON, with
+// timestamps as ISO strings.
+const jsonTimestamp = z.string().nullable();
+
+// Every non-2xx JSON answer on the unversioned routes
+export const errorResponseSchema = z.object({
+  error: z.string(),
+  code: z.enum(apiErrorCodes),
+  message: z.string().optional(), // underlying error of a 500
+  details: z.unknown().optional(), // e.g. zod issues of a 400
+  retryAfter: z.number().int().optional(), // seconds, on 429
+});
+
+export const messageResponseSchema = z.object({
+  message: z.string(),
+});
+
+export const productRecordSchema = createSelectSchema(products, {
+  createdAt: jsonTimestamp,
+  updatedAt: jsonTimestamp,
+});
+
+export const storeRecordSchema = createSelectSchema(stores, {
+  hours: weeklyHoursSchema.nullable(),
+  holidays: z.array(holidayHoursSchema).nullable(),
+});
+
+export const offerRecordSchema = createSelectSchema(offers, {
+  lastSeen: jsonTimestamp,
+  createdAt: jsonTimestamp,
+  updatedAt: jsonTimestamp,
+});
+
+export const resolveRequestRecordSchema = createSelectSchema(resolveRequests, {
+  createdAt: jsonTimestamp,
+});
+
+export const guardPolicyRecordSchema = createSelectSchema(guardPolicies, {
+  updatedAt: jsonTimestamp,
+});
+
+export const guardThresholdsSchema = z.object({
+  minMargin: z.number(),
+  minTrustScore: z.number(),
+  maxEtaMinutes: z.number(),
+  maxDistanceMiles: z.number(),
+  minOpenMinutes: z.number(),
+});
+
+export const guardPoliciesResponseSchema = z.object({
+  defaults: guardThresholdsSchema, // built-in thresholds
+  policies: z.array(guardPolicyRecordSchema),
+});
+
+// An API key as admins see it: never the hash, plus today's (UTC) usage
+export const apiKeyViewSchema = createSelectSchema(apiKeys, {
+  createdAt: jsonTimestamp,
+}).omit({ keyHash: true }).extend({
+  usage: z.object({
+    day: z.string(),
+    requests: z.number().int(),
+    quotaUsed: z.number().int(),
+    quotaRemaining: z.number().int(),
+    rateLimited: z.number().int(),
+    quotaExceeded: z.number().int(),
+    lastUsedAt: z.string().nullable(),
+  }),
+});
+
+// The plaintext key is only returned when it is created
+export const createApiKeyResponseSchema = z.object({
+  key: z.string(),
+  apiKey: apiKeyViewSchema,
+});
+
+export const batchResolveResponseSchema = z.object({
+  results: z.record(resolveResponseSchema), // by item id
+  errors: z.record(errorResponseSchema), // by item id, for items that failed
+  requestId: z.string(),
+  timestamp: z.string(),
+});
+
+export const healthResponseSchema = z.object({
+  status: z.literal("ok"),
+  timestamp: z.string(),
+  cache: z.object({
+    backend: z.string(),
+    entries: z.number().int(),
+    evictions: z.number().int(),
+    hits: z.number().int(),
+    staleHits: z.number().int(),
+    misses: z.number().int(),
+    revalidations: z.number().int(),
+    revalidationErrors: z.number().int(),
+    ttl: z.number(), // seconds
+    negativeTtl: z.number(),
+    staleTtl: z.number(),
+  }),
+  // Circuit breaker state per inventory provider
+  upstreams: z.array(z.object({
+    name: z.string(),
+    baseUrl: z.string(),
+    state: z.enum(["closed", "open", "half-open"]),
+    consecutiveFailures: z.number().int(),
+    lastError: z.object({ message: z.string(), at: z.string() }).nullable(),
+    lastLatencyMs: z.number().nullable(),
+    retryAt: z.string().nullable(),
+  })),
+});
+
+const upsertStatusSchema = z.enum(["created", "updated"]);
+
+export const ingestProductResponseSchema = z.object({
+  status: upsertStatusSchema,
+  product: productRecordSchema,
+});
+
+export const ingestStoreResponseSchema = z.object({
+  status: upsertStatusSchema,
+  store: storeRecordSchema,
+});
+
+export const ingestOfferResponseSchema = z.object({
+  status: upsertStatusSchema,
+  offer: offerRecordSchema,
+});
+
+export const ingestBulkResponseSchema = z.object({
+  created: z.number().int(),
+  updated: z.number().int(),
+  failed: z.number().int(),
+  results: z.array(z.object({
+    index: z.number().int(), // position in the request
+    status: z.enum([...upsertStatusSchema.options, "error"]),
+    id: z.string().optional(),
+    error: z.string().optional(),
+    code: z.enum(apiErrorCodes).optional(), // with error
+    details: z.unknown().optional(),
+  })),
+});
+
+export const privacyExportResponseSchema = z.object({
+  installId: z.string(),
+  retentionDays: z.number().int().nullable(), // null when records are kept
+  exportedAt: z.string(),
+  requests: z.array(resolveRequestRecordSchema),
+});
+
+export const privacyDeleteResponseSchema = z.object({
+  deleted: z.number().int(),
+});
+
+// /api/v1 wraps every JSON body: { ok: true, data, meta } on success and
+// { ok: false, error, meta } otherwise (server/envelope.ts)
+export const envelopeMetaSchema = z.object({
+  apiVersion: z.literal("v1"),
+  requestId: z.string().optional(), // resolve calls, same as X-Request-Id
+  timestamp: z.string(),
+});
+
+export const envelopeErrorSchema = z.object({
+  ok: z.literal(false),
+  error: z.object({
+    code: z.enum(apiErrorCodes),
+    message: z.string(),
+    details: z.unknown().optional(),
+    retryAfter: z.number().int().optional(),
+  }),
+  meta: envelopeMetaSchema,
+});
+
+export function envelopeSchema<T extends z.ZodTypeAny>(data: T) {
+  return z.object({ ok: z.literal(true), data, meta: envelopeMetaSchema });
+}
+
+// Live updates over the /ws WebSocket (server/live.ts). A subscription takes
+// the same body as POST /api/resolve under a client-chosen id, which is
+// echoed on every message for it.
+export const liveClientMessageSchema = z.discriminatedUnion("type", [
+  // First message on a connection: a client key, or the admin key for the feed
+  z.object({ type: z.literal("auth"), key: z.string().optional(), adminKey: z.string().optional() }),
+  z.object({ type: z.literal("subscribe"), id: z.string().min(1).max(100), request: resolveRequestSchema }),
+  z.object({ type: z.literal("unsubscribe"), id: z.string() }),
+  z.object({ type: z.literal("subscribe-feed") }), // resolve request log, admin connections only
+  z.object({ type: z.literal("ping") }),
+]);
+
+// One difference between consecutive responses for a subscription
+export const offerChangeSchema = z.object({
+  kind: z.enum(["added", "removed", "price", "stock"]),
+  offerId: z.string(),
+  storeName: z.string(),
+  availabilityType: z.string(),
+  price: z.string(),
+  previousPrice: z.string().optional(), // "price" changes only
+  inStock: z.boolean(),
+  stockLevel: z.number().optional(),
 });
 
 // Types
@@ -147,9 +712,54 @@ export type User = typeof users.$inferSelect;
 export type Product = typeof products.$inferSelect;
 export type InsertProduct = z.infer<typeof insertProductSchema>;
 export type Store = typeof stores.$inferSelect;
+export type Weekday = typeof weekdays[number];
+export type HoursInterval = z.infer<typeof hoursIntervalSchema>;
+export type WeeklyHours = z.infer<typeof weeklyHoursSchema>;
+export type HolidayHours = z.infer<typeof holidayHoursSchema>;
+export type StoreStatus = z.infer<typeof storeStatusSchema>;
 export type InsertStore = z.infer<typeof insertStoreSchema>;
 export type Offer = typeof offers.$inferSelect;
 export type InsertOffer = z.infer<typeof insertOfferSchema>;
+export type OfferSnapshot = typeof offerSnapshots.$inferSelect;
+export type InsertOfferSnapshot = z.infer<typeof insertOfferSnapshotSchema>;
+export type ProductHistory = z.infer<typeof productHistoryResponseSchema>;
+export type GuardPolicy = typeof guardPolicies.$inferSelect;
+export type InsertGuardPolicy = z.infer<typeof insertGuardPolicySchema>;
+export type ApiKey = typeof apiKeys.$inferSelect;
+export type InsertApiKey = z.infer<typeof insertApiKeySchema>;
+export type UpdateApiKeyRequest = z.infer<typeof updateApiKeyRequestSchema>;
+export type SortStrategy = typeof sortStrategies[number];
+export type { Country } from "./locale";
+export type ResolveSource = typeof resolveSources[number];
+// Time spent per stage of one resolve, in milliseconds
+export type ResolveTimings = { cacheMs: number; storageMs: number; upstreamMs: number };
 export type ResolveRequest = z.infer<typeof resolveRequestSchema>;
 export type ResolveResponse = z.infer<typeof resolveResponseSchema>;
+export type BatchResolveRequest = z.infer<typeof batchResolveRequestSchema>;
 export type ResolveRequestRecord = typeof resolveRequests.$inferSelect;
+export type AnalyticsQuery = z.infer<typeof analyticsQuerySchema>;
+export type AnalyticsSummary = z.infer<typeof analyticsSummarySchema>;
+export type AnalyticsTimeSeries = z.infer<typeof analyticsTimeSeriesSchema>;
+export type AnalyticsPlatforms = z.infer<typeof analyticsPlatformsSchema>;
+export type AnalyticsProducts = z.infer<typeof analyticsProductsSchema>;
+export type AnalyticsZips = z.infer<typeof analyticsZipsSchema>;
+export type AnalyticsSources = z.infer<typeof analyticsSourcesSchema>;
+export type ApiErrorCode = typeof apiErrorCodes[number];
+export type IneligibleReason = typeof ineligibleReasons[number];
+export type ErrorResponse = z.infer<typeof errorResponseSchema>;
+export type EnvelopeMeta = z.infer<typeof envelopeMetaSchema>;
+export type EnvelopeError = z.infer<typeof envelopeErrorSchema>;
+export type ApiKeyView = z.infer<typeof apiKeyViewSchema>;
+export type BatchResolveResponse = z.infer<typeof batchResolveResponseSchema>;
+export type HealthResponse = z.infer<typeof healthResponseSchema>;
+export type LiveClientMessage = z.infer<typeof liveClientMessageSchema>;
+export type OfferChange = z.infer<typeof offerChangeSchema>;
+export type LiveServerMessage =
+  | { type: "authenticated" }
+  | { type: "subscribed"; id: string }
+  | { type: "unsubscribed"; id: string }
+  // The first push for a subscription has no changes, only the response
+  | { type: "offers"; id: string; changes: OfferChange[]; response: ResolveResponse }
+  | { type: "resolve-request"; record: ResolveRequestRecord }
+  | { type: "pong" }
+  | { type: "error"; id?: string; code: ApiErrorCode; error: string; details?: unknown };